@@ -0,0 +1,387 @@
+/**
+ * Mock Fixture Generator
+ *
+ * Builds a deterministic set of pages and labeled fragments for the mock
+ * backend. The same seed always produces the same dataset, so tests and
+ * screenshots are reproducible.
+ *
+ * Covers every rendering path in FragmentCard:
+ * - video_player   → VideoEmbed (YouTube / Vimeo / Spotify page URLs)
+ * - video_card     → VideoCardEmbed (cached destination_url or HTML to extract)
+ * - HTML embeds    → ArticleEmbed / AssembledArticle (article, code_block, ...)
+ * - screenshot-only archetypes, and HTML archetypes without has_html → FragmentImage
+ */
+
+// Must stay in sync with HTML_EMBED_ARCHETYPES in ArticleEmbed.jsx
+const HTML_EMBED_ARCHETYPES = [
+  'article', 'article_media', 'page_content', 'page_media',
+  'code_block', 'social_post', 'comment', 'feed_item', 'product_card'
+];
+
+// Grouped into assembled articles by /api/feed/articles
+const ARTICLE_ARCHETYPES = new Set(['article', 'article_media']);
+
+const SCREENSHOT_ONLY_ARCHETYPES = ['image_gallery', 'hero_banner', 'data_chart', 'navigation_menu'];
+
+const DOMAINS = [
+  'techcrunch.com', 'nytimes.com', 'github.com', 'stackoverflow.com',
+  'reddit.com', 'twitter.com', 'amazon.com', 'medium.com',
+  'youtube.com', 'vimeo.com', 'open.spotify.com', 'news.ycombinator.com'
+];
+
+const VIDEO_URLS = {
+  'youtube.com': [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://www.youtube.com/watch?v=9bZkp7q19f0',
+    'https://www.youtube.com/watch?v=kJQP7kiw5Fk'
+  ],
+  'vimeo.com': ['https://vimeo.com/76979871', 'https://vimeo.com/22439234'],
+  'open.spotify.com': [
+    'https://open.spotify.com/episode/7makk4oTQel546B0PZlDM5',
+    'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT'
+  ]
+};
+
+const WORDS = (
+  'the quick data model graph vector search layout fragment render browser ' +
+  'network cache index stream design system signal market policy research ' +
+  'team product launch update latest review guide deep dive analysis story ' +
+  'future open source framework performance privacy engine mobile city climate'
+).split(' ');
+
+const AUTHORS = [
+  { name: 'Ada Park', handle: 'adapark' },
+  { name: 'Sam Okafor', handle: 'samok' },
+  { name: 'Lena Fischer', handle: 'lfischer' },
+  { name: 'Priya Raman', handle: 'priyar' },
+  { name: 'Jonas Berg', handle: 'jberg' }
+];
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32). Returns a function yielding floats in [0, 1).
+ */
+function createRng(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Deterministic UUID-shaped id from an rng
+ */
+function makeId(rng) {
+  const hex = () => Math.floor(rng() * 16).toString(16);
+  const part = (n) => Array.from({ length: n }, hex).join('');
+  return `${part(8)}-${part(4)}-4${part(3)}-a${part(3)}-${part(12)}`;
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function int(rng, min, max) {
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+function sentence(rng, min = 6, max = 16) {
+  const words = Array.from({ length: int(rng, min, max) }, () => pick(rng, WORDS));
+  words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+  return `${words.join(' ')}.`;
+}
+
+function paragraph(rng, sentences = 4) {
+  return Array.from({ length: sentences }, () => sentence(rng)).join(' ');
+}
+
+function title(rng) {
+  return sentence(rng, 3, 8).replace(/\.$/, '');
+}
+
+const escapeHtml = (str) => str
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * HTML for an article-like fragment. Images and links are relative on
+ * purpose — they resolve against the fragment's base_url.
+ */
+function articleHtml(rng, index) {
+  const img = `images/figure-${index}.svg`;
+  return `
+<section class="story-body">
+  <h2>${escapeHtml(title(rng))}</h2>
+  <p>${paragraph(rng, 3)}</p>
+  <figure>
+    <img src="${img}" srcset="${img} 1x, images/figure-${index}@2x.svg 2x" alt="${escapeHtml(title(rng))}">
+    <figcaption>${escapeHtml(sentence(rng))}</figcaption>
+  </figure>
+  <h3>${escapeHtml(title(rng))}</h3>
+  <p>${paragraph(rng, 4)} <a href="related/${index}">Read more</a></p>
+  <blockquote>${escapeHtml(sentence(rng))}</blockquote>
+  <p>${paragraph(rng, 3)}</p>
+</section>`;
+}
+
+const CODE_SAMPLES = [
+  {
+    lang: 'python',
+    code: 'def fibonacci(n):\n    """Return the nth Fibonacci number."""\n    a, b = 0, 1\n    for _ in range(n):\n        a, b = b, a + b\n    return a\n\nprint(fibonacci(10))'
+  },
+  {
+    lang: 'javascript',
+    code: 'const debounce = (fn, ms) => {\n  let timer;\n  return (...args) => {\n    clearTimeout(timer);\n    timer = setTimeout(() => fn(...args), ms);\n  };\n};\n\nexport default debounce;'
+  },
+  {
+    lang: 'bash',
+    code: '#!/usr/bin/env bash\nset -euo pipefail\nfor f in *.log; do\n  gzip "$f"\ndone\necho "done"'
+  }
+];
+
+function codeBlockHtml(rng) {
+  const sample = pick(rng, CODE_SAMPLES);
+  const lines = sample.code.split('\n');
+  // Mimic sites that render a line-number gutter next to the code
+  const gutter = lines.map((_, i) => `<span class="line-number">${i + 1}</span>`).join('\n');
+  return `
+<div class="highlight">
+  <table class="code-table"><tr>
+    <td class="gutter"><pre>${gutter}</pre></td>
+    <td class="code"><pre class="language-${sample.lang}"><code class="language-${sample.lang}">${escapeHtml(sample.code)}</code></pre></td>
+  </tr></table>
+</div>`;
+}
+
+function socialPostHtml(rng, index) {
+  const author = pick(rng, AUTHORS);
+  const date = new Date(Date.UTC(2025, int(rng, 0, 11), int(rng, 1, 28), int(rng, 0, 23))).toISOString();
+  return `
+<article class="post" data-testid="tweet">
+  <div class="post-header">
+    <img class="avatar" src="avatars/${author.handle}.svg" alt="${author.name}">
+    <a class="author-name" href="/${author.handle}">${author.name}</a>
+    <span class="author-handle">@${author.handle}</span>
+    <time datetime="${date}">${date.slice(0, 10)}</time>
+  </div>
+  <div class="post-body"><p>${escapeHtml(sentence(rng, 10, 24))}</p></div>
+  <a class="permalink" href="/${author.handle}/status/${100000 + index}">View post</a>
+</article>`;
+}
+
+function commentHtml(rng, depth = 0) {
+  const author = pick(rng, AUTHORS);
+  const replies = depth < 2 ? int(rng, 0, 2) : 0;
+  const children = Array.from({ length: replies }, () => commentHtml(rng, depth + 1)).join('');
+  return `
+<div class="comment" data-depth="${depth}">
+  <div class="comment-meta"><a class="comment-author" href="/user/${author.handle}">${author.name}</a> <span class="comment-age">${int(rng, 1, 23)} hours ago</span></div>
+  <div class="comment-body"><p>${escapeHtml(sentence(rng, 8, 30))}</p></div>
+  ${children ? `<div class="comment-replies">${children}</div>` : ''}
+</div>`;
+}
+
+function productCardHtml(rng, index) {
+  const price = (int(rng, 5, 400) + 0.99).toFixed(2);
+  const rating = (int(rng, 25, 50) / 10).toFixed(1);
+  const name = escapeHtml(title(rng));
+  // Half the products carry schema.org microdata, the rest only plain markup
+  if (rng() < 0.5) {
+    return `
+<div class="product" itemscope itemtype="https://schema.org/Product">
+  <img itemprop="image" src="products/${index}.svg" alt="${name}">
+  <h3 itemprop="name">${name}</h3>
+  <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+    <span itemprop="ratingValue">${rating}</span> out of 5
+  </div>
+  <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+    <meta itemprop="priceCurrency" content="USD">
+    <span itemprop="price" content="${price}">$${price}</span>
+  </div>
+  <a itemprop="url" href="/dp/${index}">View product</a>
+</div>`;
+  }
+  return `
+<div class="s-result-item">
+  <a class="a-link-normal" href="/dp/${index}"><img class="s-image" src="products/${index}.svg" alt="${name}"></a>
+  <h2 class="a-size-medium">${name}</h2>
+  <span class="a-icon-alt">${rating} out of 5 stars</span>
+  <span class="a-price"><span class="a-offscreen">$${price}</span></span>
+</div>`;
+}
+
+function feedItemHtml(rng, index) {
+  return `
+<div class="feed-item">
+  <a class="titleline" href="item?id=${index}">${escapeHtml(title(rng))}</a>
+  <span class="sitestr">(${pick(rng, DOMAINS)})</span>
+  <div class="subtext">${int(rng, 2, 900)} points · ${int(rng, 0, 300)} comments</div>
+</div>`;
+}
+
+function pageContentHtml(rng, index) {
+  return `
+<div class="content-block">
+  <h3>${escapeHtml(title(rng))}</h3>
+  <p>${paragraph(rng, 2)}</p>
+  <ul>${Array.from({ length: int(rng, 2, 5) }, () => `<li>${escapeHtml(sentence(rng, 3, 8))}</li>`).join('')}</ul>
+  <img src="media/block-${index}.svg" alt="">
+</div>`;
+}
+
+function videoCardHtml(rng) {
+  const url = pick(rng, [...VIDEO_URLS['youtube.com'], ...VIDEO_URLS['vimeo.com']]);
+  return `
+<div class="video-card">
+  <a href="${url}"><img src="thumbs/video.svg" alt="Video thumbnail"></a>
+  <h3><a href="${url}">${escapeHtml(title(rng))}</a></h3>
+</div>`;
+}
+
+function fragmentHtml(rng, archetype, index) {
+  switch (archetype) {
+    case 'article':
+    case 'article_media':
+      return articleHtml(rng, index);
+    case 'code_block':
+      return codeBlockHtml(rng);
+    case 'social_post':
+      return socialPostHtml(rng, index);
+    case 'comment':
+      return commentHtml(rng);
+    case 'product_card':
+      return productCardHtml(rng, index);
+    case 'feed_item':
+      return feedItemHtml(rng, index);
+    case 'video_card':
+      return videoCardHtml(rng);
+    default:
+      return pageContentHtml(rng, index);
+  }
+}
+
+/**
+ * Choose a fragment archetype for a page. Weighted so that every archetype
+ * FragmentCard routes appears in a default-sized dataset.
+ */
+function pickArchetype(rng, domain) {
+  if (VIDEO_URLS[domain]) {
+    return rng() < 0.7 ? 'video_player' : 'video_card';
+  }
+  const roll = rng();
+  if (roll < 0.3) return pick(rng, ['article', 'article_media']);
+  if (roll < 0.8) return pick(rng, HTML_EMBED_ARCHETYPES);
+  if (roll < 0.9) return 'video_card';
+  return pick(rng, SCREENSHOT_ONLY_ARCHETYPES);
+}
+
+/**
+ * Generate the mock dataset.
+ * @param {Object} [options]
+ * @param {number|string} [options.seed=42] - Dataset seed
+ * @param {number} [options.pageCount=40] - Number of source pages
+ * @returns {{pages: Array, fragments: Array}}
+ */
+function generateFixtures({ seed = 42, pageCount = 40 } = {}) {
+  const rng = createRng(seed);
+  const pages = [];
+  const fragments = [];
+  const domainPageCounts = {};
+
+  for (let p = 0; p < pageCount; p++) {
+    const domain = DOMAINS[p % DOMAINS.length];
+    domainPageCounts[domain] = (domainPageCounts[domain] || 0) + 1;
+    const slug = title(rng).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const pageUrl = VIDEO_URLS[domain]
+      ? pick(rng, VIDEO_URLS[domain])
+      : `https://${domain}/${slug}`;
+
+    const page = {
+      page_id: makeId(rng),
+      url: pageUrl,
+      domain,
+      slug,
+      page_number: domainPageCounts[domain],
+      page_title: title(rng),
+      styles: [
+        `.story-body h2 { font-family: Georgia, serif; } .comment-replies { margin-left: 16px; }`
+      ],
+      stylesheet_urls: []
+    };
+    pages.push(page);
+
+    const fragmentCount = VIDEO_URLS[domain] ? 1 : int(rng, 2, 6);
+    let y = int(rng, 80, 300);
+    for (let f = 0; f < fragmentCount; f++) {
+      const archetype = pickArchetype(rng, domain);
+      const index = fragments.length;
+      const isHtmlArchetype = HTML_EMBED_ARCHETYPES.includes(archetype);
+      const bbox = {
+        x: int(rng, 0, 200),
+        y,
+        width: int(rng, 320, 1200),
+        height: int(rng, 120, 900)
+      };
+      y += bbox.height + int(rng, 20, 200);
+
+      // ~15% of HTML archetypes have no HTML, exercising the screenshot fallback
+      const hasHtml = archetype === 'video_card'
+        ? rng() < 0.6
+        : isHtmlArchetype && rng() >= 0.15;
+
+      let destinationUrl = null;
+      if (archetype === 'video_card' && !hasHtml) {
+        destinationUrl = pick(rng, VIDEO_URLS['youtube.com']);
+      }
+
+      fragments.push({
+        fragment_id: makeId(rng),
+        page_id: page.page_id,
+        archetype,
+        domain,
+        url: page.url,
+        bbox,
+        has_html: hasHtml,
+        has_screenshot: true,
+        destination_url: destinationUrl,
+        label_source: rng() < 0.6 ? 'manual' : 'model_prediction',
+        curated: rng() < 0.3,
+        confidence: Number((0.5 + rng() * 0.5).toFixed(3)),
+        created_at: new Date(Date.UTC(2025, 0, 1) + index * 3_600_000).toISOString(),
+        html: hasHtml ? fragmentHtml(rng, archetype, index) : null
+      });
+    }
+  }
+
+  for (const page of pages) {
+    page.total_domain_pages = domainPageCounts[page.domain];
+  }
+
+  return { pages, fragments };
+}
+
+module.exports = {
+  generateFixtures,
+  createRng,
+  hashString,
+  HTML_EMBED_ARCHETYPES,
+  ARTICLE_ARCHETYPES,
+  SCREENSHOT_ONLY_ARCHETYPES
+};
@@ -0,0 +1,81 @@
+/**
+ * Mock Feed Backend
+ *
+ * Stand-in for the Flask labeling app so the frontend runs without
+ * Postgres or the ML training stack. Serves every /api/feed/* endpoint
+ * from seeded fixtures (see fixtures.js).
+ *
+ * Usage:
+ *   npm run mock-api                          # port 5001, seed 42
+ *   MOCK_PORT=5002 MOCK_SEED=7 MOCK_PAGES=80 npm run mock-api
+ *   npm run test:mock-api                     # routes.test.js (node:test)
+ */
+
+const http = require('http');
+const { createMockApi } = require('./routes');
+
+const PORT = parseInt(process.env.MOCK_PORT || '5001', 10);
+const SEED = process.env.MOCK_SEED || 42;
+const PAGE_COUNT = parseInt(process.env.MOCK_PAGES || '40', 10);
+
+const { handleRequest, data } = createMockApi({
+  seed: Number.isNaN(Number(SEED)) ? SEED : Number(SEED),
+  pageCount: PAGE_COUNT
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve(null);
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  // An exception here would be an unhandled rejection, which ends the process
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+    const body = req.method === 'POST' || req.method === 'PUT' ? await readBody(req) : null;
+
+    const result = handleRequest({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      origin: url.origin
+    });
+
+    res.writeHead(result.status, { ...CORS_HEADERS, ...result.headers });
+    res.end(result.body);
+    console.log(`${req.method} ${url.pathname}${url.search} → ${result.status}`);
+  } catch (error) {
+    console.error(`${req.method} ${req.url} failed:`, error);
+    if (!res.headersSent) {
+      res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ error: 'Internal server error' }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock feed API on http://localhost:${PORT} (seed ${SEED}, ${data.pages.length} pages, ${data.fragments.length} fragments)`);
+});
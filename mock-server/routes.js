@@ -0,0 +1,336 @@
+/**
+ * Mock Feed API Routes
+ *
+ * Framework-free request handler mirroring the Flask /api/feed/* blueprint.
+ * handleRequest() takes a plain { method, path, query, body, origin } object
+ * and returns { status, headers, body }, so it can be driven by the HTTP
+ * server in index.js or called directly from tests.
+ *
+ * Ordering matches the backend: without random_seed, items are returned in
+ * creation order; with random_seed, a deterministic shuffle keyed by the seed.
+ * Cursors are the id of the last item on the previous page.
+ */
+
+const { generateFixtures, createRng, ARTICLE_ARCHETYPES } = require('./fixtures');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const json = (status, body) => ({
+  status,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const notFound = (message = 'Not found') => json(404, { error: message });
+const badRequest = (message) => json(400, { error: message });
+
+/**
+ * Deterministic Fisher-Yates shuffle keyed by a seed string
+ */
+function seededShuffle(list, seed) {
+  const rng = createRng(String(seed));
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseLimit(value) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(n, MAX_LIMIT);
+}
+
+/**
+ * Slice a page of results after the item whose id equals cursor
+ */
+function paginate(list, idOf, cursor, limit) {
+  let start = 0;
+  if (cursor) {
+    const idx = list.findIndex(item => idOf(item) === cursor);
+    start = idx === -1 ? list.length : idx + 1;
+  }
+  const page = list.slice(start, start + limit);
+  const hasMore = start + limit < list.length;
+  return {
+    page,
+    next_cursor: hasMore && page.length > 0 ? idOf(page[page.length - 1]) : null,
+    has_more: hasMore
+  };
+}
+
+/**
+ * Placeholder SVG used for screenshots and for any image under /mock-sites/
+ */
+function placeholderSvg(label, width = 600, height = 400, hue = 210) {
+  const safe = String(label).replace(/[<>&"]/g, '');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="hsl(${hue}, 30%, 22%)"/>
+  <rect x="16" y="16" width="${width - 32}" height="${height - 32}" rx="12" fill="none" stroke="hsl(${hue}, 40%, 55%)" stroke-width="2" stroke-dasharray="8 6"/>
+  <text x="50%" y="50%" fill="hsl(${hue}, 60%, 85%)" font-family="sans-serif" font-size="22" text-anchor="middle" dominant-baseline="middle">${safe}</text>
+</svg>`;
+}
+
+const svg = (body) => ({
+  status: 200,
+  headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'public, max-age=3600' },
+  body
+});
+
+/**
+ * Create a handler bound to one fixture dataset.
+ * @param {Object} [options] - Passed to generateFixtures ({ seed, pageCount })
+ * @returns {{handleRequest: Function, data: Object}}
+ */
+function createMockApi(options = {}) {
+  const data = generateFixtures(options);
+  const pagesById = new Map(data.pages.map(p => [p.page_id, p]));
+  const fragmentsById = new Map(data.fragments.map(f => [f.fragment_id, f]));
+  const seenEventIds = new Set();
+  const engagementEvents = [];
+
+  const baseUrlFor = (page, origin) => `${origin}/mock-sites/${page.domain}/${page.slug}/`;
+
+  // Fragment shape returned by list endpoints (no HTML payload)
+  const toFragmentItem = (f) => {
+    const page = pagesById.get(f.page_id);
+    return {
+      type: 'fragment',
+      fragment_id: f.fragment_id,
+      page_id: f.page_id,
+      archetype: f.archetype,
+      domain: f.domain,
+      url: f.url,
+      bbox: f.bbox,
+      has_html: f.has_html,
+      has_screenshot: f.has_screenshot,
+      destination_url: f.destination_url,
+      label_source: f.label_source,
+      page_number: page.page_number
+    };
+  };
+
+  const matchesFilters = (f, query) => {
+    const domains = parseList(query.domains);
+    const archetypes = parseList(query.archetypes);
+    const pageIds = parseList(query.page_ids);
+    const excludeDomains = parseList(query.exclude_domains);
+    const excludeArchetypes = parseList(query.exclude_archetypes);
+    const search = (query.search || '').trim().toLowerCase();
+
+    if (domains.length && !domains.includes(f.domain)) return false;
+    if (excludeDomains.includes(f.domain)) return false;
+    if (excludeArchetypes.includes(f.archetype)) return false;
+    if (archetypes.length && !archetypes.includes(f.archetype)) return false;
+    if (pageIds.length && !pageIds.includes(f.page_id)) return false;
+    if (query.curated === 'true' && !f.curated) return false;
+    if (query.source && query.source !== 'all' && f.label_source !== query.source) return false;
+    if (search) {
+      const text = `${f.html || ''} ${f.url} ${f.domain}`.toLowerCase();
+      if (!text.includes(search)) return false;
+    }
+    return true;
+  };
+
+  const order = (list, seed) => (seed ? seededShuffle(list, seed) : list);
+
+  /**
+   * Build the unified feed: article/article_media fragments of one page are
+   * grouped into a single assembled article; everything else stands alone.
+   */
+  const buildFeedItems = (query) => {
+    const matching = data.fragments.filter(f => matchesFilters(f, query));
+    const articlesByPage = new Map();
+    const items = [];
+
+    for (const f of matching) {
+      if (ARTICLE_ARCHETYPES.has(f.archetype)) {
+        if (!articlesByPage.has(f.page_id)) {
+          const page = pagesById.get(f.page_id);
+          const article = {
+            type: 'article',
+            article_id: page.page_id,
+            page_id: page.page_id,
+            domain: page.domain,
+            url: page.url,
+            page_number: page.page_number,
+            has_html: false,
+            fragments: []
+          };
+          articlesByPage.set(f.page_id, article);
+          items.push(article);
+        }
+        const article = articlesByPage.get(f.page_id);
+        article.fragments.push({ fragment_id: f.fragment_id, archetype: f.archetype, bbox: f.bbox });
+        article.has_html = article.has_html || f.has_html;
+      } else {
+        items.push(toFragmentItem(f));
+      }
+    }
+
+    for (const article of articlesByPage.values()) {
+      article.fragment_count = article.fragments.length;
+    }
+    return items;
+  };
+
+  const itemId = (item) => (item.type === 'article' ? item.article_id : item.fragment_id);
+
+  const countBy = (key) => {
+    const counts = new Map();
+    for (const f of data.fragments) {
+      counts.set(f[key], (counts.get(f[key]) || 0) + 1);
+    }
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  };
+
+  const routes = [
+    ['GET', /^\/api\/feed\/health$/, () => json(200, { status: 'healthy', service: 'feed-mock' })],
+
+    ['GET', /^\/api\/feed\/articles$/, (req) => {
+      const items = order(buildFeedItems(req.query), req.query.random_seed);
+      const { page, next_cursor, has_more } = paginate(items, itemId, req.query.cursor, parseLimit(req.query.limit));
+      return json(200, { items: page, next_cursor, has_more });
+    }],
+
+    ['GET', /^\/api\/feed\/fragments$/, (req) => {
+      const fragments = order(data.fragments.filter(f => matchesFilters(f, req.query)), req.query.random_seed);
+      const { page, next_cursor, has_more } = paginate(fragments, f => f.fragment_id, req.query.cursor, parseLimit(req.query.limit));
+      return json(200, { fragments: page.map(toFragmentItem), next_cursor, has_more });
+    }],
+
+    ['GET', /^\/api\/feed\/fragment\/([^/]+)\/html$/, (req, [id]) => {
+      const f = fragmentsById.get(id);
+      if (!f || !f.has_html) return notFound('HTML not available');
+      const page = pagesById.get(f.page_id);
+      return json(200, {
+        html: f.html,
+        styles: page.styles,
+        stylesheet_urls: page.stylesheet_urls,
+        base_url: baseUrlFor(page, req.origin)
+      });
+    }],
+
+    ['GET', /^\/api\/feed\/fragment\/([^/]+)\/screenshot$/, (req, [id]) => {
+      const f = fragmentsById.get(id);
+      if (!f) return notFound('Screenshot not available');
+      const width = Math.min(f.bbox.width, 1200);
+      const height = Math.round(f.bbox.height * (width / f.bbox.width));
+      const hue = (parseInt(f.fragment_id.slice(0, 2), 16) * 360) / 256;
+      return svg(placeholderSvg(`${f.archetype} · ${f.domain}`, width, height, Math.round(hue)));
+    }],
+
+    ['GET', /^\/api\/feed\/fragment\/([^/]+)\/metadata$/, (req, [id]) => {
+      const f = fragmentsById.get(id);
+      if (!f) return notFound('Fragment not found');
+      const page = pagesById.get(f.page_id);
+      const { html, ...rest } = f;
+      return json(200, {
+        ...rest,
+        page_url: page.url,
+        page_title: page.page_title,
+        page_number: page.page_number,
+        total_domain_pages: page.total_domain_pages
+      });
+    }],
+
+    ['PUT', /^\/api\/feed\/fragment\/([^/]+)\/destination-url$/, (req, [id]) => {
+      const f = fragmentsById.get(id);
+      if (!f) return notFound('Fragment not found');
+      f.destination_url = req.body?.destination_url || null;
+      return json(200, { success: true });
+    }],
+
+    ['GET', /^\/api\/feed\/article\/([^/]+)\/html$/, (req, [pageId]) => {
+      const page = pagesById.get(pageId);
+      if (!page) return notFound('Page not found');
+      const parts = data.fragments.filter(
+        f => f.page_id === pageId && ARTICLE_ARCHETYPES.has(f.archetype) && f.has_html
+      );
+      if (parts.length === 0) return notFound('HTML not available');
+      return json(200, {
+        html: parts.map(f => `<div data-zoh-fid="${f.fragment_id}">${f.html}</div>`).join('\n'),
+        styles: page.styles,
+        stylesheet_urls: page.stylesheet_urls,
+        base_url: baseUrlFor(page, req.origin),
+        fragment_ids: parts.map(f => f.fragment_id)
+      });
+    }],
+
+    ['GET', /^\/api\/feed\/available-sites$/, () => json(200, {
+      sites: countBy('domain').map(([domain, count]) => ({ domain, count }))
+    })],
+
+    ['GET', /^\/api\/feed\/available-archetypes$/, () => json(200, {
+      archetypes: countBy('archetype').map(([archetype, count]) => ({ archetype, count }))
+    })],
+
+    ['GET', /^\/api\/feed\/available-pages$/, () => json(200, {
+      pages: data.pages.map(page => ({
+        page_id: page.page_id,
+        url: page.url,
+        domain: page.domain,
+        page_number: page.page_number,
+        total_domain_pages: page.total_domain_pages,
+        count: data.fragments.filter(f => f.page_id === page.page_id).length
+      }))
+    })],
+
+    ['POST', /^\/api\/feed\/engage$/, (req) => {
+      const events = Array.isArray(req.body?.events) ? req.body.events : [];
+      let processed = 0;
+      for (const event of events) {
+        // Deduplicate retried / beaconed events by client id
+        if (event.client_event_id && seenEventIds.has(event.client_event_id)) continue;
+        if (event.client_event_id) seenEventIds.add(event.client_event_id);
+        engagementEvents.push({ user_id: req.body.user_id, ...event });
+        processed++;
+      }
+      return json(200, { success: true, processed });
+    }],
+
+    ['GET', /^\/mock-sites\/(.+)$/, (req, [path]) => svg(placeholderSvg(path.split('/').pop(), 640, 360))]
+  ];
+
+  /**
+   * Handle one request. Never throws: a malformed path gets a 400, a
+   * failing handler a 500.
+   * @param {{method: string, path: string, query?: Object, body?: Object, origin?: string}} req
+   * @returns {{status: number, headers: Object, body: string}}
+   */
+  const handleRequest = (req) => {
+    const request = { query: {}, body: null, origin: 'http://localhost:5001', ...req };
+    for (const [method, pattern, handler] of routes) {
+      if (method !== request.method) continue;
+      const match = request.path.match(pattern);
+      if (!match) continue;
+
+      let params;
+      try {
+        params = match.slice(1).map(decodeURIComponent);
+      } catch {
+        // e.g. a stray % in an id
+        return badRequest('Malformed URL path');
+      }
+      try {
+        return handler(request, params);
+      } catch (error) {
+        console.error(`Mock handler failed for ${request.method} ${request.path}:`, error);
+        return json(500, { error: 'Internal server error' });
+      }
+    }
+    return notFound();
+  };
+
+  return { handleRequest, data, engagementEvents };
+}
+
+module.exports = { createMockApi, seededShuffle };
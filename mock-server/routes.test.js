@@ -0,0 +1,135 @@
+/**
+ * Mock Feed API Route Tests
+ *
+ * Plain node:test, since the app's Jest setup only looks under src/.
+ *
+ * Usage:
+ *   npm run test:mock-api
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockApi } = require('./routes');
+
+const { handleRequest, data } = createMockApi({ seed: 42, pageCount: 40 });
+
+const get = (path, query = {}) => {
+  const result = handleRequest({ method: 'GET', path, query });
+  return { status: result.status, body: JSON.parse(result.body) };
+};
+
+// Follow next_cursor until has_more is false
+const collect = (path, key, query) => {
+  const items = [];
+  let cursor = null;
+  for (let pages = 0; pages < 100; pages++) {
+    const { body } = get(path, { ...query, ...(cursor ? { cursor } : {}) });
+    items.push(...body[key]);
+    if (!body.has_more) return items;
+    assert.ok(body.next_cursor, 'a page with more after it has a cursor');
+    cursor = body.next_cursor;
+  }
+  throw new Error('pagination did not end');
+};
+
+const itemId = (item) => (item.type === 'article' ? item.article_id : item.fragment_id);
+
+describe('cursor pagination', () => {
+  test('walks every fragment once, in creation order', () => {
+    const fragments = collect('/api/feed/fragments', 'fragments', { limit: '7' });
+    assert.deepEqual(fragments.map(f => f.fragment_id), data.fragments.map(f => f.fragment_id));
+  });
+
+  test('walks every feed item once', () => {
+    const items = collect('/api/feed/articles', 'items', { limit: '5' });
+    const ids = items.map(itemId);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual(ids, collect('/api/feed/articles', 'items', { limit: '100' }).map(itemId));
+  });
+
+  test('clamps the limit', () => {
+    assert.equal(get('/api/feed/fragments', { limit: '0' }).body.fragments.length, 20);
+    assert.equal(get('/api/feed/fragments', { limit: '1000' }).body.fragments.length, Math.min(100, data.fragments.length));
+    assert.ok(data.fragments.length > 100, 'fixtures span more than one maximum-size page');
+  });
+
+  test('returns an empty last page for an unknown cursor', () => {
+    assert.deepEqual(get('/api/feed/fragments', { cursor: 'nope' }).body, { fragments: [], next_cursor: null, has_more: false });
+  });
+});
+
+describe('random_seed', () => {
+  const ids = (seed) => collect('/api/feed/articles', 'items', { limit: '9', random_seed: seed }).map(itemId);
+
+  test('gives the same order for the same seed, across pages', () => {
+    assert.deepEqual(ids('abc'), ids('abc'));
+    const bigPages = collect('/api/feed/articles', 'items', { limit: '100', random_seed: 'abc' }).map(itemId);
+    assert.deepEqual(ids('abc'), bigPages);
+  });
+
+  test('gives a different order for another seed', () => {
+    const unseeded = collect('/api/feed/articles', 'items', { limit: '100' }).map(itemId);
+    assert.notDeepEqual(ids('abc'), ids('xyz'));
+    assert.notDeepEqual(ids('abc'), unseeded);
+    assert.deepEqual([...ids('abc')].sort(), [...unseeded].sort());
+  });
+});
+
+describe('filters', () => {
+  const [domain] = [...new Set(data.fragments.map(f => f.domain))];
+
+  test('archetypes keep only those archetypes', () => {
+    const fragments = collect('/api/feed/fragments', 'fragments', { archetypes: 'code_block,comment' });
+    assert.ok(fragments.length > 0);
+    assert.ok(fragments.every(f => ['code_block', 'comment'].includes(f.archetype)));
+    assert.equal(fragments.length, data.fragments.filter(f => ['code_block', 'comment'].includes(f.archetype)).length);
+  });
+
+  test('domains keep only those domains, in both feeds', () => {
+    const fragments = collect('/api/feed/fragments', 'fragments', { domains: domain });
+    assert.ok(fragments.length > 0);
+    assert.ok(fragments.every(f => f.domain === domain));
+    assert.ok(collect('/api/feed/articles', 'items', { domains: domain }).every(item => item.domain === domain));
+  });
+
+  test('exclusions drop domains and archetypes', () => {
+    const items = collect('/api/feed/articles', 'items', { exclude_domains: domain, exclude_archetypes: 'article,article_media' });
+    assert.ok(items.length > 0);
+    assert.ok(items.every(item => item.type === 'fragment' && item.domain !== domain));
+  });
+
+  test('groups article fragments of a page into one assembled article', () => {
+    const articles = collect('/api/feed/articles', 'items', {}).filter(item => item.type === 'article');
+    assert.ok(articles.length > 0);
+    assert.equal(new Set(articles.map(a => a.page_id)).size, articles.length);
+    articles.forEach(article => assert.equal(article.fragment_count, article.fragments.length));
+  });
+});
+
+describe('errors', () => {
+  test('404s unknown fragments, pages and routes', () => {
+    assert.equal(get('/api/feed/fragment/missing/html').status, 404);
+    assert.equal(get('/api/feed/fragment/missing/metadata').status, 404);
+    assert.equal(get('/api/feed/article/missing/html').status, 404);
+    assert.equal(get('/api/feed/nothing-here').status, 404);
+  });
+
+  test('404s HTML for a fragment without HTML', () => {
+    const fragment = data.fragments.find(f => !f.has_html);
+    assert.ok(fragment);
+    assert.deepEqual(get(`/api/feed/fragment/${fragment.fragment_id}/html`), {
+      status: 404,
+      body: { error: 'HTML not available' },
+    });
+  });
+
+  test('400s a malformed path instead of throwing', () => {
+    assert.deepEqual(get('/api/feed/fragment/%E0/html'), { status: 400, body: { error: 'Malformed URL path' } });
+  });
+
+  test('500s a failing handler instead of throwing', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const result = handleRequest({ method: 'GET', path: '/api/feed/fragments', query: null });
+    assert.equal(result.status, 500);
+  });
+});
@@ -1,18 +1,39 @@
 /**
  * App Component
  *
- * Root component for zoh-mvp-v2 Fragment Feed
+ * Root component for zoh-mvp-v2 Fragment Feed.
+ * Picks the top-level view from the current route (see utils/router).
  */
 
 import React from 'react';
 import { Analytics } from "@vercel/analytics/react";
 import Feed from './components/Feed/Feed';
+import FragmentPage from './components/Permalink/FragmentPage';
+import ArticlePage from './components/Permalink/ArticlePage';
+import SavedPage from './components/Saved/SavedPage';
+import HighlightsPage from './components/Highlights/HighlightsPage';
+import useRoute from './hooks/useRoute';
 import './App.css';
 
 function App() {
+  const route = useRoute();
+
+  let view;
+  if (route.name === 'fragment') {
+    view = <FragmentPage key={route.params.fragmentId} fragmentId={route.params.fragmentId} />;
+  } else if (route.name === 'article') {
+    view = <ArticlePage key={route.params.pageId} pageId={route.params.pageId} />;
+  } else if (route.name === 'saved') {
+    view = <SavedPage />;
+  } else if (route.name === 'highlights') {
+    view = <HighlightsPage />;
+  } else {
+    view = <Feed />;
+  }
+
   return (
     <div className="App">
-      <Feed />
+      {view}
       <Analytics />
     </div>
   );
@@ -1,8 +1,44 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act } from '@testing-library/react';
 import App from './App';
+import { navigate } from './utils/router';
 
-test('renders learn react link', () => {
+// Jest 27 can't resolve the package's subpath exports; analytics is a no-op in tests anyway
+jest.mock('@vercel/analytics/react', () => ({ Analytics: () => null }), { virtual: true });
+
+// The views fetch from the API; routing is what's under test here
+jest.mock('./components/Feed/Feed', () => () => <div>feed view</div>);
+jest.mock('./components/Permalink/FragmentPage', () => ({ fragmentId }) => <div>fragment {fragmentId}</div>);
+jest.mock('./components/Permalink/ArticlePage', () => ({ pageId }) => <div>article {pageId}</div>);
+jest.mock('./components/Saved/SavedPage', () => () => <div>saved view</div>);
+jest.mock('./components/Highlights/HighlightsPage', () => () => <div>highlights view</div>);
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('renders the feed at the root', () => {
+  render(<App />);
+  expect(screen.getByText('feed view')).toBeInTheDocument();
+});
+
+test('renders the view for the current route', () => {
+  window.history.replaceState(null, '', '/fragment/frag-1');
+  render(<App />);
+  expect(screen.getByText('fragment frag-1')).toBeInTheDocument();
+});
+
+test('follows navigate()', () => {
+  render(<App />);
+  act(() => navigate('/article/page-7'));
+  expect(screen.getByText('article page-7')).toBeInTheDocument();
+  act(() => navigate('/saved'));
+  expect(screen.getByText('saved view')).toBeInTheDocument();
+  act(() => navigate('/highlights'));
+  expect(screen.getByText('highlights view')).toBeInTheDocument();
+});
+
+test('falls back to the feed for a malformed path param', () => {
+  window.history.replaceState(null, '', '/fragment/%E0');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('feed view')).toBeInTheDocument();
 });
@@ -6,18 +6,47 @@
  * Uses Shadow DOM for complete CSS isolation from the feed's dark theme.
  *
  * Features:
- * - Lazy loading via IntersectionObserver
- * - DOMPurify sanitization (defense-in-depth)
+ * - Lazy loading via IntersectionObserver, queued by the load scheduler
+ * - Per-archetype sanitization with a debug audit (see utils/sanitizeEmbed)
+ * - Relative URLs resolved against the page's base_url
  * - Shadow DOM style isolation
  * - Link interception (opens in new tab)
  * - Scrollable content for long articles
- * - Graceful fallback to screenshot on error
+ * - Graceful fallback to screenshot on error, or when the render check
+ *   finds the HTML blank, collapsed or full of broken images
+ * - Manual HTML / screenshot toggle
+ * - Fidelity mode: lay out at the original bbox width and scale to fit,
+ *   with pinch zoom (see useFidelityScale)
+ * - Reading progress, time estimate and scroll_depth events for articles
+ *   (see useReadingProgress)
+ * - Reader settings (font size, width, theme) applied through CSS custom
+ *   properties (see utils/readerSettings)
+ * - Lazy images and a tap-to-enlarge lightbox (see useEmbedImages)
+ * - Highlights and notes on selected text (see useTextHighlights)
+ * - Find-in-article and search term marking in the feed (see useArticleFind)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import DOMPurify from 'dompurify';
-import { fetchFragmentHtml } from '../../services/api';
+import { loadFragmentHtml, peekFragmentHtml } from '../../utils/htmlResource';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import { sanitizeEmbed } from '../../utils/sanitizeEmbed';
+import { assessRender } from '../../utils/renderQuality';
+import useLoadTurn from '../../hooks/useLoadTurn';
+import { useEngagement } from '../../hooks/useEngagement';
+import useFidelityScale from '../../hooks/useFidelityScale';
+import useReadingProgress from '../../hooks/useReadingProgress';
+import { countWords } from '../../utils/readingTime';
+import { getEmbedShadowRoot, injectEmbed, applyReaderSettings } from '../../utils/embedShadow';
+import useReaderSettings from '../../hooks/useReaderSettings';
+import useEmbedImages from '../../hooks/useEmbedImages';
+import useTextHighlights from '../../hooks/useTextHighlights';
+import useArticleFind from '../../hooks/useArticleFind';
 import FragmentImage from './FragmentImage';
+import SanitizeAudit from './SanitizeAudit';
+import ReadingProgress from './ReadingProgress';
+import ReaderSettings from './ReaderSettings';
+import Lightbox from './Lightbox';
+import HighlightPopover from './HighlightPopover';
 import './ArticleEmbed.css';
 
 // Archetypes that render via shadow DOM + cleaned HTML
@@ -31,14 +60,54 @@ const HTML_EMBED_ARCHETYPES = new Set([
  */
 export const isHtmlEmbedArchetype = (archetype) => HTML_EMBED_ARCHETYPES.has(archetype);
 
+// Archetypes that get reading progress and scroll_depth tracking
+const ARTICLE_ARCHETYPES = new Set(['article', 'article_media']);
+
 const ArticleEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) => {
-  const [shouldLoad, setShouldLoad] = useState(false);
-  const [htmlData, setHtmlData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
+  // Restore loaded state if this card was previously mounted (feed windowing)
+  const [cachedHtml] = useState(() => peekFragmentHtml(fragmentId));
+  const [cachedState] = useState(() => getRenderState('article-embed', fragmentId));
+  const [shouldLoad, setShouldLoad] = useState(!!cachedHtml);
+  const [htmlData, setHtmlData] = useState(cachedHtml);
+  const [isLoading, setIsLoading] = useState(!cachedHtml);
   const [hasError, setHasError] = useState(false);
   const containerRef = useRef(null);
   const shadowHostRef = useRef(null);
   const shadowRootRef = useRef(null);
+  const [audit, setAudit] = useState(null);
+  // 'html' or 'screenshot'; a manual choice disables the automatic check
+  const [renderMode, setRenderMode] = useState(cachedState?.mode || 'html');
+  const [fallbackReasons, setFallbackReasons] = useState(cachedState?.fallbackReasons || null);
+  const userChoseModeRef = useRef(!!cachedState?.userChoseMode);
+  const [fidelity, setFidelity] = useState(!!cachedState?.fidelity);
+  const canUseFidelity = !!bbox?.width;
+  const fidelityActive = fidelity && canUseFidelity;
+  const viewportRef = useRef(null);
+  const stageRef = useRef(null);
+  const { scale, stageHeight, zoomed } = useFidelityScale(
+    viewportRef, stageRef, bbox?.width, fidelityActive && !isLoading && renderMode === 'html'
+  );
+  const engagement = useEngagement();
+  const readerSettings = useReaderSettings();
+  const isArticle = ARTICLE_ARCHETYPES.has(archetype);
+  const [wordCount, setWordCount] = useState(0);
+  const { progress, scrollable } = useReadingProgress(viewportRef, {
+    trackingId: fragmentId,
+    wordCount,
+    enabled: isArticle && !isLoading && renderMode === 'html',
+  });
+
+  // Switch to the screenshot after a failed render check (latest props via ref)
+  const fallBackRef = useRef(null);
+  fallBackRef.current = ({ reasons, metrics }) => {
+    setRenderState('article-embed', fragmentId, { mode: 'screenshot', fallbackReasons: reasons });
+    setFallbackReasons(reasons);
+    setRenderMode('screenshot');
+    if (engagement) {
+      engagement.onDiagnostic(fragmentId, 'render_fallback', { archetype, domain, reasons, ...metrics });
+    }
+  };
+  const [loadGranted, , loadSignal] = useLoadTurn(shouldLoad && hasHtml && !htmlData && !hasError);
 
   // Lazy load: only fetch HTML when near viewport
   useEffect(() => {
@@ -61,21 +130,22 @@ const ArticleEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) =>
     return () => observer.disconnect();
   }, []);
 
-  // Fetch HTML when shouldLoad becomes true
+  // Fetch HTML once near the viewport and the scheduler grants a slot
   useEffect(() => {
-    if (!shouldLoad || !hasHtml) return;
+    if (!loadGranted || !hasHtml || htmlData || hasError) return;
 
     let cancelled = false;
 
     const loadHtml = async () => {
       try {
-        const data = await fetchFragmentHtml(fragmentId);
+        const data = await loadFragmentHtml(fragmentId, { signal: loadSignal });
         if (!cancelled) {
           setHtmlData(data);
           setIsLoading(false);
         }
       } catch (err) {
-        if (!cancelled) {
+        // An aborted turn (card scrolled away) is not a failure
+        if (!cancelled && !loadSignal.aborted) {
           setHasError(true);
           setIsLoading(false);
         }
@@ -84,196 +154,110 @@ const ArticleEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) =>
 
     loadHtml();
     return () => { cancelled = true; };
-  }, [shouldLoad, fragmentId, hasHtml]);
+  }, [loadGranted, loadSignal, fragmentId, hasHtml, htmlData, hasError]);
 
   // Inject HTML into Shadow DOM when data arrives
   useEffect(() => {
-    if (!htmlData || !shadowHostRef.current) return;
-
-    // Create shadow root (only once)
-    if (!shadowRootRef.current) {
-      try {
-        shadowRootRef.current = shadowHostRef.current.attachShadow({ mode: 'open' });
-      } catch (e) {
-        // Shadow root already attached (React strict mode double-render)
-        shadowRootRef.current = shadowHostRef.current.shadowRoot;
-      }
-    }
-
-    const shadow = shadowRootRef.current;
-    if (!shadow) return;
-
-    // Base reset styles for readability inside Shadow DOM
-    const resetCSS = `
-      :host {
-        display: block;
-        all: initial;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-        color: #333;
-        line-height: 1.6;
-        font-size: 16px;
-      }
-      *, *::before, *::after { box-sizing: border-box; }
-
-      .article-embed-content {
-        padding: 20px 24px;
-        max-width: 100%;
-        overflow: hidden;
-        background: #fff;
-        word-wrap: break-word;
-        overflow-wrap: break-word;
-      }
-
-      /* Ensure images are responsive and centered */
-      img {
-        max-width: 100%;
-        height: auto;
-        display: block;
-        margin: 0 auto;
-      }
-
-      /* Readable link styles */
-      a {
-        color: #0066cc;
-        text-decoration: none;
-      }
-      a:hover {
-        text-decoration: underline;
-      }
-
-      /* Code blocks */
-      pre, code {
-        overflow-x: auto;
-        max-width: 100%;
-        font-family: 'SF Mono', Menlo, Monaco, Consolas, monospace;
-        font-size: 0.9em;
-      }
-      pre {
-        padding: 12px 16px;
-        background: #f5f5f5;
-        border-radius: 6px;
-        line-height: 1.4;
-      }
-      code {
-        padding: 2px 4px;
-        background: #f0f0f0;
-        border-radius: 3px;
-      }
-      pre code {
-        padding: 0;
-        background: none;
-      }
-
-      /* Table styling */
-      table {
-        border-collapse: collapse;
-        max-width: 100%;
-        overflow-x: auto;
-        display: block;
-      }
-      th, td {
-        padding: 8px 12px;
-        border: 1px solid #ddd;
-        text-align: left;
-      }
-      th {
-        background: #f5f5f5;
-        font-weight: 600;
-      }
+    if (!htmlData || renderMode !== 'html' || !shadowHostRef.current) return;
 
-      /* Lists */
-      ul, ol {
-        padding-left: 24px;
-      }
-      li {
-        margin-bottom: 4px;
-      }
+    // Shadow root of the current host (recreated after a round trip through
+    // screenshot mode)
+    const shadow = getEmbedShadowRoot(shadowHostRef.current);
+    shadowRootRef.current = shadow;
 
-      /* Headings */
-      h1, h2, h3, h4, h5, h6 {
-        margin-top: 1.2em;
-        margin-bottom: 0.5em;
-        line-height: 1.3;
-        color: #111;
-      }
-      h1 { font-size: 1.8em; }
-      h2 { font-size: 1.5em; }
-      h3 { font-size: 1.25em; }
+    // Sanitize HTML and page styles with the archetype's policy
+    const { html, css, stylesheetUrls, audit: sanitizeAudit } = sanitizeEmbed(htmlData, archetype, { deferImages: true });
+    setAudit(sanitizeAudit);
 
-      /* Paragraphs */
-      p {
-        margin: 0.8em 0;
-      }
+    const contentEl = injectEmbed(shadow, { html, css, stylesheetUrls, contentClass: 'article-embed-content' });
+    setWordCount(countWords(contentEl.innerText));
 
-      /* Blockquotes */
-      blockquote {
-        margin: 1em 0;
-        padding: 0.5em 1em;
-        border-left: 4px solid #ddd;
-        color: #666;
-        background: #fafafa;
-      }
-
-      /* Figures and captions */
-      figure {
-        margin: 1em auto;
-        max-width: 100%;
-      }
-      figcaption {
-        font-size: 0.85em;
-        color: #666;
-        margin-top: 0.5em;
-      }
-
-      /* Hide common non-content elements */
-      nav, .ad, .advertisement, .sidebar, .related-articles,
-      [role="navigation"], [role="banner"], [aria-hidden="true"] {
-        display: none !important;
-      }
-    `;
-
-    // Original page styles (from <style> blocks)
-    const pageCSS = (htmlData.styles || []).join('\n');
-
-    // Sanitize HTML with DOMPurify (defense-in-depth)
-    const cleanHtml = DOMPurify.sanitize(htmlData.html, {
-      ADD_TAGS: ['style'],
-      ADD_ATTR: ['target', 'rel'],
-      ALLOW_DATA_ATTR: true,
-      FORBID_TAGS: ['script', 'iframe', 'object', 'embed', 'form'],
-      FORBID_ATTR: ['onerror', 'onload', 'onclick', 'onmouseover'],
-    });
-
-    // Build external stylesheet links
-    const stylesheetLinks = (htmlData.stylesheet_urls || [])
-      .map(url => `<link rel="stylesheet" href="${DOMPurify.sanitize(url)}" crossorigin="anonymous">`)
-      .join('\n');
-
-    // Assemble and inject into Shadow DOM
-    shadow.innerHTML = `
-      <style>${resetCSS}</style>
-      <style>${pageCSS}</style>
-      ${stylesheetLinks}
-      <div class="article-embed-content">
-        ${cleanHtml}
-      </div>
-    `;
-
-    // Intercept link clicks: open in new tab, prevent card navigation
-    shadow.querySelectorAll('a[href]').forEach(link => {
-      const href = link.getAttribute('href');
-      // Skip anchor-only links
-      // eslint-disable-next-line no-script-url
-      if (href && href !== '#' && !href.startsWith('javascript:')) {
-        link.setAttribute('target', '_blank');
-        link.setAttribute('rel', 'noopener noreferrer');
-      }
-      link.addEventListener('click', (e) => {
-        e.stopPropagation();
+    // Post-render check once layout has happened
+    if (userChoseModeRef.current) return;
+    let cancelled = false;
+    const frame = requestAnimationFrame(() => {
+      assessRender(contentEl, bbox).then(result => {
+        if (!cancelled && !result.ok) fallBackRef.current(result);
       });
     });
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [htmlData, archetype, renderMode, bbox]);
 
-  }, [htmlData]);
+  // Re-apply reader settings when they change, without re-injecting
+  useEffect(() => {
+    applyReaderSettings(shadowRootRef.current, readerSettings, '.article-embed-content');
+  }, [readerSettings, htmlData, renderMode]);
+
+  const { lightbox, closeLightbox } = useEmbedImages({
+    shadowRootRef,
+    scrollRef: viewportRef,
+    contentSelector: '.article-embed-content',
+    content: htmlData,
+    enabled: renderMode === 'html' && !isLoading,
+  });
+
+  const highlighter = useTextHighlights({
+    shadowRootRef,
+    scrollRef: viewportRef,
+    contentSelector: '.article-embed-content',
+    content: htmlData,
+    fragmentIds: [fragmentId],
+    source: { domain, url },
+    enabled: renderMode === 'html' && !isLoading,
+  });
+
+  useArticleFind({
+    shadowRootRef,
+    scrollRef: viewportRef,
+    contentSelector: '.article-embed-content',
+    content: htmlData,
+    enabled: renderMode === 'html' && !isLoading,
+  });
+
+  const toggleRenderMode = (e) => {
+    e.stopPropagation();
+    const next = renderMode === 'html' ? 'screenshot' : 'html';
+    userChoseModeRef.current = true;
+    setRenderState('article-embed', fragmentId, { mode: next, userChoseMode: true });
+    setRenderMode(next);
+  };
+
+  const toggleFidelity = (e) => {
+    e.stopPropagation();
+    setRenderState('article-embed', fragmentId, { fidelity: !fidelity });
+    setFidelity(!fidelity);
+  };
+
+  const renderModeToggle = (
+    <div className="render-mode-controls">
+      {renderMode === 'html' && !fidelityActive && <ReaderSettings />}
+      {renderMode === 'html' && canUseFidelity && (
+        <button
+          type="button"
+          className={`render-mode-toggle ${fidelityActive ? 'active' : ''}`}
+          onClick={toggleFidelity}
+          title={fidelityActive
+            ? 'Reflow the content to fit the card'
+            : 'Show the original layout, scaled to fit (pinch to zoom)'}
+        >
+          {fidelityActive ? 'Reflow' : 'Original'}
+        </button>
+      )}
+      <button
+        type="button"
+        className="render-mode-toggle"
+        onClick={toggleRenderMode}
+        title={fallbackReasons && renderMode === 'screenshot'
+          ? `Switched to the screenshot automatically (${fallbackReasons.join(', ').replace(/_/g, ' ')})`
+          : 'Switch between the live HTML and the screenshot'}
+      >
+        {renderMode === 'html' ? 'Screenshot' : 'HTML'}
+      </button>
+    </div>
+  );
 
   // If no HTML available or error, fall back to screenshot
   if (!hasHtml || hasError) {
@@ -288,8 +272,26 @@ const ArticleEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) =>
     );
   }
 
+  if (renderMode === 'screenshot') {
+    return (
+      <div className="fragment-image-wrapper render-mode-screenshot">
+        <FragmentImage
+          fragmentId={fragmentId}
+          archetype={archetype}
+          domain={domain}
+        />
+        {renderModeToggle}
+      </div>
+    );
+  }
+
   return (
-    <div ref={containerRef} className="article-embed-container" style={bbox?.width ? { maxWidth: `${bbox.width}px` } : undefined}>
+    <div
+      ref={containerRef}
+      className="article-embed-container"
+      data-reader-theme={readerSettings.theme}
+      style={bbox?.width && !fidelityActive ? { maxWidth: `${bbox.width}px` } : undefined}
+    >
       {isLoading ? (
         <div className="article-embed-placeholder">
           <div className="article-loading-skeleton">
@@ -298,10 +300,38 @@ const ArticleEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) =>
           </div>
         </div>
       ) : (
-        <div className="article-embed-wrapper">
-          <div ref={shadowHostRef} className="article-shadow-host" />
+        <div
+          ref={viewportRef}
+          className={`article-embed-wrapper ${fidelityActive ? 'fidelity' : ''} ${zoomed ? 'zoomed' : ''}`}
+        >
+          {isArticle && (
+            <ReadingProgress progress={progress} scrollable={scrollable} wordCount={wordCount} />
+          )}
+          {/* Same structure in both modes so the shadow host is never remounted */}
+          <div
+            className="fidelity-sizer"
+            style={fidelityActive ? { width: `${bbox.width * scale}px`, height: `${stageHeight * scale}px` } : undefined}
+          >
+            <div
+              ref={stageRef}
+              className="fidelity-stage"
+              style={fidelityActive ? { width: `${bbox.width}px`, transform: `scale(${scale})` } : undefined}
+            >
+              <div
+                ref={shadowHostRef}
+                className="article-shadow-host"
+                data-fidelity={fidelityActive ? '' : undefined}
+              />
+            </div>
+          </div>
         </div>
       )}
+      {!isLoading && <SanitizeAudit audit={audit} />}
+      {!isLoading && renderModeToggle}
+      {lightbox && (
+        <Lightbox images={lightbox.images} startIndex={lightbox.index} onClose={closeLightbox} />
+      )}
+      <HighlightPopover highlighter={highlighter} />
     </div>
   );
 };
@@ -0,0 +1,90 @@
+/**
+ * ArticleOutline Component
+ *
+ * Collapsible table of contents for AssembledArticle. Shows the current
+ * section while collapsed; expanded, lists every entry from buildOutline
+ * and jumps to one within the article's scroll wrapper on click. The
+ * current section follows the wrapper's scroll position.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { findActiveEntry } from '../../utils/articleOutline';
+
+// Keeps the target heading clear of the wrapper's top edge
+const JUMP_OFFSET = 12;
+
+const ArticleOutline = ({ entries, scrollRef }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Track the section being read (rAF-throttled scroll handler)
+  useEffect(() => {
+    const scrollEl = scrollRef.current;
+    if (!scrollEl || entries.length === 0) return;
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      setActiveIndex(findActiveEntry(entries, scrollEl));
+    };
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    scrollEl.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      scrollEl.removeEventListener('scroll', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [entries, scrollRef]);
+
+  const jumpTo = (e, entry) => {
+    e.stopPropagation();
+    const scrollEl = scrollRef.current;
+    if (!scrollEl) return;
+    const delta = entry.element.getBoundingClientRect().top - scrollEl.getBoundingClientRect().top;
+    scrollEl.scrollTo({ top: scrollEl.scrollTop + delta - JUMP_OFFSET });
+  };
+
+  const toggle = (e) => {
+    e.stopPropagation();
+    setExpanded(value => !value);
+  };
+
+  const current = entries[activeIndex];
+
+  return (
+    <nav className={`article-outline ${expanded ? 'expanded' : ''}`} aria-label="Table of contents">
+      <button
+        type="button"
+        className="article-outline-toggle"
+        onClick={toggle}
+        aria-expanded={expanded}
+      >
+        <span className="article-outline-label">Contents</span>
+        <span className="article-outline-current">{current?.text}</span>
+        <span className="article-outline-chevron" aria-hidden="true">{expanded ? '▴' : '▾'}</span>
+      </button>
+      {expanded && (
+        <ol className="article-outline-list">
+          {entries.map((entry, i) => (
+            <li key={i}>
+              <button
+                type="button"
+                className={`article-outline-entry ${entry.kind} ${i === activeIndex ? 'active' : ''}`}
+                style={{ '--outline-depth': entry.depth }}
+                onClick={(e) => jumpTo(e, entry)}
+                aria-current={i === activeIndex ? 'location' : undefined}
+              >
+                {entry.text}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </nav>
+  );
+};
+
+export default ArticleOutline;
@@ -7,28 +7,95 @@
  *
  * Based on ArticleEmbed.jsx but operates at the page/article level
  * rather than individual fragment level.
+ *
+ * Long articles get a table of contents (ArticleOutline) built from their
+ * headings and per-fragment sentinels once the HTML is injected, plus a
+ * reading progress bar and scroll_depth events (see useReadingProgress).
+ * Reader settings (font size, width, theme) reach the shadow root as CSS
+ * custom properties (see utils/readerSettings). Images load lazily and open
+ * in a lightbox (see useEmbedImages). Selected text can be highlighted and
+ * annotated, each highlight belonging to the fragment it was made in (see
+ * useTextHighlights). In the feed, the article can be searched from the find
+ * bar and the search filter's terms are marked (see useArticleFind).
+ *
+ * Like ArticleEmbed, the card falls back to a screenshot (of the first
+ * fragment) when the render check finds the HTML blank, collapsed or full of
+ * broken images, and can be switched between HTML and screenshot by hand.
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import DOMPurify from 'dompurify';
-import { fetchArticleHtml } from '../../services/api';
+import { loadArticleHtml, peekArticleHtml } from '../../utils/htmlResource';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import { sanitizeEmbed } from '../../utils/sanitizeEmbed';
+import { assessRender } from '../../utils/renderQuality';
+import { buildOutline } from '../../utils/articleOutline';
+import useLoadTurn from '../../hooks/useLoadTurn';
 import FragmentImage from './FragmentImage';
+import CardActions from './CardActions';
+import SanitizeAudit from './SanitizeAudit';
+import ArticleOutline from './ArticleOutline';
+import ReadingProgress from './ReadingProgress';
+import ReaderSettings from './ReaderSettings';
+import Lightbox from './Lightbox';
+import HighlightPopover from './HighlightPopover';
 import { useEngagement } from '../../hooks/useEngagement';
+import useReadingProgress from '../../hooks/useReadingProgress';
+import { countWords } from '../../utils/readingTime';
+import { getEmbedShadowRoot, injectEmbed, applyReaderSettings } from '../../utils/embedShadow';
+import useReaderSettings from '../../hooks/useReaderSettings';
+import useEmbedImages from '../../hooks/useEmbedImages';
+import useTextHighlights from '../../hooks/useTextHighlights';
+import useArticleFind from '../../hooks/useArticleFind';
+import { articlePath } from '../../utils/router';
 import './AssembledArticle.css';
 
+// Short articles don't need a table of contents
+const MIN_OUTLINE_ENTRIES = 3;
+
 const AssembledArticle = ({ article }) => {
   const { page_id, domain, url, has_html, fragments, fragment_count, page_number } = article;
 
-  const [shouldLoad, setShouldLoad] = useState(false);
-  const [htmlData, setHtmlData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
+  // Restore loaded state if this card was previously mounted (feed windowing)
+  const [cachedHtml] = useState(() => peekArticleHtml(page_id));
+  const [cachedState] = useState(() => getRenderState('assembled-article', page_id));
+  const [shouldLoad, setShouldLoad] = useState(!!cachedHtml);
+  const [htmlData, setHtmlData] = useState(cachedHtml);
+  const [isLoading, setIsLoading] = useState(!cachedHtml);
   const [hasError, setHasError] = useState(false);
   const containerRef = useRef(null);
   const shadowHostRef = useRef(null);
   const shadowRootRef = useRef(null);
+  const [loadGranted, , loadSignal] = useLoadTurn(shouldLoad && has_html && !htmlData && !hasError);
   const wrapperRef = useRef(null);
   const fragmentObserverRef = useRef(null);
+  const [audit, setAudit] = useState(null);
+  const [outline, setOutline] = useState([]);
+  // 'html' or 'screenshot'; a manual choice disables the automatic check
+  const [renderMode, setRenderMode] = useState(cachedState?.mode || 'html');
+  const [fallbackReasons, setFallbackReasons] = useState(cachedState?.fallbackReasons || null);
+  const userChoseModeRef = useRef(!!cachedState?.userChoseMode);
+  const htmlShown = !isLoading && renderMode === 'html';
   const engagement = useEngagement();
+  const readerSettings = useReaderSettings();
+  const [wordCount, setWordCount] = useState(0);
+  const trackingId = fragments?.[0]?.fragment_id;
+  const { progress, scrollable } = useReadingProgress(wrapperRef, {
+    trackingId,
+    wordCount,
+    enabled: htmlShown,
+    data: { page_id },
+  });
+
+  // Switch to the screenshot after a failed render check (latest props via ref)
+  const fallBackRef = useRef(null);
+  fallBackRef.current = ({ reasons, metrics }) => {
+    setRenderState('assembled-article', page_id, { mode: 'screenshot', fallbackReasons: reasons });
+    setFallbackReasons(reasons);
+    setRenderMode('screenshot');
+    if (engagement) {
+      engagement.onDiagnostic(trackingId, 'render_fallback', { archetype: 'article', domain, page_id, reasons, ...metrics });
+    }
+  };
 
   // Lazy load: only fetch HTML when near viewport
   useEffect(() => {
@@ -51,21 +118,21 @@ const AssembledArticle = ({ article }) => {
     return () => observer.disconnect();
   }, []);
 
-  // Fetch combined article HTML when shouldLoad becomes true
+  // Fetch combined article HTML once near the viewport and granted a slot
   useEffect(() => {
-    if (!shouldLoad || !has_html) return;
+    if (!loadGranted || !has_html || htmlData || hasError) return;
 
     let cancelled = false;
 
     const loadHtml = async () => {
       try {
-        const data = await fetchArticleHtml(page_id);
+        const data = await loadArticleHtml(page_id, { signal: loadSignal });
         if (!cancelled) {
           setHtmlData(data);
           setIsLoading(false);
         }
       } catch (err) {
-        if (!cancelled) {
+        if (!cancelled && !loadSignal.aborted) {
           setHasError(true);
           setIsLoading(false);
         }
@@ -74,143 +141,68 @@ const AssembledArticle = ({ article }) => {
 
     loadHtml();
     return () => { cancelled = true; };
-  }, [shouldLoad, page_id, has_html]);
+  }, [loadGranted, loadSignal, page_id, has_html, htmlData, hasError]);
 
   // Inject HTML into Shadow DOM when data arrives
   useEffect(() => {
-    if (!htmlData || !shadowHostRef.current) return;
-
-    // Create shadow root (only once)
-    if (!shadowRootRef.current) {
-      try {
-        shadowRootRef.current = shadowHostRef.current.attachShadow({ mode: 'open' });
-      } catch (e) {
-        shadowRootRef.current = shadowHostRef.current.shadowRoot;
-      }
-    }
-
-    const shadow = shadowRootRef.current;
-    if (!shadow) return;
-
-    // Base reset styles (same as ArticleEmbed)
-    const resetCSS = `
-      :host {
-        display: block;
-        all: initial;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-        color: #333;
-        line-height: 1.6;
-        font-size: 16px;
-      }
-      *, *::before, *::after { box-sizing: border-box; }
-
-      .assembled-article-content {
-        padding: 20px 24px;
-        max-width: 100%;
-        overflow: hidden;
-        background: #fff;
-        word-wrap: break-word;
-        overflow-wrap: break-word;
-      }
-
-      img {
-        max-width: 100%;
-        height: auto;
-        display: block;
-        margin: 0 auto;
-      }
-
-      a { color: #0066cc; text-decoration: none; }
-      a:hover { text-decoration: underline; }
-
-      pre, code {
-        overflow-x: auto;
-        max-width: 100%;
-        font-family: 'SF Mono', Menlo, Monaco, Consolas, monospace;
-        font-size: 0.9em;
-      }
-      pre {
-        padding: 12px 16px;
-        background: #f5f5f5;
-        border-radius: 6px;
-        line-height: 1.4;
-      }
-      code { padding: 2px 4px; background: #f0f0f0; border-radius: 3px; }
-      pre code { padding: 0; background: none; }
-
-      table { border-collapse: collapse; max-width: 100%; overflow-x: auto; display: block; }
-      th, td { padding: 8px 12px; border: 1px solid #ddd; text-align: left; }
-      th { background: #f5f5f5; font-weight: 600; }
-
-      ul, ol { padding-left: 24px; }
-      li { margin-bottom: 4px; }
+    if (!htmlData || renderMode !== 'html' || !shadowHostRef.current) return;
 
-      h1, h2, h3, h4, h5, h6 {
-        margin-top: 1.2em;
-        margin-bottom: 0.5em;
-        line-height: 1.3;
-        color: #111;
-      }
-      h1 { font-size: 1.8em; }
-      h2 { font-size: 1.5em; }
-      h3 { font-size: 1.25em; }
-
-      p { margin: 0.8em 0; }
-
-      blockquote {
-        margin: 1em 0;
-        padding: 0.5em 1em;
-        border-left: 4px solid #ddd;
-        color: #666;
-        background: #fafafa;
-      }
-
-      figure { margin: 1em auto; max-width: 100%; }
-      figcaption { font-size: 0.85em; color: #666; margin-top: 0.5em; }
+    const shadow = getEmbedShadowRoot(shadowHostRef.current);
+    shadowRootRef.current = shadow;
 
-      nav, .ad, .advertisement, .sidebar, .related-articles,
-      [role="navigation"], [role="banner"], [aria-hidden="true"] {
-        display: none !important;
-      }
-    `;
-
-    const pageCSS = (htmlData.styles || []).join('\n');
+    const { html, css, stylesheetUrls, audit: sanitizeAudit } = sanitizeEmbed(htmlData, 'article', { deferImages: true });
+    setAudit(sanitizeAudit);
 
-    const cleanHtml = DOMPurify.sanitize(htmlData.html, {
-      ADD_TAGS: ['style'],
-      ADD_ATTR: ['target', 'rel'],
-      ALLOW_DATA_ATTR: true,
-      FORBID_TAGS: ['script', 'iframe', 'object', 'embed', 'form'],
-      FORBID_ATTR: ['onerror', 'onload', 'onclick', 'onmouseover'],
-    });
+    const contentEl = injectEmbed(shadow, { html, css, stylesheetUrls, contentClass: 'assembled-article-content' });
+    setWordCount(countWords(contentEl.innerText));
+    setOutline(buildOutline(contentEl));
 
-    const stylesheetLinks = (htmlData.stylesheet_urls || [])
-      .map(url => `<link rel="stylesheet" href="${DOMPurify.sanitize(url)}" crossorigin="anonymous">`)
-      .join('\n');
-
-    shadow.innerHTML = `
-      <style>${resetCSS}</style>
-      <style>${pageCSS}</style>
-      ${stylesheetLinks}
-      <div class="assembled-article-content">
-        ${cleanHtml}
-      </div>
-    `;
-
-    // Intercept link clicks
-    shadow.querySelectorAll('a[href]').forEach(link => {
-      const href = link.getAttribute('href');
-      // eslint-disable-next-line no-script-url
-      if (href && href !== '#' && !href.startsWith('javascript:')) {
-        link.setAttribute('target', '_blank');
-        link.setAttribute('rel', 'noopener noreferrer');
-      }
-      link.addEventListener('click', (e) => {
-        e.stopPropagation();
+    // Post-render check once layout has happened. There is no single captured
+    // bbox to compare the height against, and without a first fragment there
+    // is no screenshot to fall back to.
+    if (userChoseModeRef.current || !trackingId) return;
+    let cancelled = false;
+    const frame = requestAnimationFrame(() => {
+      assessRender(contentEl).then(result => {
+        if (!cancelled && !result.ok) fallBackRef.current(result);
       });
     });
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [htmlData, renderMode, trackingId]);
 
-  }, [htmlData]);
+  // Re-apply reader settings when they change, without re-injecting
+  useEffect(() => {
+    applyReaderSettings(shadowRootRef.current, readerSettings, '.assembled-article-content');
+  }, [readerSettings, htmlData, renderMode]);
+
+  const { lightbox, closeLightbox } = useEmbedImages({
+    shadowRootRef,
+    scrollRef: wrapperRef,
+    contentSelector: '.assembled-article-content',
+    content: htmlData,
+    enabled: htmlShown,
+  });
+
+  const highlighter = useTextHighlights({
+    shadowRootRef,
+    scrollRef: wrapperRef,
+    contentSelector: '.assembled-article-content',
+    content: htmlData,
+    fragmentIds: htmlData?.fragment_ids || fragments?.map(fragment => fragment.fragment_id),
+    source: { domain, url, page_id },
+    enabled: htmlShown,
+  });
+
+  useArticleFind({
+    shadowRootRef,
+    scrollRef: wrapperRef,
+    contentSelector: '.assembled-article-content',
+    content: htmlData,
+    enabled: htmlShown,
+  });
 
   // Card-level visibility tracking (is this article card active in the snap scroll?)
   useEffect(() => {
@@ -262,7 +254,7 @@ const AssembledArticle = ({ article }) => {
   // Per-fragment sentinel observers inside Shadow DOM
   useEffect(() => {
     const shadow = shadowRootRef.current;
-    if (!shadow || !engagement || !wrapperRef.current) return;
+    if (renderMode !== 'html' || !shadow || !engagement || !wrapperRef.current) return;
 
     const sentinels = shadow.querySelectorAll('[data-zoh-fid]');
     if (sentinels.length === 0) return;
@@ -311,7 +303,7 @@ const AssembledArticle = ({ article }) => {
         }
       }
     };
-  }, [htmlData, engagement]);
+  }, [htmlData, engagement, renderMode]);
 
   // Navigate to origin URL when metadata is clicked
   const handleMetadataClick = (e) => {
@@ -321,25 +313,60 @@ const AssembledArticle = ({ article }) => {
     }
   };
 
-  // Fallback to screenshot of first fragment if no HTML
-  if (!has_html || hasError) {
+  const toggleRenderMode = (e) => {
+    e.stopPropagation();
+    const next = renderMode === 'html' ? 'screenshot' : 'html';
+    userChoseModeRef.current = true;
+    setRenderState('assembled-article', page_id, { mode: next, userChoseMode: true });
+    setRenderMode(next);
+  };
+
+  const renderModeToggle = (
+    <button
+      type="button"
+      className="render-mode-toggle"
+      onClick={toggleRenderMode}
+      title={fallbackReasons && renderMode === 'screenshot'
+        ? `Switched to the screenshot automatically (${fallbackReasons.join(', ').replace(/_/g, ' ')})`
+        : 'Switch between the live HTML and the screenshot'}
+    >
+      {renderMode === 'html' ? 'Screenshot' : 'HTML'}
+    </button>
+  );
+
+  // Screenshot of the first fragment if there is no HTML, and by choice or
+  // after a failed render check (then with the toggle back to HTML)
+  const canToggle = has_html && !hasError;
+  if (!canToggle || renderMode === 'screenshot') {
     const firstFragment = fragments?.[0];
     if (!firstFragment) return null;
 
     return (
-      <div className="fragment-card assembled-article-card">
+      <div ref={containerRef} className="fragment-card assembled-article-card">
         <div className="fragment-card-content">
-          <div className="fragment-image-wrapper">
+          <div className={`fragment-image-wrapper ${canToggle ? 'render-mode-screenshot' : ''}`}>
             <FragmentImage
               fragmentId={firstFragment.fragment_id}
               archetype={firstFragment.archetype}
               domain={domain}
             />
+            {canToggle && <div className="render-mode-controls">{renderModeToggle}</div>}
           </div>
           <div className="fragment-metadata" onClick={handleMetadataClick}>
             <div className="fragment-archetype-badge">Article{page_number ? ` · Page ${page_number}` : ''}</div>
             <div className="fragment-domain">{domain}</div>
+            <a
+              className="fragment-permalink"
+              href={articlePath(page_id)}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={(e) => e.stopPropagation()}
+              title="Open this article on its own page"
+            >
+              Permalink
+            </a>
           </div>
+          <CardActions item={article} trackingId={firstFragment.fragment_id} />
           <div className="fragment-hint" onClick={handleMetadataClick}>
             <span className="hint-icon">↗</span>
             <span className="hint-text">Click to open source</span>
@@ -362,14 +389,40 @@ const AssembledArticle = ({ article }) => {
             </div>
           </div>
         ) : (
-          <div ref={wrapperRef} className="assembled-article-wrapper">
-            <div ref={shadowHostRef} className="assembled-article-shadow-host" />
-          </div>
+          <>
+            {outline.length >= MIN_OUTLINE_ENTRIES && (
+              <ArticleOutline entries={outline} scrollRef={wrapperRef} />
+            )}
+            <div ref={wrapperRef} className="assembled-article-wrapper" data-reader-theme={readerSettings.theme}>
+              <ReadingProgress progress={progress} scrollable={scrollable} wordCount={wordCount} />
+              <div className="assembled-article-controls">
+                <ReaderSettings />
+                {renderModeToggle}
+              </div>
+              <div ref={shadowHostRef} className="assembled-article-shadow-host" />
+            </div>
+          </>
+        )}
+        {!isLoading && <SanitizeAudit audit={audit} />}
+        {lightbox && (
+          <Lightbox images={lightbox.images} startIndex={lightbox.index} onClose={closeLightbox} />
         )}
+        <HighlightPopover highlighter={highlighter} />
         <div className="fragment-metadata" onClick={handleMetadataClick}>
           <div className="fragment-archetype-badge">Article{page_number ? ` · Page ${page_number}` : ''}</div>
           <div className="fragment-domain">{domain}</div>
+          <a
+            className="fragment-permalink"
+            href={articlePath(page_id)}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => e.stopPropagation()}
+            title="Open this article on its own page"
+          >
+            Permalink
+          </a>
         </div>
+        <CardActions item={article} trackingId={trackingId} />
         <div className="fragment-hint" onClick={handleMetadataClick}>
           <span className="hint-icon">↗</span>
           <span className="hint-text">Click to open source</span>
@@ -0,0 +1,152 @@
+/**
+ * CardActions Component
+ *
+ * Vertical action rail on the right edge of a feed card: like, dislike,
+ * save and a "not interested" menu. Works for both fragment and assembled
+ * article items; engagement events are attributed to trackingId (the
+ * fragment id, or an article's first fragment id).
+ *
+ * The "not interested" menu only appears inside the feed, where a
+ * FeedFeedbackContext can collapse the card out of the list.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useEngagement } from '../../hooks/useEngagement';
+import useSavedLibrary from '../../hooks/useSavedLibrary';
+import useFeedPreferences from '../../hooks/useFeedPreferences';
+import { useFeedFeedback } from '../../hooks/useFeedFeedback';
+import { setReaction } from '../../utils/feedPreferences';
+
+const formatArchetype = (archetype) =>
+  archetype.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+const CardActions = ({ item, trackingId }) => {
+  const engagement = useEngagement();
+  const feedFeedback = useFeedFeedback();
+  const { isSaved, toggleSave } = useSavedLibrary();
+  const { reactions } = useFeedPreferences();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const menuRef = useRef(null);
+  const saved = isSaved(item);
+  const reaction = trackingId ? reactions[trackingId] : undefined;
+
+  // Close the menu on any outside click
+  useEffect(() => {
+    if (!menuOpen) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setMenuOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [menuOpen]);
+
+  const handleSave = async (e) => {
+    e.stopPropagation();
+    try {
+      const nowSaved = await toggleSave(item);
+      if (engagement && trackingId) {
+        engagement.onSave(trackingId, nowSaved);
+      }
+    } catch (err) {
+      console.error('Failed to update saved library:', err);
+    }
+  };
+
+  const handleReaction = (type) => (e) => {
+    e.stopPropagation();
+    if (!trackingId) return;
+    // Pressing the active reaction again clears it
+    const active = reaction !== type;
+    setReaction(trackingId, active ? type : null);
+    if (engagement) {
+      engagement.onFeedback(trackingId, type, { active });
+    }
+  };
+
+  const handleNotInterested = (scope) => (e) => {
+    e.stopPropagation();
+    setMenuOpen(false);
+    if (engagement && trackingId) {
+      engagement.onFeedback(trackingId, 'not_interested', {
+        scope,
+        domain: item.domain,
+        archetype: item.archetype || null,
+      });
+    }
+    if (scope === 'item') {
+      feedFeedback.dismiss(item);
+    } else {
+      feedFeedback.notInterested(item, scope);
+    }
+  };
+
+  return (
+    <div className="card-actions" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        className={`card-action-button ${reaction === 'like' ? 'active' : ''}`}
+        onClick={handleReaction('like')}
+        title="Like"
+        aria-pressed={reaction === 'like'}
+      >
+        <span className="card-action-icon">👍</span>
+        <span className="card-action-label">Like</span>
+      </button>
+      <button
+        type="button"
+        className={`card-action-button ${reaction === 'dislike' ? 'active' : ''}`}
+        onClick={handleReaction('dislike')}
+        title="Dislike"
+        aria-pressed={reaction === 'dislike'}
+      >
+        <span className="card-action-icon">👎</span>
+        <span className="card-action-label">Dislike</span>
+      </button>
+      <button
+        type="button"
+        className={`card-action-button ${saved ? 'active' : ''}`}
+        onClick={handleSave}
+        title={saved ? 'Remove from saved' : 'Save'}
+        aria-pressed={saved}
+      >
+        <span className="card-action-icon">{saved ? '★' : '☆'}</span>
+        <span className="card-action-label">{saved ? 'Saved' : 'Save'}</span>
+      </button>
+      {feedFeedback && (
+        <div className="card-action-menu-wrapper" ref={menuRef}>
+          <button
+            type="button"
+            className="card-action-button"
+            onClick={(e) => { e.stopPropagation(); setMenuOpen(open => !open); }}
+            title="More"
+            aria-haspopup="menu"
+            aria-expanded={menuOpen}
+          >
+            <span className="card-action-icon">⋯</span>
+          </button>
+          {menuOpen && (
+            <div className="card-action-menu" role="menu">
+              <button type="button" role="menuitem" onClick={handleNotInterested('item')}>
+                Hide this
+              </button>
+              {item.domain && (
+                <button type="button" role="menuitem" onClick={handleNotInterested('domain')}>
+                  Not interested in {item.domain}
+                </button>
+              )}
+              {item.type !== 'article' && item.archetype && (
+                <button type="button" role="menuitem" onClick={handleNotInterested('archetype')}>
+                  Not interested in {formatArchetype(item.archetype)}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CardActions;
@@ -0,0 +1,205 @@
+/**
+ * CodeBlockEmbed Component
+ *
+ * Orchestrates code_block fragment rendering:
+ * 1. Lazy-fetch HTML (queued by the load scheduler) → extractCode
+ * 2. Code found → native listing with our own syntax highlighting
+ * 3. Otherwise → ArticleEmbed (the generic shadow DOM rendering)
+ *
+ * The toolbar copies the clean code to the clipboard and toggles line
+ * wrapping and line numbers. Line numbers are drawn by CSS, so copying a
+ * selection never picks them up.
+ *
+ * Follows the same cancelled-flag async pattern as ProductCardEmbed.
+ */
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import ArticleEmbed from './ArticleEmbed';
+import { loadFragmentHtml, peekFragmentHtml } from '../../utils/htmlResource';
+import { extractCode } from '../../utils/extractCode';
+import { tokenize, tokensToLines } from '../../utils/highlightCode';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
+import './CodeBlockEmbed.css';
+
+const LANGUAGE_LABELS = {
+  javascript: 'JavaScript',
+  python: 'Python',
+  bash: 'Shell',
+  json: 'JSON',
+  css: 'CSS',
+  html: 'HTML',
+  sql: 'SQL',
+  go: 'Go',
+  rust: 'Rust',
+  java: 'Java',
+  cpp: 'C/C++',
+  ruby: 'Ruby',
+};
+
+const CodeBlockEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) => {
+  // Restore extraction result if this card was previously mounted (feed windowing)
+  const [cached] = useState(() => {
+    const state = getRenderState('code-block', fragmentId);
+    if (state) return state;
+    // HTML already loaded elsewhere (e.g. the permalink page): extract now
+    const html = peekFragmentHtml(fragmentId);
+    if (!html) return null;
+    const result = extractCode(html.html);
+    return result ? { listing: result } : { fallback: true };
+  });
+  const [listing, setListing] = useState(cached?.listing || null);
+  const [fallback, setFallback] = useState(!!cached?.fallback || !hasHtml);
+  const [nearViewport, setNearViewport] = useState(false);
+  const [wrap, setWrap] = useState(false);
+  const [showLineNumbers, setShowLineNumbers] = useState(true);
+  const [copied, setCopied] = useState(false);
+  const containerRef = useRef(null);
+  const [loadGranted, , loadSignal] = useLoadTurn(nearViewport && !listing && !fallback);
+
+  useEffect(() => {
+    if (listing || fallback) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return;
+        observer.disconnect();
+        setNearViewport(true);
+      },
+      { rootMargin: '1500px', threshold: 0.01 }
+    );
+
+    if (containerRef.current) {
+      observer.observe(containerRef.current);
+    }
+
+    return () => observer.disconnect();
+  }, [listing, fallback]);
+
+  useEffect(() => {
+    if (!loadGranted || listing || fallback) return;
+
+    let cancelled = false;
+
+    const loadAndExtract = async () => {
+      try {
+        const data = await loadFragmentHtml(fragmentId, { signal: loadSignal });
+        if (cancelled) return;
+
+        const result = extractCode(data.html);
+        setRenderState('code-block', fragmentId, result ? { listing: result } : { fallback: true });
+        if (cancelled) return;
+
+        if (result) {
+          setListing(result);
+        } else {
+          setFallback(true);
+        }
+      } catch {
+        // ArticleEmbed handles fetch failures with its screenshot fallback
+        if (!cancelled && !loadSignal.aborted) setFallback(true);
+      }
+    };
+
+    loadAndExtract();
+    return () => { cancelled = true; };
+  }, [loadGranted, loadSignal, fragmentId, listing, fallback]);
+
+  const lines = useMemo(
+    () => (listing ? tokensToLines(tokenize(listing.code, listing.language)) : []),
+    [listing]
+  );
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(listing.code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy code:', err);
+    }
+  }, [listing]);
+
+  // No code found or no HTML: keep the generic rendering
+  if (fallback) {
+    return (
+      <ArticleEmbed
+        fragmentId={fragmentId}
+        archetype={archetype}
+        domain={domain}
+        url={url}
+        hasHtml={hasHtml}
+        bbox={bbox}
+      />
+    );
+  }
+
+  if (!listing) {
+    return (
+      <div ref={containerRef} className="code-native-card code-native-loading">
+        <div className="code-native-toolbar" />
+        <div className="code-native-body">
+          <div className="code-native-skeleton-line" />
+          <div className="code-native-skeleton-line short" />
+          <div className="code-native-skeleton-line" />
+        </div>
+      </div>
+    );
+  }
+
+  const label = LANGUAGE_LABELS[listing.language] || 'Code';
+
+  return (
+    <div className="code-native-card" data-language={listing.language || 'plain'}>
+      <div className="code-native-toolbar">
+        <span className="code-native-language">{label}</span>
+        <div className="code-native-actions">
+          <button
+            type="button"
+            className={`code-native-toggle ${showLineNumbers ? 'active' : ''}`}
+            onClick={() => setShowLineNumbers(value => !value)}
+            aria-pressed={showLineNumbers}
+            title="Toggle line numbers"
+          >
+            #
+          </button>
+          <button
+            type="button"
+            className={`code-native-toggle ${wrap ? 'active' : ''}`}
+            onClick={() => setWrap(value => !value)}
+            aria-pressed={wrap}
+            title="Toggle line wrapping"
+          >
+            ↩
+          </button>
+          <button
+            type="button"
+            className="code-native-copy"
+            onClick={handleCopy}
+          >
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+      <pre
+        className={`code-native-body ${wrap ? 'wrap' : ''} ${showLineNumbers ? 'numbered' : ''}`}
+        style={{ '--code-gutter-width': `${String(lines.length).length + 1}ch` }}
+      >
+        <code>
+          {lines.map((tokens, i) => (
+            <span key={i} className="code-native-line">
+              {tokens.map((token, j) => (
+                token.type === 'plain'
+                  ? token.text
+                  : <span key={j} className={`tok-${token.type}`}>{token.text}</span>
+              ))}
+              {'\n'}
+            </span>
+          ))}
+        </code>
+      </pre>
+    </div>
+  );
+};
+
+export default CodeBlockEmbed;
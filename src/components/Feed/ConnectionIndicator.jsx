@@ -0,0 +1,34 @@
+/**
+ * ConnectionIndicator Component
+ *
+ * Header badge showing backend connection status from useConnectionStatus.
+ * Pulses blue while live, amber when degraded, solid red when offline.
+ */
+
+import React from 'react';
+
+const STATUS_LABELS = {
+  live: 'LIVE',
+  degraded: 'DEGRADED',
+  offline: 'OFFLINE'
+};
+
+const STATUS_TITLES = {
+  live: 'Connected to the feed server',
+  degraded: 'Feed server is slow or not responding — retrying',
+  offline: 'Offline — will reconnect automatically'
+};
+
+const ConnectionIndicator = ({ status, onRetry }) => (
+  <button
+    type="button"
+    className={`live-indicator live-indicator-${status}`}
+    title={STATUS_TITLES[status]}
+    onClick={onRetry}
+  >
+    <div className="live-dot"></div>
+    <span className="live-text">{STATUS_LABELS[status]}</span>
+  </button>
+);
+
+export default ConnectionIndicator;
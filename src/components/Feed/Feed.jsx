@@ -4,20 +4,120 @@
  * Main TikTok-style vertical scroll feed.
  * Renders assembled articles (grouped article/article_media fragments)
  * and standalone fragments in a unified feed.
+ *
+ * Only cards within a window around the active card are mounted; the rest
+ * are height-preserving placeholders (see FeedItemSlot) so long sessions
+ * don't accumulate iframes, shadow roots and images.
+ *
+ * Ctrl/Cmd+F (or the Find button) opens a find bar for the article in view,
+ * and the terms of an active search filter are marked in rendered articles
+ * (see useArticleFind).
  */
 
-import React, { useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import useFeedData from '../../hooks/useFeedData';
 import { EngagementProvider } from '../../hooks/useEngagement';
+import useConnectionStatus from '../../hooks/useConnectionStatus';
+import useActiveCard from '../../hooks/useActiveCard';
+import { ArticleFindContext, createFindRegistry } from '../../hooks/useArticleFind';
+import { parseSearchTerms } from '../../utils/textSearch';
+import { setLoadFocus } from '../../utils/loadScheduler';
+import useFeedPreferences from '../../hooks/useFeedPreferences';
+import { FeedFeedbackContext } from '../../hooks/useFeedFeedback';
+import { excludeFromFeed, clearExclusions } from '../../utils/feedPreferences';
+import ConnectionIndicator from './ConnectionIndicator';
+import { handleLinkClick, SAVED_PATH, HIGHLIGHTS_PATH } from '../../utils/router';
 import FragmentCard from './FragmentCard';
 import AssembledArticle from './AssembledArticle';
 import FilterBar from './FilterBar';
+import FeedItemSlot from './FeedItemSlot';
+import FindBar from './FindBar';
 import '../../styles/Feed.css';
 
+// Render window around the active card. Ahead is larger than behind because
+// embeds start loading 1000-3000px (several cards) before they are reached.
+const WINDOW_BEHIND = 3;
+const WINDOW_AHEAD = 6;
+
+const feedItemKey = (item) => (
+  item.type === 'article' ? `article-${item.article_id}` : item.fragment_id
+);
+
 const Feed = () => {
-  const { items, loading, error, hasMore, loadMore, refresh, filters, applyFilters } = useFeedData();
+  const {
+    items, loading, error, hasMore, loadMore, refresh, filters, applyFilters, getShareUrl,
+    reportActiveIndex, restoredIndex, consumeRestoredIndex, dismissItem, pruneExcluded
+  } = useFeedData();
   const feedRef = useRef(null);
   const loadMoreThrottleRef = useRef(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Windowing: measured card heights survive unmounting
+  const cardHeights = useMemo(() => new Map(), []);
+  const { activeIndex, direction } = useActiveCard(feedRef, '.feed-content', items.length);
+
+  // Rank queued embed loads around the card in view
+  useEffect(() => {
+    setLoadFocus(activeIndex, direction);
+  }, [activeIndex, direction]);
+
+  // Find in the article in view; search filter terms marked in every embed
+  const findRegistry = useMemo(() => createFindRegistry(), []);
+  const [findOpen, setFindOpen] = useState(false);
+  const openFind = useCallback(() => setFindOpen(true), []);
+  const closeFind = useCallback(() => setFindOpen(false), []);
+  const searchTerms = useMemo(() => parseSearchTerms(filters.search), [filters.search]);
+  const articleFind = useMemo(() => ({ registry: findRegistry, searchTerms }), [findRegistry, searchTerms]);
+
+  // "Not interested" handling for CardActions: the card itself collapses
+  // right away, and loaded cards from the one in view on that match the
+  // exclusion go with it (cards above stay so the view doesn't jump)
+  const { excludedDomains, excludedArchetypes } = useFeedPreferences();
+  const hiddenCount = excludedDomains.length + excludedArchetypes.length;
+  const activeIndexRef = useRef(activeIndex);
+  activeIndexRef.current = activeIndex;
+  const feedFeedback = useMemo(() => ({
+    dismiss: dismissItem,
+    notInterested: (item, scope) => {
+      excludeFromFeed(scope, scope === 'domain' ? item.domain : item.archetype);
+      dismissItem(item);
+      pruneExcluded(activeIndexRef.current);
+    }
+  }), [dismissItem, pruneExcluded]);
+
+  const handleShowHidden = () => {
+    clearExclusions();
+    refresh();
+  };
+
+  // When the backend comes back, pick up where a failed request left off
+  const resumeRef = useRef(null);
+  resumeRef.current = () => {
+    if (!error) return;
+    if (items.length > 0) {
+      loadMore();
+    } else {
+      refresh();
+    }
+  };
+  const handleReconnect = useCallback(() => resumeRef.current(), []);
+  const { status: connectionStatus, checkNow } = useConnectionStatus({ onReconnect: handleReconnect });
+
+  // A failed request is a strong hint the connection changed: re-check now
+  useEffect(() => {
+    if (error) checkNow();
+  }, [error, checkNow]);
+
+  // Copy a link to the current feed view (filters + seed) to the clipboard
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl());
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy feed link:', err);
+    }
+  }, [getShareUrl]);
 
   // Handle scroll for infinite loading
   const handleScroll = useCallback(() => {
@@ -89,6 +189,22 @@ const Feed = () => {
     }
   }, [filters]);
 
+  // Session restore: jump back to the card that was in view. Declared after
+  // the scroll-to-top effect so it wins when both run in the same commit.
+  useEffect(() => {
+    if (restoredIndex === null || !feedRef.current) return;
+    const card = feedRef.current.querySelector('.feed-content')?.children[restoredIndex];
+    if (card) {
+      feedRef.current.scrollTo({ top: card.offsetTop });
+    }
+    consumeRestoredIndex();
+  }, [restoredIndex, items.length, consumeRestoredIndex]);
+
+  // Persist which card is in view with the session
+  useEffect(() => {
+    reportActiveIndex(activeIndex);
+  }, [activeIndex, reportActiveIndex]);
+
   // Error state
   if (error && items.length === 0) {
     return (
@@ -147,66 +263,132 @@ const Feed = () => {
 
   return (
     <EngagementProvider feedRef={feedRef}>
-      <div className="feed-container" ref={feedRef}>
-        {/* Header */}
-        <div className="feed-header">
-          <div className="feed-branding">
-            <h1 className="feed-title">ZOH Feed</h1>
-            <div className="live-indicator">
-              <div className="live-dot"></div>
-              <span className="live-text">LIVE</span>
+      <FeedFeedbackContext.Provider value={feedFeedback}>
+        <ArticleFindContext.Provider value={articleFind}>
+          <div className="feed-container" ref={feedRef}>
+            {/* Header */}
+            <div className="feed-header">
+              <div className="feed-branding">
+                <h1 className="feed-title">ZOH Feed</h1>
+                <ConnectionIndicator status={connectionStatus} onRetry={checkNow} />
+                <button
+                  className={`copy-link-button ${linkCopied ? 'copied' : ''}`}
+                  onClick={handleCopyLink}
+                  title="Copy a link to this exact feed (filters and ordering)"
+                >
+                  {linkCopied ? 'Copied!' : 'Copy link'}
+                </button>
+                <a
+                  href={SAVED_PATH}
+                  className="copy-link-button saved-link"
+                  onClick={(e) => handleLinkClick(e, SAVED_PATH)}
+                >
+                  ★ Saved
+                </a>
+                <a
+                  href={HIGHLIGHTS_PATH}
+                  className="copy-link-button saved-link"
+                  onClick={(e) => handleLinkClick(e, HIGHLIGHTS_PATH)}
+                >
+                  ✎ Highlights
+                </a>
+                <button
+                  className="copy-link-button"
+                  onClick={findOpen ? closeFind : openFind}
+                  title="Find in the article in view (Ctrl+F)"
+                >
+                  Find
+                </button>
+                {hiddenCount > 0 && (
+                  <button
+                    className="copy-link-button"
+                    onClick={handleShowHidden}
+                    title={[...excludedDomains, ...excludedArchetypes].join(', ')}
+                  >
+                    Show hidden ({hiddenCount})
+                  </button>
+                )}
+              </div>
+
+              {/* Filter Bar */}
+              <FilterBar
+                onApplyFilters={applyFilters}
+                currentFilters={filters}
+              />
             </div>
-          </div>
 
-          {/* Filter Bar */}
-          <FilterBar
-            onApplyFilters={applyFilters}
-            currentFilters={filters}
-          />
-        </div>
+            <FindBar
+              registry={findRegistry}
+              activeIndex={activeIndex}
+              open={findOpen}
+              onOpen={openFind}
+              onClose={closeFind}
+            />
 
-        {/* Feed Items */}
-        <div className="feed-content">
-          {items.map((item, index) => (
-            item.type === 'article' ? (
-              <AssembledArticle
-                key={`article-${item.article_id}`}
-                article={item}
-              />
-            ) : (
-              <FragmentCard
-                key={item.fragment_id}
-                fragment={item}
-                index={index}
-              />
-            )
-          ))}
-        </div>
+            {/* Feed Items */}
+            <div className="feed-content">
+              {items.map((item, index) => {
+                const key = feedItemKey(item);
+                const inWindow = index >= activeIndex - WINDOW_BEHIND && index <= activeIndex + WINDOW_AHEAD;
+                return (
+                  <FeedItemSlot
+                    key={key}
+                    itemKey={key}
+                    index={index}
+                    inWindow={inWindow}
+                    heights={cardHeights}
+                  >
+                    {item.type === 'article' ? (
+                      <AssembledArticle article={item} />
+                    ) : (
+                      <FragmentCard fragment={item} index={index} />
+                    )}
+                  </FeedItemSlot>
+                );
+              })}
+            </div>
 
-        {/* Loading More Indicator */}
-        {loading && items.length > 0 && (
-          <div className="feed-loading-more">
-            <div className="loading-spinner-small"></div>
-            <span>Loading more...</span>
-          </div>
-        )}
-
-        {/* End of Feed */}
-        {!hasMore && items.length > 0 && (
-          <div className="feed-end">
-            <p>You've reached the end!</p>
-            <button onClick={refresh} className="retry-button">
-              Back to Top
-            </button>
-          </div>
-        )}
+            {/* Load More Error — retry inline instead of hiding the failure */}
+            {error && !loading && items.length > 0 && (
+              <div className="feed-load-error">
+                <span>
+                  {connectionStatus === 'offline'
+                    ? "You're offline. Loading will resume when the connection is back."
+                    : `Couldn't load more: ${error}`}
+                </span>
+                <button onClick={loadMore} className="retry-button">
+                  Retry
+                </button>
+              </div>
+            )}
 
-        {/* Keyboard Shortcuts Hint */}
-        <div className="keyboard-hints">
-          <span className="hint-item">↑/↓ or J/K: Navigate</span>
-          <span className="hint-item">R: Refresh</span>
-        </div>
-      </div>
+            {/* Loading More Indicator */}
+            {loading && items.length > 0 && (
+              <div className="feed-loading-more">
+                <div className="loading-spinner-small"></div>
+                <span>Loading more...</span>
+              </div>
+            )}
+
+            {/* End of Feed */}
+            {!hasMore && items.length > 0 && (
+              <div className="feed-end">
+                <p>You've reached the end!</p>
+                <button onClick={refresh} className="retry-button">
+                  Back to Top
+                </button>
+              </div>
+            )}
+
+            {/* Keyboard Shortcuts Hint */}
+            <div className="keyboard-hints">
+              <span className="hint-item">↑/↓ or J/K: Navigate</span>
+              <span className="hint-item">R: Refresh</span>
+              <span className="hint-item">Ctrl+F: Find in article</span>
+            </div>
+          </div>
+        </ArticleFindContext.Provider>
+      </FeedFeedbackContext.Provider>
     </EngagementProvider>
   );
 };
@@ -0,0 +1,57 @@
+/**
+ * FeedItemSlot Component
+ *
+ * Windowing wrapper for one feed item. Inside the render window it renders
+ * the card and records its height; outside it renders an empty placeholder
+ * of the same height, so the card's iframes, shadow DOM and images are torn
+ * down while scroll position, scroll-snap and scrollHeight stay intact.
+ *
+ * The placeholder keeps the .fragment-card class and data-index so keyboard
+ * navigation and snap points behave exactly as for a mounted card.
+ *
+ * Also provides the card's index to the load scheduler (see useLoadTurn).
+ */
+
+import React, { useLayoutEffect, useRef } from 'react';
+import { LoadPriorityContext } from '../../hooks/useLoadTurn';
+
+const FeedItemSlot = ({ itemKey, index, inWindow, heights, children }) => {
+  const slotRef = useRef(null);
+
+  // Track the mounted card's height so its placeholder matches it
+  useLayoutEffect(() => {
+    const el = slotRef.current;
+    if (!inWindow || !el) return;
+
+    const record = () => {
+      if (el.offsetHeight > 0) heights.set(itemKey, el.offsetHeight);
+    };
+    record();
+
+    const resizeObserver = new ResizeObserver(record);
+    resizeObserver.observe(el);
+    return () => resizeObserver.disconnect();
+  }, [inWindow, itemKey, heights]);
+
+  if (!inWindow) {
+    const height = heights.get(itemKey);
+    return (
+      <div
+        className="fragment-card feed-card-placeholder"
+        data-index={index}
+        style={height ? { height: `${height}px` } : undefined}
+        aria-hidden="true"
+      />
+    );
+  }
+
+  return (
+    <div ref={slotRef} className="feed-item-slot">
+      <LoadPriorityContext.Provider value={index}>
+        {children}
+      </LoadPriorityContext.Provider>
+    </div>
+  );
+};
+
+export default FeedItemSlot;
@@ -0,0 +1,113 @@
+/**
+ * FindBar Component
+ *
+ * Find-in-article for the card in view: searches the text of its shadow
+ * DOM embed, marks every match and scrolls the article to the current one
+ * (see useArticleFind). Ctrl/Cmd+F opens it when the card in view has
+ * searchable content, otherwise the browser's own find runs as usual.
+ *
+ * Enter / Shift+Enter step forward / back through the matches, Escape
+ * closes the bar and removes the marks.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * @param {Object} registry - From createFindRegistry()
+ * @param {number} activeIndex - Feed index of the card in view
+ * @param {boolean} open
+ * @param {Function} onOpen
+ * @param {Function} onClose
+ */
+const FindBar = ({ registry, activeIndex, open, onOpen, onClose }) => {
+  const [target, setTarget] = useState(() => registry.get(activeIndex));
+  const [query, setQuery] = useState('');
+  const [count, setCount] = useState(0);
+  const [current, setCurrent] = useState(0);
+  const inputRef = useRef(null);
+
+  // Follow the card in view, and its embed mounting / re-rendering
+  useEffect(() => {
+    const update = () => setTarget(registry.get(activeIndex));
+    update();
+    return registry.subscribe(update);
+  }, [registry, activeIndex]);
+
+  // Ctrl/Cmd+F: our find when there's an article to search
+  const targetRef = useRef(target);
+  targetRef.current = target;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'f' || !targetRef.current) return;
+      e.preventDefault();
+      onOpen();
+      inputRef.current?.select();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onOpen]);
+
+  useEffect(() => {
+    if (open) inputRef.current?.select();
+  }, [open]);
+
+  // Search whenever the query or the searched card changes
+  useEffect(() => {
+    if (!open || !target) {
+      setCount(0);
+      return;
+    }
+    const found = target.search(query.trim());
+    setCount(found);
+    setCurrent(0);
+    if (found > 0) target.show(0);
+    return () => target.clear();
+  }, [open, target, query]);
+
+  const step = (delta) => {
+    if (count === 0) return;
+    const next = (current + delta + count) % count;
+    setCurrent(next);
+    target.show(next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  let status = null;
+  if (!target) {
+    status = 'Nothing to search in this card';
+  } else if (query.trim()) {
+    status = count > 0 ? `${current + 1} / ${count}` : 'No matches';
+  }
+
+  return (
+    <div className="find-bar" role="search">
+      <input
+        ref={inputRef}
+        type="search"
+        className="find-bar-input"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find in article"
+        aria-label="Find in article"
+      />
+      {status && <span className="find-bar-status" aria-live="polite">{status}</span>}
+      <button type="button" onClick={() => step(-1)} disabled={count === 0} aria-label="Previous match">↑</button>
+      <button type="button" onClick={() => step(1)} disabled={count === 0} aria-label="Next match">↓</button>
+      <button type="button" onClick={onClose} aria-label="Close find">✕</button>
+    </div>
+  );
+};
+
+export default FindBar;
@@ -10,8 +10,13 @@ import FragmentImage from './FragmentImage';
 import VideoEmbed from './VideoEmbed';
 import VideoCardEmbed from './VideoCardEmbed';
 import ArticleEmbed, { isHtmlEmbedArchetype } from './ArticleEmbed';
+import ProductCardEmbed from './ProductCardEmbed';
+import CodeBlockEmbed from './CodeBlockEmbed';
+import ThreadEmbed from './ThreadEmbed';
+import CardActions from './CardActions';
 import { parseVideoUrl } from '../../utils/videoParser';
 import { useEngagement } from '../../hooks/useEngagement';
+import { fragmentPath } from '../../utils/router';
 
 const FragmentCard = ({ fragment, index }) => {
   const cardRef = useRef(null);
@@ -61,6 +66,21 @@ const FragmentCard = ({ fragment, index }) => {
       return;
     }
 
+    // Native product cards carry their own outbound link
+    if (e.target.closest('.product-native-card')) {
+      return;
+    }
+
+    // Code listings are for reading, selecting and copying
+    if (e.target.closest('.code-native-card')) {
+      return;
+    }
+
+    // Threads link each post back to its original
+    if (e.target.closest('.thread-native-card')) {
+      return;
+    }
+
     // Open source URL in new tab
     if (fragment.url) {
       window.open(fragment.url, '_blank', 'noopener,noreferrer');
@@ -88,6 +108,16 @@ const FragmentCard = ({ fragment, index }) => {
   // Check if this archetype should render via shadow DOM + cleaned HTML
   const isHtmlEmbed = isHtmlEmbedArchetype(fragment.archetype) && fragment.has_html;
 
+  // Products render natively when extraction succeeds (else via ArticleEmbed)
+  const isProductCard = fragment.archetype === 'product_card' && fragment.has_html;
+
+  // Code listings render natively when code is found (else via ArticleEmbed)
+  const isCodeBlock = fragment.archetype === 'code_block' && fragment.has_html;
+
+  // Comments and social posts render as a native thread when posts are found
+  const isThread = (fragment.archetype === 'comment' || fragment.archetype === 'social_post')
+    && fragment.has_html;
+
   return (
     <div
       ref={cardRef}
@@ -96,7 +126,7 @@ const FragmentCard = ({ fragment, index }) => {
       data-fragment-id={fragment.fragment_id}
     >
       <div className="fragment-card-content" onClick={handleClick}>
-        {/* Four-way routing: VideoEmbed → VideoCardEmbed → ArticleEmbed → FragmentImage */}
+        {/* Routing: VideoEmbed → VideoCardEmbed → ProductCardEmbed → CodeBlockEmbed → ThreadEmbed → ArticleEmbed → FragmentImage */}
         {videoData ? (
           <VideoEmbed
             embedUrl={videoData.embedUrl}
@@ -111,6 +141,33 @@ const FragmentCard = ({ fragment, index }) => {
             domain={fragment.domain}
             destinationUrl={fragment.destination_url}
           />
+        ) : isProductCard ? (
+          <ProductCardEmbed
+            fragmentId={fragment.fragment_id}
+            archetype={fragment.archetype}
+            domain={fragment.domain}
+            url={fragment.url}
+            hasHtml={fragment.has_html}
+            bbox={fragment.bbox}
+          />
+        ) : isCodeBlock ? (
+          <CodeBlockEmbed
+            fragmentId={fragment.fragment_id}
+            archetype={fragment.archetype}
+            domain={fragment.domain}
+            url={fragment.url}
+            hasHtml={fragment.has_html}
+            bbox={fragment.bbox}
+          />
+        ) : isThread ? (
+          <ThreadEmbed
+            fragmentId={fragment.fragment_id}
+            archetype={fragment.archetype}
+            domain={fragment.domain}
+            url={fragment.url}
+            hasHtml={fragment.has_html}
+            bbox={fragment.bbox}
+          />
         ) : isHtmlEmbed ? (
           <ArticleEmbed
             fragmentId={fragment.fragment_id}
@@ -140,8 +197,20 @@ const FragmentCard = ({ fragment, index }) => {
           <div className="fragment-domain">
             {fragment.domain}
           </div>
+          <a
+            className="fragment-permalink"
+            href={fragmentPath(fragment.fragment_id)}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => e.stopPropagation()}
+            title="Open this fragment on its own page"
+          >
+            Permalink
+          </a>
         </div>
 
+        <CardActions item={fragment} trackingId={fragment.fragment_id} />
+
         {/* Click hint */}
         <div className="fragment-hint">
           <span className="hint-icon">↗</span>
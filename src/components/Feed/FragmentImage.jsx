@@ -3,24 +3,35 @@
  *
  * Lazy-loaded image component for fragment screenshots
  * Shows loading skeleton and error placeholder
+ * Loads are queued by the load scheduler (see useLoadTurn)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { getFragmentScreenshotUrl } from '../../services/api';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
 
 const FragmentImage = ({ fragmentId, archetype, domain }) => {
-  const [isLoading, setIsLoading] = useState(true);
+  // A screenshot loaded by an earlier mount (feed windowing) is in the
+  // browser cache: render it straight away instead of the skeleton
+  const [cached] = useState(() => getRenderState('screenshot', fragmentId));
+  const [isLoading, setIsLoading] = useState(!cached?.loaded);
   const [hasError, setHasError] = useState(false);
-  const [isVisible, setIsVisible] = useState(false);
+  const [isVisible, setIsVisible] = useState(!!cached);
   const imgRef = useRef(null);
+  // Cached screenshots skip the scheduler; the slot is released once loaded
+  const [loadGranted] = useLoadTurn(isVisible && isLoading && !hasError);
 
   // Intersection Observer for lazy loading
   useEffect(() => {
+    if (isVisible) return;
+
     const observer = new IntersectionObserver(
       (entries) => {
         entries.forEach((entry) => {
           if (entry.isIntersecting) {
             setIsVisible(true);
+            observer.disconnect();
           }
         });
       },
@@ -39,11 +50,12 @@ const FragmentImage = ({ fragmentId, archetype, domain }) => {
         observer.unobserve(currentRef);
       }
     };
-  }, []);
+  }, [isVisible]);
 
   const handleLoad = () => {
     setIsLoading(false);
     setHasError(false);
+    setRenderState('screenshot', fragmentId, { loaded: true });
   };
 
   const handleError = () => {
@@ -71,7 +83,7 @@ const FragmentImage = ({ fragmentId, archetype, domain }) => {
         </div>
       )}
 
-      {isVisible && !hasError && (
+      {isVisible && !hasError && (loadGranted || !isLoading) && (
         <img
           src={screenshotUrl}
           alt={`Fragment from ${domain} - ${archetype || 'content'}`}
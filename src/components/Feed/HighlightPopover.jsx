@@ -0,0 +1,130 @@
+/**
+ * HighlightPopover Component
+ *
+ * Floating actions for useTextHighlights, rendered in a portal on
+ * document.body so card transforms and overflow don't clip it:
+ * - Over a selection: "Highlight" and "Add note"
+ * - Over an existing highlight: its note (editable) and "Delete"
+ *
+ * Closes on Escape or a pointerdown anywhere else.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+
+// Space kept between the popover and the text it points at
+const GAP_PX = 8;
+// Below this distance from the top, open under the text instead of above
+const FLIP_THRESHOLD_PX = 120;
+
+/**
+ * @param {Object} highlighter - Return value of useTextHighlights
+ */
+const HighlightPopover = ({ highlighter }) => {
+  const { popover, createHighlight, saveNote, deleteHighlight, closePopover } = highlighter;
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const rootRef = useRef(null);
+
+  // Fresh state for every popover
+  useEffect(() => {
+    setEditing(false);
+    setDraft(popover?.kind === 'highlight' ? popover.highlight.note || '' : '');
+  }, [popover]);
+
+  useEffect(() => {
+    if (!popover) return;
+    const handlePointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) closePopover();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closePopover();
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [popover, closePopover]);
+
+  if (!popover) return null;
+
+  const { rect } = popover;
+  const below = rect.top < FLIP_THRESHOLD_PX;
+  const style = {
+    left: `${Math.min(window.innerWidth - 16, Math.max(16, rect.left + rect.width / 2))}px`,
+    top: below ? `${rect.bottom + GAP_PX}px` : `${rect.top - GAP_PX}px`,
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (popover.kind === 'selection') {
+      createHighlight(draft);
+    } else {
+      saveNote(draft);
+    }
+  };
+
+  let body;
+  if (editing) {
+    body = (
+      <form className="highlight-popover-note-form" onSubmit={submit}>
+        <textarea
+          className="highlight-popover-textarea"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) submit(e);
+          }}
+          placeholder="Write a note…"
+          rows={3}
+          autoFocus
+        />
+        <div className="highlight-popover-actions">
+          <button type="button" onClick={closePopover}>Cancel</button>
+          <button type="submit" className="primary">Save</button>
+        </div>
+      </form>
+    );
+  } else if (popover.kind === 'selection') {
+    body = (
+      <div className="highlight-popover-actions">
+        <button type="button" className="primary" onClick={() => createHighlight()}>Highlight</button>
+        <button type="button" onClick={() => setEditing(true)}>Add note</button>
+      </div>
+    );
+  } else {
+    const { note } = popover.highlight;
+    body = (
+      <>
+        {note && <p className="highlight-popover-note">{note}</p>}
+        <div className="highlight-popover-actions">
+          <button type="button" onClick={() => setEditing(true)}>{note ? 'Edit note' : 'Add note'}</button>
+          <button type="button" className="danger" onClick={deleteHighlight}>Delete</button>
+        </div>
+      </>
+    );
+  }
+
+  return createPortal(
+    <div
+      ref={rootRef}
+      className={`highlight-popover ${below ? 'below' : 'above'}`}
+      style={style}
+      role="dialog"
+      aria-label={popover.kind === 'selection' ? 'Highlight selection' : 'Highlight'}
+      // Portal events still bubble through the React tree: keep them from the card
+      onClick={(e) => e.stopPropagation()}
+      // Keep the text selection while pressing the buttons
+      onMouseDown={(e) => {
+        if (e.target.tagName !== 'TEXTAREA') e.preventDefault();
+      }}
+    >
+      {body}
+    </div>,
+    document.body
+  );
+};
+
+export default HighlightPopover;
@@ -0,0 +1,224 @@
+/**
+ * Lightbox Component
+ *
+ * Full-screen viewer for the images of an embedded article, rendered in a
+ * portal on document.body so no card styles or transforms apply.
+ *
+ * - Tap / click the image to toggle zoom; the wheel (ctrl + wheel on
+ *   trackpads) and pinch zoom continuously; drag to pan while zoomed
+ * - Swipe, arrow keys or the side buttons move between images
+ * - Escape, the close button or a tap on the backdrop closes it
+ * - Captions come from the image's figcaption, else its alt text
+ *
+ * While open, key presses stop here so feed shortcuts don't fire.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import './Lightbox.css';
+
+const MAX_ZOOM = 4;
+const TAP_ZOOM = 2.5;
+// Horizontal travel that counts as a swipe to the next / previous image
+const SWIPE_THRESHOLD_PX = 60;
+// Pointer movement below this is a tap, not a drag
+const TAP_SLOP_PX = 8;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * @param {Array<{src: string, srcset?: string, alt: string, caption: string}>} images
+ * @param {number} startIndex
+ * @param {Function} onClose
+ */
+const Lightbox = ({ images, startIndex = 0, onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  const image = images[index];
+  const count = images.length;
+
+  const resetView = () => {
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+  };
+
+  const go = useCallback((delta) => {
+    setIndex(i => clamp(i + delta, 0, count - 1));
+    resetView();
+  }, [count]);
+
+  // Keyboard: handled in the capture phase and stopped, so the feed never sees it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        go(1);
+      } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        go(-1);
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === ' ') {
+        e.preventDefault();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [go, onClose]);
+
+  // Focus the dialog and keep the page behind it from scrolling
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    closeButtonRef.current?.focus();
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      previousFocus?.focus?.();
+    };
+  }, []);
+
+  const zoomTo = (next) => {
+    const clamped = clamp(next, 1, MAX_ZOOM);
+    setZoom(clamped);
+    if (clamped === 1) setPan({ x: 0, y: 0 });
+  };
+
+  const handleWheel = (e) => {
+    zoomTo(zoom * Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002)));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...pointersRef.current.values()];
+    gestureRef.current = points.length === 2
+      ? { type: 'pinch', startDistance: distance(points[0], points[1]), startZoom: zoom }
+      : {
+        type: 'drag',
+        startX: e.clientX,
+        startY: e.clientY,
+        startPan: pan,
+        moved: false,
+        onImage: e.target.classList.contains('lightbox-image'),
+      };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      const points = [...pointersRef.current.values()];
+      if (points.length === 2) {
+        zoomTo(gesture.startZoom * (distance(points[0], points[1]) / gesture.startDistance));
+      }
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (Math.hypot(dx, dy) > TAP_SLOP_PX) gesture.moved = true;
+    if (zoom > 1) {
+      setPan({ x: gesture.startPan.x + dx, y: gesture.startPan.y + dy });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    const gesture = gestureRef.current;
+    if (pointersRef.current.size > 0) {
+      // Pinch ended with one finger still down: carry on as a drag from here
+      const [rest] = pointersRef.current.values();
+      gestureRef.current = { type: 'drag', startX: rest.x, startY: rest.y, startPan: pan, moved: true };
+      return;
+    }
+    gestureRef.current = null;
+    if (!gesture || gesture.type !== 'drag') return;
+
+    const dx = e.clientX - gesture.startX;
+    if (!gesture.moved) {
+      // Pointer capture retargets pointerup and click to the stage, so taps
+      // are told apart by where they started
+      if (gesture.onImage) {
+        zoomTo(zoom > 1 ? 1 : TAP_ZOOM);
+      } else {
+        onClose();
+      }
+    } else if (zoom === 1 && Math.abs(dx) > SWIPE_THRESHOLD_PX) {
+      go(dx < 0 ? 1 : -1);
+    }
+  };
+
+  // Portal events still bubble through the React tree: keep them from the card
+  const handleClick = (e) => {
+    e.stopPropagation();
+  };
+
+  if (!image) return null;
+
+  return createPortal(
+    <div
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Image viewer"
+      onClick={handleClick}
+    >
+      <div className="lightbox-toolbar">
+        {count > 1 && <span className="lightbox-counter">{index + 1} / {count}</span>}
+        <button type="button" className="lightbox-button" onClick={() => zoomTo(zoom > 1 ? 1 : TAP_ZOOM)}>
+          {zoom > 1 ? 'Fit' : 'Zoom'}
+        </button>
+        <button ref={closeButtonRef} type="button" className="lightbox-button" onClick={onClose} aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      <div
+        className="lightbox-stage"
+        onWheel={handleWheel}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <img
+          key={image.src}
+          className={`lightbox-image ${zoom > 1 ? 'zoomed' : ''}`}
+          src={image.src}
+          srcSet={image.srcset || undefined}
+          alt={image.alt}
+          draggable={false}
+          style={{ transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})` }}
+        />
+      </div>
+
+      {index > 0 && (
+        <button type="button" className="lightbox-nav prev" onClick={() => go(-1)} aria-label="Previous image">
+          ‹
+        </button>
+      )}
+      {index < count - 1 && (
+        <button type="button" className="lightbox-nav next" onClick={() => go(1)} aria-label="Next image">
+          ›
+        </button>
+      )}
+
+      {image.caption && <div className="lightbox-caption">{image.caption}</div>}
+    </div>,
+    document.body
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,169 @@
+/**
+ * ProductCardEmbed Component
+ *
+ * Orchestrates product_card fragment rendering:
+ * 1. Lazy-fetch HTML (queued by the load scheduler) → extractProduct
+ * 2. Confident extraction → native product card in the feed's theme
+ * 3. Otherwise → ArticleEmbed (the generic shadow DOM rendering)
+ *
+ * Follows the same cancelled-flag async pattern as VideoCardEmbed.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import ArticleEmbed from './ArticleEmbed';
+import { loadFragmentHtml, peekFragmentHtml } from '../../utils/htmlResource';
+import { extractProduct } from '../../utils/extractProduct';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
+import './ProductCardEmbed.css';
+
+const formatPrice = (price, currency) => {
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(price);
+    } catch {
+      // Unknown currency code: fall through to the plain number
+    }
+  }
+  return price.toFixed(2);
+};
+
+const RatingStars = ({ rating, reviewCount }) => {
+  const rounded = Math.round(rating * 2) / 2;
+  const stars = Array.from({ length: 5 }, (_, i) => {
+    if (rounded >= i + 1) return '★';
+    if (rounded >= i + 0.5) return '⯪';
+    return '☆';
+  });
+  return (
+    <div className="product-native-rating" title={`${rating} out of 5`}>
+      <span className="product-native-stars">{stars.join('')}</span>
+      <span className="product-native-rating-value">{rating.toFixed(1)}</span>
+      {reviewCount ? <span className="product-native-reviews">({reviewCount.toLocaleString()})</span> : null}
+    </div>
+  );
+};
+
+const ProductCardEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) => {
+  // Restore extraction result if this card was previously mounted (feed windowing)
+  const [cached] = useState(() => {
+    const state = getRenderState('product-card', fragmentId);
+    if (state) return state;
+    // HTML already loaded elsewhere (e.g. the permalink page): extract now
+    const html = peekFragmentHtml(fragmentId);
+    if (!html) return null;
+    const result = extractProduct(html.html, html.base_url);
+    return result ? { product: result } : { fallback: true };
+  });
+  const [product, setProduct] = useState(cached?.product || null);
+  const [fallback, setFallback] = useState(!!cached?.fallback || !hasHtml);
+  const [nearViewport, setNearViewport] = useState(false);
+  const containerRef = useRef(null);
+  const [loadGranted, , loadSignal] = useLoadTurn(nearViewport && !product && !fallback);
+
+  useEffect(() => {
+    if (product || fallback) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return;
+        observer.disconnect();
+        setNearViewport(true);
+      },
+      { rootMargin: '1500px', threshold: 0.01 }
+    );
+
+    if (containerRef.current) {
+      observer.observe(containerRef.current);
+    }
+
+    return () => observer.disconnect();
+  }, [product, fallback]);
+
+  useEffect(() => {
+    if (!loadGranted || product || fallback) return;
+
+    let cancelled = false;
+
+    const loadAndExtract = async () => {
+      try {
+        const data = await loadFragmentHtml(fragmentId, { signal: loadSignal });
+        if (cancelled) return;
+
+        const result = extractProduct(data.html, data.base_url);
+        setRenderState('product-card', fragmentId, result ? { product: result } : { fallback: true });
+        if (cancelled) return;
+
+        if (result) {
+          setProduct(result);
+        } else {
+          setFallback(true);
+        }
+      } catch {
+        // ArticleEmbed handles fetch failures with its screenshot fallback
+        if (!cancelled && !loadSignal.aborted) setFallback(true);
+      }
+    };
+
+    loadAndExtract();
+    return () => { cancelled = true; };
+  }, [loadGranted, loadSignal, fragmentId, product, fallback]);
+
+  // Low confidence or no HTML: keep the generic rendering
+  if (fallback) {
+    return (
+      <ArticleEmbed
+        fragmentId={fragmentId}
+        archetype={archetype}
+        domain={domain}
+        url={url}
+        hasHtml={hasHtml}
+        bbox={bbox}
+      />
+    );
+  }
+
+  if (!product) {
+    return (
+      <div ref={containerRef} className="product-native-card product-native-loading">
+        <div className="product-native-image" />
+        <div className="product-native-body">
+          <div className="product-native-skeleton-line" />
+          <div className="product-native-skeleton-line short" />
+        </div>
+      </div>
+    );
+  }
+
+  const outboundUrl = product.url || url;
+
+  return (
+    <div className="product-native-card" data-source={product.source}>
+      {product.image && (
+        <div className="product-native-image">
+          <img src={product.image} alt={product.title} loading="lazy" />
+        </div>
+      )}
+      <div className="product-native-body">
+        <div className="product-native-title">{product.title}</div>
+        {product.rating !== null && (
+          <RatingStars rating={product.rating} reviewCount={product.reviewCount} />
+        )}
+        <div className="product-native-price">{formatPrice(product.price, product.currency)}</div>
+        {outboundUrl && (
+          <a
+            className="product-native-link"
+            href={outboundUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => e.stopPropagation()}
+          >
+            View on {domain} ↗
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductCardEmbed;
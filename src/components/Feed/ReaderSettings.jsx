@@ -0,0 +1,127 @@
+/**
+ * ReaderSettings Component
+ *
+ * "Aa" button that opens the reader settings panel for HTML embeds: font
+ * size, line height, content width, serif / sans and light / sepia / dark.
+ * Changes apply to every embed at once (see utils/readerSettings).
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import useReaderSettings from '../../hooks/useReaderSettings';
+import {
+  updateReaderSettings,
+  resetReaderSettings,
+  FONT_SIZE_RANGE,
+  LINE_HEIGHTS,
+} from '../../utils/readerSettings';
+
+const WIDTH_OPTIONS = [['narrow', 'Narrow'], ['medium', 'Medium'], ['full', 'Full']];
+const FONT_OPTIONS = [['sans', 'Sans'], ['serif', 'Serif']];
+const THEME_OPTIONS = [['light', 'Light'], ['sepia', 'Sepia'], ['dark', 'Dark']];
+
+const Segmented = ({ label, options, value, onChange }) => (
+  <div className="reader-settings-row">
+    <span className="reader-settings-label">{label}</span>
+    <div className="reader-settings-segmented" role="group" aria-label={label}>
+      {options.map(([optionValue, optionLabel]) => (
+        <button
+          key={optionValue}
+          type="button"
+          className={value === optionValue ? 'active' : ''}
+          aria-pressed={value === optionValue}
+          onClick={() => onChange(optionValue)}
+        >
+          {optionLabel}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const ReaderSettings = () => {
+  const settings = useReaderSettings();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handlePointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const changeFontSize = (delta) => updateReaderSettings({ fontSize: settings.fontSize + delta });
+
+  return (
+    // Clicks inside must not reach the card (which opens the source)
+    <div ref={rootRef} className="reader-settings" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        className="reader-settings-toggle"
+        onClick={() => setOpen(value => !value)}
+        aria-expanded={open}
+        title="Reader settings"
+      >
+        Aa
+      </button>
+      {open && (
+        <div className="reader-settings-panel" role="dialog" aria-label="Reader settings">
+          <div className="reader-settings-row">
+            <span className="reader-settings-label">Text size</span>
+            <div className="reader-settings-stepper">
+              <button
+                type="button"
+                onClick={() => changeFontSize(-1)}
+                disabled={settings.fontSize <= FONT_SIZE_RANGE.min}
+                aria-label="Smaller text"
+              >
+                A−
+              </button>
+              <span>{settings.fontSize}px</span>
+              <button
+                type="button"
+                onClick={() => changeFontSize(1)}
+                disabled={settings.fontSize >= FONT_SIZE_RANGE.max}
+                aria-label="Larger text"
+              >
+                A+
+              </button>
+            </div>
+          </div>
+          <Segmented
+            label="Line height"
+            options={LINE_HEIGHTS.map(value => [value, value.toFixed(1)])}
+            value={settings.lineHeight}
+            onChange={lineHeight => updateReaderSettings({ lineHeight })}
+          />
+          <Segmented
+            label="Width"
+            options={WIDTH_OPTIONS}
+            value={settings.width}
+            onChange={width => updateReaderSettings({ width })}
+          />
+          <Segmented
+            label="Font"
+            options={FONT_OPTIONS}
+            value={settings.fontFamily}
+            onChange={fontFamily => updateReaderSettings({ fontFamily })}
+          />
+          <Segmented
+            label="Theme"
+            options={THEME_OPTIONS}
+            value={settings.theme}
+            onChange={theme => updateReaderSettings({ theme })}
+          />
+          <button type="button" className="reader-settings-reset" onClick={resetReaderSettings}>
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReaderSettings;
@@ -0,0 +1,33 @@
+/**
+ * ReadingProgress Component
+ *
+ * Progress bar and reading-time estimate pinned to the top of an article's
+ * scroll wrapper. Render it as the wrapper's first child: it is sticky and
+ * takes no space in the article's layout.
+ */
+
+import React from 'react';
+import { estimateReadingMinutes } from '../../utils/readingTime';
+
+const ReadingProgress = ({ progress, scrollable, wordCount }) => {
+  const minutes = estimateReadingMinutes(wordCount);
+  const minutesLeft = Math.ceil(minutes * (1 - progress));
+
+  let label = null;
+  if (minutes > 0) {
+    label = progress > 0.02 && minutesLeft > 0
+      ? `${minutesLeft} min left`
+      : `${minutes} min read`;
+  }
+
+  return (
+    <div className="reading-progress" aria-hidden="true">
+      {scrollable && (
+        <div className="reading-progress-bar" style={{ transform: `scaleX(${progress})` }} />
+      )}
+      {label && <span className="reading-progress-time">{label}</span>}
+    </div>
+  );
+};
+
+export default ReadingProgress;
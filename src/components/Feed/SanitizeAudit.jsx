@@ -0,0 +1,59 @@
+/**
+ * SanitizeAudit Component
+ *
+ * Debug overlay listing what sanitizeEmbed removed from a card's HTML:
+ * elements, attributes, tracker url()s, layout-hijacking CSS and blocked
+ * stylesheets. Renders nothing unless debugging is enabled
+ * (?debug=sanitize, or localStorage zoh_debug=1).
+ */
+
+import React, { useState } from 'react';
+import { auditCount, isSanitizeDebugEnabled } from '../../utils/sanitizeEmbed';
+
+const countList = (counts) => Object.entries(counts)
+  .sort((a, b) => b[1] - a[1])
+  .map(([name, count]) => `${name} ×${count}`);
+
+const SanitizeAudit = ({ audit }) => {
+  const [enabled] = useState(isSanitizeDebugEnabled);
+  const [open, setOpen] = useState(false);
+
+  if (!enabled || !audit) return null;
+
+  const sections = [
+    ['Elements', countList(audit.elements)],
+    ['Attributes', countList(audit.attributes)],
+    ['Tracker URLs', audit.blockedUrls],
+    ['CSS declarations', audit.cssDeclarations],
+    ['Stylesheets', audit.blockedStylesheets],
+  ].filter(([, entries]) => entries.length > 0);
+
+  return (
+    <div className="sanitize-audit" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        className="sanitize-audit-toggle"
+        onClick={() => setOpen(o => !o)}
+        title="What the sanitizer removed from this card"
+      >
+        🛡 {auditCount(audit)} removed · {audit.policy}
+      </button>
+      {open && (
+        <div className="sanitize-audit-panel">
+          {sections.length === 0 ? (
+            <p>Nothing removed.</p>
+          ) : sections.map(([title, entries]) => (
+            <div key={title} className="sanitize-audit-section">
+              <h4>{title}</h4>
+              <ul>
+                {entries.map((entry, i) => <li key={i}>{entry}</li>)}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SanitizeAudit;
@@ -0,0 +1,205 @@
+/**
+ * ThreadEmbed Component
+ *
+ * Orchestrates comment and social_post fragment rendering:
+ * 1. Lazy-fetch HTML (queued by the load scheduler) → extractThread
+ * 2. Posts found → native threaded layout (avatar, author, handle, time,
+ *    body, media), replies indented by depth
+ * 3. Otherwise → ArticleEmbed (the generic shadow DOM rendering)
+ *
+ * Every post links back to its original (its own permalink, else the
+ * fragment's source URL).
+ *
+ * Follows the same cancelled-flag async pattern as ProductCardEmbed.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import ArticleEmbed from './ArticleEmbed';
+import { loadFragmentHtml, peekFragmentHtml } from '../../utils/htmlResource';
+import { extractThread } from '../../utils/extractThread';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
+import './ThreadEmbed.css';
+
+const formatTimestamp = (timestamp) => {
+  try {
+    return new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(new Date(timestamp));
+  } catch {
+    return timestamp.slice(0, 10);
+  }
+};
+
+const initialsOf = (name) => name
+  .split(/\s+/)
+  .slice(0, 2)
+  .map(part => part.charAt(0).toUpperCase())
+  .join('');
+
+const stopPropagation = (e) => e.stopPropagation();
+
+const ThreadPost = ({ post, fallbackUrl }) => {
+  const [avatarFailed, setAvatarFailed] = useState(false);
+  const originalUrl = post.permalink || fallbackUrl;
+
+  return (
+    <li className="thread-post" style={{ '--thread-depth': post.depth }} data-depth={post.depth}>
+      <div className="thread-avatar" aria-hidden="true">
+        {post.avatar && !avatarFailed
+          ? <img src={post.avatar} alt="" loading="lazy" onError={() => setAvatarFailed(true)} />
+          : initialsOf(post.author)}
+      </div>
+      <div className="thread-post-main">
+        <div className="thread-post-header">
+          {post.authorUrl ? (
+            <a
+              className="thread-author"
+              href={post.authorUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={stopPropagation}
+            >
+              {post.author}
+            </a>
+          ) : (
+            <span className="thread-author">{post.author}</span>
+          )}
+          {post.handle && <span className="thread-handle">{post.handle}</span>}
+          {(post.timestamp || post.timeLabel) && (
+            <time className="thread-time" dateTime={post.timestamp || undefined}>
+              {post.timestamp ? formatTimestamp(post.timestamp) : post.timeLabel}
+            </time>
+          )}
+        </div>
+        {post.body.map((paragraph, i) => (
+          <p key={i} className="thread-post-body">{paragraph}</p>
+        ))}
+        {post.media.length > 0 && (
+          <div className="thread-post-media">
+            {post.media.map((item, i) => (item.type === 'video' ? (
+              <video key={i} src={item.src} poster={item.poster || undefined} controls preload="none" />
+            ) : (
+              <img key={i} src={item.src} alt={item.alt} loading="lazy" />
+            )))}
+          </div>
+        )}
+        {originalUrl && (
+          <a
+            className="thread-original-link"
+            href={originalUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={stopPropagation}
+          >
+            View original ↗
+          </a>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const ThreadEmbed = ({ fragmentId, archetype, domain, url, hasHtml, bbox }) => {
+  // Restore extraction result if this card was previously mounted (feed windowing)
+  const [cached] = useState(() => {
+    const state = getRenderState('thread', fragmentId);
+    if (state) return state;
+    // HTML already loaded elsewhere (e.g. the permalink page): extract now
+    const html = peekFragmentHtml(fragmentId);
+    if (!html) return null;
+    const result = extractThread(html.html, html.base_url);
+    return result ? { thread: result } : { fallback: true };
+  });
+  const [thread, setThread] = useState(cached?.thread || null);
+  const [fallback, setFallback] = useState(!!cached?.fallback || !hasHtml);
+  const [nearViewport, setNearViewport] = useState(false);
+  const containerRef = useRef(null);
+  const [loadGranted, , loadSignal] = useLoadTurn(nearViewport && !thread && !fallback);
+
+  useEffect(() => {
+    if (thread || fallback) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return;
+        observer.disconnect();
+        setNearViewport(true);
+      },
+      { rootMargin: '1500px', threshold: 0.01 }
+    );
+
+    if (containerRef.current) {
+      observer.observe(containerRef.current);
+    }
+
+    return () => observer.disconnect();
+  }, [thread, fallback]);
+
+  useEffect(() => {
+    if (!loadGranted || thread || fallback) return;
+
+    let cancelled = false;
+
+    const loadAndExtract = async () => {
+      try {
+        const data = await loadFragmentHtml(fragmentId, { signal: loadSignal });
+        if (cancelled) return;
+
+        const result = extractThread(data.html, data.base_url);
+        setRenderState('thread', fragmentId, result ? { thread: result } : { fallback: true });
+        if (cancelled) return;
+
+        if (result) {
+          setThread(result);
+        } else {
+          setFallback(true);
+        }
+      } catch {
+        // ArticleEmbed handles fetch failures with its screenshot fallback
+        if (!cancelled && !loadSignal.aborted) setFallback(true);
+      }
+    };
+
+    loadAndExtract();
+    return () => { cancelled = true; };
+  }, [loadGranted, loadSignal, fragmentId, thread, fallback]);
+
+  // Nothing recognisable or no HTML: keep the generic rendering
+  if (fallback) {
+    return (
+      <ArticleEmbed
+        fragmentId={fragmentId}
+        archetype={archetype}
+        domain={domain}
+        url={url}
+        hasHtml={hasHtml}
+        bbox={bbox}
+      />
+    );
+  }
+
+  if (!thread) {
+    return (
+      <div ref={containerRef} className="thread-native-card thread-native-loading">
+        <div className="thread-post">
+          <div className="thread-avatar" />
+          <div className="thread-post-main">
+            <div className="thread-skeleton-line short" />
+            <div className="thread-skeleton-line" />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="thread-native-card" data-archetype={archetype}>
+      <ol className="thread-posts">
+        {thread.posts.map((post, i) => (
+          <ThreadPost key={i} post={post} fallbackUrl={url} />
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default ThreadEmbed;
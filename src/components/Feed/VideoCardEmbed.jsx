@@ -3,7 +3,8 @@
  *
  * Orchestrates video_card fragment rendering:
  * 1. If destination_url is cached → parse and render VideoEmbed immediately
- * 2. Otherwise, lazy-fetch HTML → extract URL → render VideoEmbed + cache
+ * 2. Otherwise, lazy-fetch HTML (queued by the load scheduler) → extract
+ *    URL → render VideoEmbed + cache
  * 3. Falls back to FragmentImage (screenshot) on any failure
  *
  * Follows the same cancelled-flag async pattern as ArticleEmbed.
@@ -12,16 +13,24 @@
 import React, { useState, useEffect, useRef } from 'react';
 import VideoEmbed from './VideoEmbed';
 import FragmentImage from './FragmentImage';
-import { fetchFragmentHtml, cacheDestinationUrl } from '../../services/api';
+import { cacheDestinationUrl } from '../../services/api';
+import { loadFragmentHtml } from '../../utils/htmlResource';
 import { parseVideoUrl } from '../../utils/videoParser';
 import { extractVideoUrl } from '../../utils/extractVideoUrl';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
 import './VideoCardEmbed.css';
 
 const VideoCardEmbed = ({ fragmentId, archetype, domain, destinationUrl }) => {
-  const [videoData, setVideoData] = useState(null);
-  const [fallback, setFallback] = useState(false);
-  const [isLoading, setIsLoading] = useState(true);
+  // Restore extraction result if this card was previously mounted (feed windowing)
+  const [cached] = useState(() => getRenderState('video-card', fragmentId));
+  const [videoData, setVideoData] = useState(cached?.videoData || null);
+  const [fallback, setFallback] = useState(!!cached?.fallback);
+  const [isLoading, setIsLoading] = useState(!cached);
   const containerRef = useRef(null);
+  const [nearViewport, setNearViewport] = useState(false);
+  // The slot is released once extraction settles (isLoading / fallback)
+  const [loadGranted, , loadSignal] = useLoadTurn(nearViewport && isLoading && !fallback);
 
   // Fast path: cached destination_url — parse immediately, no fetch needed
   useEffect(() => {
@@ -40,44 +49,14 @@ const VideoCardEmbed = ({ fragmentId, archetype, domain, destinationUrl }) => {
   // Slow path: lazy-load HTML, extract URL, cache result
   useEffect(() => {
     // Skip if we already have a cached URL (fast path handled above)
-    if (destinationUrl) return;
-
-    let cancelled = false;
+    // or a result from an earlier mount
+    if (destinationUrl || cached) return;
 
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (!entry.isIntersecting) return;
         observer.disconnect();
-
-        const loadAndExtract = async () => {
-          try {
-            const data = await fetchFragmentHtml(fragmentId);
-            if (cancelled) return;
-
-            const result = extractVideoUrl(data.html);
-            if (cancelled) return;
-
-            if (result) {
-              setVideoData(result.videoData);
-              setIsLoading(false);
-
-              // Cache for next time (fire-and-forget)
-              cacheDestinationUrl(fragmentId, result.url).catch(() => {
-                // Caching failure is non-critical
-              });
-            } else {
-              setFallback(true);
-              setIsLoading(false);
-            }
-          } catch {
-            if (!cancelled) {
-              setFallback(true);
-              setIsLoading(false);
-            }
-          }
-        };
-
-        loadAndExtract();
+        setNearViewport(true);
       },
       { rootMargin: '1000px', threshold: 0.01 }
     );
@@ -86,11 +65,49 @@ const VideoCardEmbed = ({ fragmentId, archetype, domain, destinationUrl }) => {
       observer.observe(containerRef.current);
     }
 
-    return () => {
-      cancelled = true;
-      observer.disconnect();
+    return () => observer.disconnect();
+  }, [destinationUrl, cached]);
+
+  useEffect(() => {
+    if (!loadGranted) return;
+
+    let cancelled = false;
+
+    const loadAndExtract = async () => {
+      try {
+        const data = await loadFragmentHtml(fragmentId, { signal: loadSignal });
+        if (cancelled) return;
+
+        const result = extractVideoUrl(data.html);
+        if (cancelled) return;
+
+        setRenderState('video-card', fragmentId, result
+          ? { videoData: result.videoData }
+          : { fallback: true });
+
+        if (result) {
+          setVideoData(result.videoData);
+          setIsLoading(false);
+
+          // Cache for next time (fire-and-forget)
+          cacheDestinationUrl(fragmentId, result.url).catch(() => {
+            // Caching failure is non-critical
+          });
+        } else {
+          setFallback(true);
+          setIsLoading(false);
+        }
+      } catch {
+        if (!cancelled && !loadSignal.aborted) {
+          setFallback(true);
+          setIsLoading(false);
+        }
+      }
     };
-  }, [fragmentId, destinationUrl]);
+
+    loadAndExtract();
+    return () => { cancelled = true; };
+  }, [loadGranted, loadSignal, fragmentId]);
 
   // Fallback: show screenshot
   if (fallback) {
@@ -16,6 +16,8 @@ import {
   playController,
   pauseController,
 } from '../../utils/spotifyControllerPool';
+import { getRenderState, setRenderState } from '../../utils/renderCache';
+import useLoadTurn from '../../hooks/useLoadTurn';
 import './VideoEmbed.css';
 
 /**
@@ -31,7 +33,11 @@ function getSpotifyUri(embedUrl) {
 }
 
 const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
-  const [shouldLoad, setShouldLoad] = useState(false);
+  // Skip the placeholder if this embed was loaded by an earlier mount (feed windowing)
+  const [wasLoaded] = useState(() => !!getRenderState('video-embed', embedUrl)?.loaded);
+  const [nearViewport, setNearViewport] = useState(false);
+  const [loadGranted, loadDone] = useLoadTurn(nearViewport && !wasLoaded);
+  const shouldLoad = wasLoaded || loadGranted;
   const [hasError, setHasError] = useState(false);
   const [, setIsPlaying] = useState(false);
   const [hasController, setHasController] = useState(false);
@@ -44,12 +50,12 @@ const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
   const isPlayingRef = useRef(false);
   const readyTimerRef = useRef(null);
 
-  // Lazy load: render content when within 1000px of viewport
+  // Lazy load: queue the embed when within 1000px of viewport
   useEffect(() => {
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
-          setShouldLoad(true);
+          setNearViewport(true);
         }
       },
       {
@@ -63,7 +69,14 @@ const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
     }
 
     return () => observer.disconnect();
-  }, []);
+  }, [embedUrl]);
+
+  useEffect(() => {
+    if (!shouldLoad) return;
+    setRenderState('video-embed', embedUrl, { loaded: true });
+    // Spotify reuses pooled controllers, so there is no load to wait for
+    if (platform === 'spotify') loadDone();
+  }, [shouldLoad, embedUrl, platform, loadDone]);
 
   // Spotify: pre-load zone — claim controller when entering zone, release when leaving
   useEffect(() => {
@@ -275,6 +288,7 @@ const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
 
   // Fallback: if postMessage ready event doesn't fire, use iframe onLoad + timer
   const handleIframeLoad = useCallback(() => {
+    loadDone();
     if (isPlayerReadyRef.current) return;
     readyTimerRef.current = setTimeout(() => {
       if (!isPlayerReadyRef.current) {
@@ -282,7 +296,7 @@ const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
         tryAutoplay();
       }
     }, 500);
-  }, [tryAutoplay]);
+  }, [tryAutoplay, loadDone]);
 
   // Reset readiness when embedUrl changes
   useEffect(() => {
@@ -334,6 +348,7 @@ const VideoEmbed = ({ embedUrl, platform, domain, archetype }) => {
   }, [shouldLoad, playVideo, pauseVideo, platform]);
 
   const handleError = () => {
+    loadDone();
     setHasError(true);
   };
 
@@ -0,0 +1,152 @@
+/**
+ * HighlightsPage Component
+ *
+ * Every highlight and note (/highlights), grouped by source page with the
+ * newest activity first, plus Markdown export. Notes can be edited and
+ * highlights deleted here as well as in the article itself.
+ */
+
+import React, { useMemo, useState } from 'react';
+import useHighlights from '../../hooks/useHighlights';
+import { highlightsToMarkdown, updateHighlightNote, removeHighlight } from '../../utils/highlights';
+import { handleLinkClick, fragmentPath, articlePath } from '../../utils/router';
+import '../../styles/Feed.css';
+import '../Saved/Saved.css';
+import './Highlights.css';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+  year: 'numeric', month: 'short', day: 'numeric',
+});
+
+// Highlights by source page; listHighlights() is newest first, so groups are too
+const groupBySource = (highlights) => {
+  const groups = new Map();
+  highlights.forEach(highlight => {
+    const key = highlight.url || highlight.domain || highlight.fragment_id;
+    if (!groups.has(key)) {
+      groups.set(key, { key, domain: highlight.domain, url: highlight.url, highlights: [] });
+    }
+    groups.get(key).highlights.push(highlight);
+  });
+  return [...groups.values()];
+};
+
+const HighlightEntry = ({ highlight }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(highlight.note || '');
+  const permalink = highlight.page_id ? articlePath(highlight.page_id) : fragmentPath(highlight.fragment_id);
+
+  const startEditing = () => {
+    setDraft(highlight.note || '');
+    setEditing(true);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setEditing(false);
+    updateHighlightNote(highlight, draft)
+      .catch(err => console.warn('Failed to save highlight note:', err?.message));
+  };
+
+  const handleDelete = () => {
+    removeHighlight(highlight.highlight_id)
+      .catch(err => console.warn('Failed to delete highlight:', err?.message));
+  };
+
+  return (
+    <li className="highlight-entry">
+      <blockquote className="highlight-quote">{highlight.quote.exact}</blockquote>
+      {editing ? (
+        <form className="highlight-note-form" onSubmit={handleSave}>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a note…"
+            rows={3}
+            autoFocus
+          />
+          <div className="highlight-entry-actions">
+            <button type="button" className="filter-clear-button" onClick={() => setEditing(false)}>Cancel</button>
+            <button type="submit" className="filter-apply-button">Save</button>
+          </div>
+        </form>
+      ) : (
+        highlight.note && <p className="highlight-note">{highlight.note}</p>
+      )}
+      <div className="highlight-entry-meta">
+        <span>{formatDate(highlight.created_at)}</span>
+        <a href={permalink} onClick={(e) => handleLinkClick(e, permalink)}>
+          Open {highlight.page_id ? 'article' : 'fragment'}
+        </a>
+        {!editing && (
+          <button type="button" onClick={startEditing}>{highlight.note ? 'Edit note' : 'Add note'}</button>
+        )}
+        <button type="button" className="danger" onClick={handleDelete}>Delete</button>
+      </div>
+    </li>
+  );
+};
+
+const HighlightsPage = () => {
+  const { highlights, loaded } = useHighlights();
+  const groups = useMemo(() => groupBySource(highlights), [highlights]);
+
+  const handleExport = () => {
+    const blob = new Blob([highlightsToMarkdown(highlights)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zoh-highlights-${new Date().toISOString().slice(0, 10)}.md`;
+    link.click();
+    // Keep the URL until the download has picked it up
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div className="feed-container highlights-page">
+      <div className="feed-header">
+        <div className="feed-branding">
+          <a href="/" className="saved-back" onClick={(e) => handleLinkClick(e, '/')}>← Feed</a>
+          <h1 className="feed-title">Highlights</h1>
+          <span className="saved-count">{highlights.length}</span>
+        </div>
+        <div className="saved-actions">
+          <button className="filter-apply-button" onClick={handleExport} disabled={highlights.length === 0}>
+            Export Markdown
+          </button>
+        </div>
+      </div>
+
+      {loaded && highlights.length === 0 ? (
+        <div className="feed-empty">
+          <div className="empty-content">
+            <div className="empty-icon">✎</div>
+            <h2>No Highlights Yet</h2>
+            <p>Select text in any article and choose Highlight or Add note.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="feed-content highlights-content">
+          {groups.map(group => (
+            <section key={group.key} className="highlight-group">
+              <h2 className="highlight-group-title">
+                {group.url ? (
+                  <a href={group.url} target="_blank" rel="noopener noreferrer">{group.domain || group.url} ↗</a>
+                ) : (
+                  group.domain || 'Unknown source'
+                )}
+              </h2>
+              <ul className="highlight-list">
+                {group.highlights.map(highlight => (
+                  <HighlightEntry key={highlight.highlight_id} highlight={highlight} />
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HighlightsPage;
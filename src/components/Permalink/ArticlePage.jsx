@@ -0,0 +1,108 @@
+/**
+ * ArticlePage Component
+ *
+ * Permalink view for an assembled article (/article/:pageId). There is no
+ * article metadata endpoint, so the article item is rebuilt from the
+ * combined article HTML (fragment ids) plus the first fragment's metadata
+ * (domain, page URL, page number), then rendered with AssembledArticle.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { fetchFragmentMetadata } from '../../services/api';
+import { loadArticleHtml } from '../../utils/htmlResource';
+import AssembledArticle from '../Feed/AssembledArticle';
+import PermalinkLayout from './PermalinkLayout';
+import MetadataPanel from './MetadataPanel';
+import { fragmentPath, handleLinkClick } from '../../utils/router';
+
+const ArticlePage = ({ pageId }) => {
+  const [article, setArticle] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      setNotFound(false);
+      try {
+        // Shared with AssembledArticle below, so the HTML is fetched once
+        const htmlData = await loadArticleHtml(pageId);
+        const fragmentIds = htmlData.fragment_ids || [];
+        const first = fragmentIds.length > 0 ? await fetchFragmentMetadata(fragmentIds[0]) : {};
+        if (cancelled) return;
+
+        setArticle({
+          type: 'article',
+          article_id: pageId,
+          page_id: pageId,
+          domain: first.domain,
+          url: first.page_url || first.url,
+          page_number: first.page_number,
+          has_html: true,
+          // Only the first fragment's archetype is known; the others are left out
+          fragments: fragmentIds.map(id => (
+            id === first.fragment_id ? { fragment_id: id, archetype: first.archetype } : { fragment_id: id }
+          )),
+          fragment_count: fragmentIds.length
+        });
+      } catch (err) {
+        if (!cancelled) {
+          const missing = err.response?.status === 404;
+          setNotFound(missing);
+          setError(missing
+            ? `No assembled article for page ${pageId}.`
+            : err.message || 'Failed to load article');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [pageId, attempt]);
+
+  const rows = article ? [
+    { label: 'Page ID', value: <code>{pageId}</code> },
+    { label: 'Domain', value: article.domain },
+    {
+      label: 'Page URL',
+      value: article.url ? <a href={article.url} target="_blank" rel="noopener noreferrer">{article.url}</a> : null
+    },
+    { label: 'Page number', value: article.page_number },
+    { label: 'Fragments', value: article.fragment_count },
+  ] : [];
+
+  return (
+    <PermalinkLayout
+      title="Article"
+      loading={loading}
+      error={error}
+      notFound={notFound}
+      onRetry={() => setAttempt(n => n + 1)}
+      card={article && <AssembledArticle article={article} />}
+      panel={
+        <MetadataPanel title="Metadata" rows={rows}>
+          {article?.fragments.length > 0 && (
+            <ol className="metadata-fragment-list">
+              {article.fragments.map(({ fragment_id }) => (
+                <li key={fragment_id}>
+                  <a href={fragmentPath(fragment_id)} onClick={(e) => handleLinkClick(e, fragmentPath(fragment_id))}>
+                    <code>{fragment_id}</code>
+                  </a>
+                </li>
+              ))}
+            </ol>
+          )}
+        </MetadataPanel>
+      }
+    />
+  );
+};
+
+export default ArticlePage;
@@ -0,0 +1,100 @@
+/**
+ * FragmentPage Component
+ *
+ * Permalink view for a single fragment (/fragment/:id). Loads the fragment
+ * with fetchFragmentMetadata and renders it through FragmentCard, so it goes
+ * through exactly the same archetype routing as in the feed.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { fetchFragmentMetadata } from '../../services/api';
+import FragmentCard from '../Feed/FragmentCard';
+import PermalinkLayout from './PermalinkLayout';
+import MetadataPanel from './MetadataPanel';
+import { articlePath, handleLinkClick } from '../../utils/router';
+
+const LABEL_SOURCES = {
+  manual: 'Manual (human)',
+  model_prediction: 'Model prediction'
+};
+
+const FragmentPage = ({ fragmentId }) => {
+  const [fragment, setFragment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      setNotFound(false);
+      try {
+        const data = await fetchFragmentMetadata(fragmentId);
+        if (!cancelled) setFragment(data);
+      } catch (err) {
+        if (!cancelled) {
+          const missing = err.response?.status === 404;
+          setNotFound(missing);
+          setError(missing
+            ? `Fragment ${fragmentId} does not exist.`
+            : err.message || 'Failed to load fragment');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [fragmentId, attempt]);
+
+  const labelSource = fragment?.label_source;
+  const pageUrl = fragment?.page_url || fragment?.url;
+
+  const rows = fragment ? [
+    { label: 'Fragment ID', value: <code>{fragment.fragment_id || fragmentId}</code> },
+    { label: 'Archetype', value: fragment.archetype },
+    { label: 'Label source', value: LABEL_SOURCES[labelSource] || labelSource },
+    { label: 'Domain', value: fragment.domain },
+    {
+      label: 'Page URL',
+      value: pageUrl ? <a href={pageUrl} target="_blank" rel="noopener noreferrer">{pageUrl}</a> : null
+    },
+    {
+      label: 'Page',
+      value: fragment.page_id
+        ? <a href={articlePath(fragment.page_id)} onClick={(e) => handleLinkClick(e, articlePath(fragment.page_id))}>
+            <code>{fragment.page_id}</code>
+          </a>
+        : null
+    },
+    { label: 'BBox', value: fragment.bbox },
+    { label: 'Has HTML', value: !!fragment.has_html },
+    {
+      label: 'Destination URL',
+      value: fragment.destination_url
+        ? <a href={fragment.destination_url} target="_blank" rel="noopener noreferrer">{fragment.destination_url}</a>
+        : null
+    },
+  ] : [];
+
+  return (
+    <PermalinkLayout
+      title="Fragment"
+      loading={loading}
+      error={error}
+      notFound={notFound}
+      onRetry={() => setAttempt(n => n + 1)}
+      card={fragment && (
+        <FragmentCard fragment={{ fragment_id: fragmentId, ...fragment }} index={0} />
+      )}
+      panel={<MetadataPanel title="Metadata" rows={rows} />}
+    />
+  );
+};
+
+export default FragmentPage;
@@ -0,0 +1,41 @@
+/**
+ * MetadataPanel Component
+ *
+ * Side panel for permalink pages. Renders a titled list of label/value rows;
+ * values may be strings, booleans, objects (shown as JSON) or React nodes.
+ */
+
+import React from 'react';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return <span className="metadata-empty">—</span>;
+  }
+  if (typeof value === 'boolean') {
+    return <span className={`metadata-bool ${value ? 'yes' : 'no'}`}>{value ? 'yes' : 'no'}</span>;
+  }
+  if (React.isValidElement(value)) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    return <code className="metadata-json">{JSON.stringify(value)}</code>;
+  }
+  return String(value);
+};
+
+const MetadataPanel = ({ title, rows, children }) => (
+  <aside className="metadata-panel">
+    <h2 className="metadata-panel-title">{title}</h2>
+    <dl className="metadata-list">
+      {rows.map(({ label, value }) => (
+        <div key={label} className="metadata-row">
+          <dt>{label}</dt>
+          <dd>{formatValue(value)}</dd>
+        </div>
+      ))}
+    </dl>
+    {children}
+  </aside>
+);
+
+export default MetadataPanel;
@@ -0,0 +1,59 @@
+/**
+ * PermalinkLayout Component
+ *
+ * Shared chrome for single-item pages: back-to-feed header, the rendered
+ * card on the left and a metadata panel on the right. Wraps the card in an
+ * EngagementProvider so permalink views are tracked like feed views.
+ *
+ * A missing item (notFound) is final; any other error offers a retry.
+ */
+
+import React, { useRef } from 'react';
+import { EngagementProvider } from '../../hooks/useEngagement';
+import { handleLinkClick } from '../../utils/router';
+import '../../styles/Feed.css';
+import './Permalink.css';
+
+const PermalinkLayout = ({ title, loading, error, notFound, onRetry, card, panel }) => {
+  const scrollRef = useRef(null);
+
+  return (
+    <div className="permalink-page" ref={scrollRef}>
+      <div className="permalink-header">
+        <a href="/" className="permalink-back" onClick={(e) => handleLinkClick(e, '/')}>
+          ← Feed
+        </a>
+        <h1 className="permalink-title">{title}</h1>
+      </div>
+
+      {loading ? (
+        <div className="feed-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading...</p>
+        </div>
+      ) : error ? (
+        <div className="feed-error">
+          <div className="error-content">
+            <div className="error-icon">⚠️</div>
+            <h2>{notFound ? 'Not Found' : `Error Loading ${title}`}</h2>
+            <p>{error}</p>
+            {!notFound && onRetry && (
+              <button onClick={onRetry} className="retry-button">
+                Retry
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="permalink-body">
+          <EngagementProvider feedRef={scrollRef}>
+            <div className="permalink-card">{card}</div>
+          </EngagementProvider>
+          {panel}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PermalinkLayout;
@@ -0,0 +1,16 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import PermalinkLayout from './PermalinkLayout';
+
+test('shows a missing item as not found, without a retry', () => {
+  render(<PermalinkLayout title="Fragment" error="Fragment abc does not exist." notFound onRetry={() => {}} />);
+  expect(screen.getByRole('heading', { name: 'Not Found' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+});
+
+test('offers a retry for other errors', () => {
+  const onRetry = jest.fn();
+  render(<PermalinkLayout title="Article" error="Network Error" onRetry={onRetry} />);
+  expect(screen.getByRole('heading', { name: 'Error Loading Article' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  expect(onRetry).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,111 @@
+/**
+ * SavedPage Component
+ *
+ * The saved library (/saved): saved items rendered with the regular feed
+ * cards in the same snap-scrolling layout, plus JSON export and import.
+ */
+
+import React, { useRef, useState } from 'react';
+import { EngagementProvider } from '../../hooks/useEngagement';
+import useSavedLibrary from '../../hooks/useSavedLibrary';
+import { exportLibrary, importLibrary } from '../../utils/savedLibrary';
+import { handleLinkClick } from '../../utils/router';
+import FragmentCard from '../Feed/FragmentCard';
+import AssembledArticle from '../Feed/AssembledArticle';
+import '../../styles/Feed.css';
+import './Saved.css';
+
+const SavedPage = () => {
+  const { entries, loaded } = useSavedLibrary();
+  const feedRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [notice, setNotice] = useState(null);
+
+  const showNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(null), 3000);
+  };
+
+  const handleExport = async () => {
+    try {
+      const json = await exportLibrary();
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `zoh-saved-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      // Revoking right away can cancel the download before it starts
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      console.error('Failed to export saved library:', err);
+      showNotice('Export failed');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await importLibrary(await file.text());
+      showNotice(count > 0 ? `Imported ${count} item${count !== 1 ? 's' : ''}` : 'Nothing new to import');
+    } catch (err) {
+      console.error('Failed to import saved library:', err);
+      showNotice('Import failed: not a saved library file');
+    }
+  };
+
+  return (
+    <EngagementProvider feedRef={feedRef}>
+      <div className="feed-container saved-page" ref={feedRef}>
+        <div className="feed-header">
+          <div className="feed-branding">
+            <a href="/" className="saved-back" onClick={(e) => handleLinkClick(e, '/')}>← Feed</a>
+            <h1 className="feed-title">Saved</h1>
+            <span className="saved-count">{entries.length}</span>
+          </div>
+          <div className="saved-actions">
+            {notice && <span className="saved-notice">{notice}</span>}
+            <button className="filter-clear-button" onClick={() => fileInputRef.current?.click()}>
+              Import
+            </button>
+            <button className="filter-apply-button" onClick={handleExport} disabled={entries.length === 0}>
+              Export JSON
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+        </div>
+
+        {loaded && entries.length === 0 ? (
+          <div className="feed-empty">
+            <div className="empty-content">
+              <div className="empty-icon">☆</div>
+              <h2>Nothing Saved Yet</h2>
+              <p>Use the Save button on any card to keep it here.</p>
+            </div>
+          </div>
+        ) : (
+          <div className="feed-content">
+            {entries.map(({ saved_id, item }, index) => (
+              item.type === 'article' ? (
+                <AssembledArticle key={saved_id} article={item} />
+              ) : (
+                <FragmentCard key={saved_id} fragment={item} index={index} />
+              )
+            ))}
+          </div>
+        )}
+      </div>
+    </EngagementProvider>
+  );
+};
+
+export default SavedPage;
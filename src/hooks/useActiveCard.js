@@ -0,0 +1,84 @@
+/**
+ * useActiveCard Hook
+ *
+ * Tracks which feed card is in view and which way the user is scrolling.
+ * The active card is the one crossing the vertical middle of the scroll
+ * container; it is found by binary search over the content's children, so
+ * it stays cheap with hundreds of cards (including windowed placeholders).
+ *
+ * Returns { activeIndex, direction } where direction is 1 (down) or -1 (up).
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Index of the child element crossing y (offsets relative to the container)
+ */
+const findIndexAt = (children, y) => {
+  let lo = 0;
+  let hi = children.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const el = children[mid];
+    if (el.offsetTop + el.offsetHeight <= y) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+};
+
+/**
+ * @param {React.RefObject} containerRef - Scroll container (the feed)
+ * @param {string} contentSelector - Selector for the element whose children are the cards
+ * @param {number} itemCount - Number of items (re-measures when it changes)
+ */
+export const useActiveCard = (containerRef, contentSelector, itemCount) => {
+  const [state, setState] = useState({ activeIndex: 0, direction: 1 });
+  const lastScrollTop = useRef(0);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const measure = () => {
+      frameRef.current = null;
+      const content = container.querySelector(contentSelector);
+      if (!content || content.children.length === 0) return;
+
+      const { scrollTop, clientHeight } = container;
+      // Children are offset relative to the (position: relative) container
+      const index = findIndexAt(content.children, scrollTop + clientHeight / 2);
+      const delta = scrollTop - lastScrollTop.current;
+      lastScrollTop.current = scrollTop;
+
+      setState(prev => {
+        const direction = delta > 0 ? 1 : delta < 0 ? -1 : prev.direction;
+        if (prev.activeIndex === index && prev.direction === direction) return prev;
+        return { activeIndex: index, direction };
+      });
+    };
+
+    const onScroll = () => {
+      if (frameRef.current === null) {
+        frameRef.current = requestAnimationFrame(measure);
+      }
+    };
+
+    measure();
+    container.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      container.removeEventListener('scroll', onScroll);
+      if (frameRef.current !== null) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    };
+  }, [containerRef, contentSelector, itemCount]);
+
+  return state;
+};
+
+export default useActiveCard;
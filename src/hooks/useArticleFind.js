@@ -0,0 +1,130 @@
+/**
+ * useArticleFind Hook
+ *
+ * Find-in-article support for HTML injected into a shadow root, which the
+ * browser's own find doesn't reliably reach:
+ * - Registers the embed as the find target for its feed slot, so the feed's
+ *   FindBar can search the card in view, step through the matches and
+ *   scroll the article wrapper to each one
+ * - Marks the terms of the feed's server-side search filter in the content
+ *
+ * Both come from ArticleFindContext, provided by Feed; outside the feed
+ * (permalink, saved library) the hook does nothing.
+ *
+ * Call it after the effect that injects the HTML, so it sees the content.
+ *
+ * Usage:
+ *   // Feed
+ *   const findRegistry = useMemo(() => createFindRegistry(), []);
+ *   <ArticleFindContext.Provider value={{ registry: findRegistry, searchTerms }}>
+ *
+ *   // Embed
+ *   useArticleFind({ shadowRootRef, scrollRef: wrapperRef, contentSelector: '.article-embed-content',
+ *     content: htmlData, enabled: renderMode === 'html' });
+ */
+
+import { createContext, useContext, useEffect } from 'react';
+import { LoadPriorityContext } from './useLoadTurn';
+import { markMatches } from '../utils/textSearch';
+import { unwrapMarks } from '../utils/textQuote';
+
+export const ArticleFindContext = createContext(null);
+
+// Keep the current match a little below the top of the wrapper
+const SCROLL_OFFSET_RATIO = 1 / 3;
+
+/**
+ * Registry of find targets by feed index, one per feed
+ *
+ * Target: { search(query) → match count, show(matchIndex), clear() }
+ * @returns {{register: Function, get: Function, subscribe: Function}}
+ */
+export const createFindRegistry = () => {
+  const targets = new Map();
+  const listeners = new Set();
+  const notify = () => listeners.forEach(listener => listener());
+
+  return {
+    register: (index, target) => {
+      targets.set(index, target);
+      notify();
+      return () => {
+        if (targets.get(index) !== target) return;
+        targets.delete(index);
+        notify();
+      };
+    },
+    get: (index) => targets.get(index) || null,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// Find target over one embed's content
+const createTarget = (contentEl, scrollEl) => {
+  let matches = [];
+
+  const clear = () => {
+    unwrapMarks(matches.flat());
+    matches = [];
+  };
+
+  return {
+    search: (query) => {
+      clear();
+      if (query) {
+        matches = markMatches(contentEl, [query], (mark) => mark.setAttribute('data-zoh-find', ''));
+      }
+      return matches.length;
+    },
+    show: (matchIndex) => {
+      matches.forEach((marks, i) => marks.forEach(mark => mark.toggleAttribute('data-current', i === matchIndex)));
+      const mark = matches[matchIndex]?.[0];
+      if (!mark || !scrollEl) return;
+      const offset = mark.getBoundingClientRect().top - scrollEl.getBoundingClientRect().top;
+      scrollEl.scrollBy({ top: offset - scrollEl.clientHeight * SCROLL_OFFSET_RATIO, behavior: 'smooth' });
+    },
+    clear,
+  };
+};
+
+/**
+ * @param {Object} options
+ * @param {React.RefObject} options.shadowRootRef - Shadow root holding the content
+ * @param {React.RefObject} options.scrollRef - Scroll wrapper to bring matches into view
+ * @param {string} options.contentSelector - Content root inside the shadow root
+ * @param {*} options.content - Changes whenever the content is re-injected
+ * @param {boolean} [options.enabled=true]
+ */
+export const useArticleFind = ({ shadowRootRef, scrollRef, contentSelector, content, enabled = true }) => {
+  const find = useContext(ArticleFindContext);
+  const index = useContext(LoadPriorityContext);
+  const registry = find?.registry;
+  const searchTerms = find?.searchTerms;
+
+  // Mark the feed's search terms
+  useEffect(() => {
+    const contentEl = shadowRootRef.current?.querySelector(contentSelector);
+    if (!enabled || !content || !contentEl || !searchTerms?.length) return;
+
+    const matches = markMatches(contentEl, searchTerms, (mark) => mark.setAttribute('data-zoh-term', ''));
+    return () => unwrapMarks(matches.flat());
+  }, [shadowRootRef, contentSelector, content, enabled, searchTerms]);
+
+  // Offer the content to the find bar while this card is mounted
+  useEffect(() => {
+    const contentEl = shadowRootRef.current?.querySelector(contentSelector);
+    if (!registry || index === null || !enabled || !content || !contentEl) return;
+
+    const target = createTarget(contentEl, scrollRef.current);
+    const unregister = registry.register(index, target);
+    return () => {
+      unregister();
+      target.clear();
+    };
+  }, [registry, index, shadowRootRef, scrollRef, contentSelector, content, enabled]);
+};
+
+export default useArticleFind;
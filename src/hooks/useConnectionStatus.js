@@ -0,0 +1,141 @@
+/**
+ * useConnectionStatus Hook
+ *
+ * Monitors backend reachability by polling /api/feed/health and listening to
+ * the browser's online/offline events.
+ *
+ * Status:
+ *   'live'     — last health check succeeded quickly
+ *   'degraded' — health check slow, unhealthy, or failing (fewer than 3 in a row)
+ *   'offline'  — browser is offline, or 3+ consecutive health check failures
+ *
+ * Polls every 30s while live; failures back off exponentially (2s → 60s).
+ * Polling pauses while the tab is hidden. onReconnect fires whenever the
+ * status returns to 'live' from any other state.
+ *
+ * Usage:
+ *   const { status, checkNow } = useConnectionStatus({ onReconnect: resume });
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { checkHealth } from '../services/api';
+
+const POLL_INTERVAL_MS = 30_000;
+const BACKOFF_BASE_MS = 2_000;
+const BACKOFF_MAX_MS = 60_000;
+const HEALTH_TIMEOUT_MS = 5_000;
+const SLOW_RESPONSE_MS = 2_000;
+const OFFLINE_AFTER_FAILURES = 3;
+
+const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export const useConnectionStatus = ({ onReconnect } = {}) => {
+  const [status, setStatus] = useState(() => (isBrowserOffline() ? 'offline' : 'live'));
+  const statusRef = useRef(status);
+  const failuresRef = useRef(0);
+  const timerRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const onReconnectRef = useRef(onReconnect);
+
+  useEffect(() => {
+    onReconnectRef.current = onReconnect;
+  }, [onReconnect]);
+
+  const updateStatus = useCallback((next) => {
+    const prev = statusRef.current;
+    if (next === prev) return;
+    statusRef.current = next;
+    setStatus(next);
+    if (next === 'live' && onReconnectRef.current) {
+      onReconnectRef.current();
+    }
+  }, []);
+
+  // Declared via ref so check() and schedule() can call each other
+  const checkRef = useRef(null);
+
+  const schedule = useCallback((delay) => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => checkRef.current(), delay);
+  }, []);
+
+  /**
+   * Run a health check now and schedule the next one
+   */
+  const check = useCallback(async () => {
+    clearTimeout(timerRef.current);
+
+    // Wait for the 'online' event instead of polling a dead network
+    if (isBrowserOffline()) {
+      updateStatus('offline');
+      return;
+    }
+    // Resume when the tab becomes visible again
+    if (document.visibilityState === 'hidden') return;
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const startedAt = Date.now();
+    try {
+      const data = await checkHealth({ signal: controller.signal, timeout: HEALTH_TIMEOUT_MS });
+      if (controller.signal.aborted) return;
+
+      failuresRef.current = 0;
+      const slow = Date.now() - startedAt > SLOW_RESPONSE_MS;
+      const unhealthy = data?.status && data.status !== 'healthy' && data.status !== 'ok';
+      updateStatus(slow || unhealthy ? 'degraded' : 'live');
+      schedule(POLL_INTERVAL_MS);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+
+      failuresRef.current += 1;
+      updateStatus(failuresRef.current >= OFFLINE_AFTER_FAILURES ? 'offline' : 'degraded');
+      const backoff = Math.min(BACKOFF_BASE_MS * 2 ** (failuresRef.current - 1), BACKOFF_MAX_MS);
+      schedule(backoff);
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, [schedule, updateStatus]);
+
+  checkRef.current = check;
+
+  useEffect(() => {
+    check();
+
+    const onOnline = () => {
+      failuresRef.current = 0;
+      check();
+    };
+    const onOffline = () => {
+      clearTimeout(timerRef.current);
+      updateStatus('offline');
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      clearTimeout(timerRef.current);
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, [check, updateStatus]);
+
+  return { status, checkNow: check };
+};
+
+export default useConnectionStatus;
@@ -0,0 +1,89 @@
+/**
+ * useEmbedImages Hook
+ *
+ * Image handling for HTML injected into a shadow root:
+ * - Lazy loading: images deferred by sanitizeEmbed({ deferImages: true })
+ *   load as they near the visible part of the scroll wrapper
+ *   (see utils/lazyImages)
+ * - Lightbox: tapping an image opens it full-screen with the rest of the
+ *   article's images, captioned from figcaption / alt. Linked images keep
+ *   following their link.
+ *
+ * Call it after the effect that injects the HTML, so it sees the content.
+ *
+ * Usage:
+ *   const { lightbox, closeLightbox } = useEmbedImages({
+ *     shadowRootRef, scrollRef: wrapperRef, contentSelector: '.article-embed-content',
+ *     content: htmlData, enabled: renderMode === 'html',
+ *   });
+ *   {lightbox && <Lightbox images={lightbox.images} startIndex={lightbox.index} onClose={closeLightbox} />}
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { observeLazyImages, imageSource } from '../utils/lazyImages';
+
+// Icons, avatars and spacers aren't worth enlarging
+const MIN_LIGHTBOX_SIZE = 48;
+
+const collapse = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+const isTooSmall = (img) => {
+  const width = img.naturalWidth || parseInt(img.getAttribute('width'), 10);
+  const height = img.naturalHeight || parseInt(img.getAttribute('height'), 10);
+  return (width > 0 && width < MIN_LIGHTBOX_SIZE) || (height > 0 && height < MIN_LIGHTBOX_SIZE);
+};
+
+// Images that open in the lightbox, in document order
+const collectImages = (contentEl) => Array.from(contentEl.querySelectorAll('img'))
+  .filter(img => !img.closest('a[href]') && imageSource(img) && !isTooSmall(img))
+  .map(img => ({
+    element: img,
+    src: imageSource(img),
+    srcset: img.getAttribute('srcset') || img.getAttribute('data-zoh-srcset') || null,
+    alt: img.getAttribute('alt') || '',
+    caption: collapse(img.closest('figure')?.querySelector('figcaption')?.textContent) ||
+      collapse(img.getAttribute('alt')),
+  }));
+
+/**
+ * @param {Object} options
+ * @param {React.RefObject} options.shadowRootRef - Shadow root holding the content
+ * @param {React.RefObject} options.scrollRef - Scroll wrapper (root for lazy loading)
+ * @param {string} options.contentSelector - Content root inside the shadow root
+ * @param {*} options.content - Changes whenever the content is re-injected
+ * @param {boolean} [options.enabled=true]
+ * @returns {{lightbox: {images: Array, index: number}|null, closeLightbox: Function}}
+ */
+export const useEmbedImages = ({ shadowRootRef, scrollRef, contentSelector, content, enabled = true }) => {
+  const [lightbox, setLightbox] = useState(null);
+
+  useEffect(() => {
+    const contentEl = shadowRootRef.current?.querySelector(contentSelector);
+    const scrollEl = scrollRef.current;
+    if (!enabled || !content || !contentEl || !scrollEl) return;
+
+    const stopLazyLoading = observeLazyImages(contentEl, scrollEl);
+
+    const handleClick = (e) => {
+      const img = e.target.closest('img');
+      if (!img) return;
+      const images = collectImages(contentEl);
+      const index = images.findIndex(entry => entry.element === img);
+      if (index < 0) return;
+      e.preventDefault();
+      setLightbox({ images: images.map(({ element, ...image }) => image), index });
+    };
+
+    contentEl.addEventListener('click', handleClick);
+    return () => {
+      stopLazyLoading();
+      contentEl.removeEventListener('click', handleClick);
+    };
+  }, [shadowRootRef, scrollRef, contentSelector, content, enabled]);
+
+  const closeLightbox = useCallback(() => setLightbox(null), []);
+
+  return { lightbox, closeLightbox };
+};
+
+export default useEmbedImages;
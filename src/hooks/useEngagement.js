@@ -2,8 +2,13 @@
  * useEngagement Hook
  *
  * Provides engagement tracking for feed items (fragments and assembled articles).
- * Tracks visibility dwell time, viewport percentage, scroll speed, and clicks.
- * Batches events and flushes to backend every 10 seconds.
+ * Tracks visibility dwell time, viewport percentage, scroll speed, clicks,
+ * saves, explicit feedback (like / dislike / not interested), how far into
+ * an article someone read (scroll depth), highlighted passages and client
+ * diagnostics such as render fallbacks.
+ * Events go into a durable queue (IndexedDB-backed, see utils/engagementQueue)
+ * that flushes to the backend every 10 seconds, retries with backoff on
+ * failure, and falls back to sendBeacon when the page is hidden or unloaded.
  *
  * Usage:
  *   <EngagementProvider feedRef={feedRef}>
@@ -12,7 +17,7 @@
  */
 
 import React, { createContext, useContext, useRef, useCallback, useEffect } from 'react';
-import { sendEngagementEvents } from '../services/api';
+import { hydrateQueue, enqueueEvent, flushQueue, beaconQueue } from '../utils/engagementQueue';
 
 const EngagementContext = createContext(null);
 
@@ -37,7 +42,6 @@ function getOrCreateAnonId() {
 
 export function EngagementProvider({ children, feedRef }) {
   const userId = useRef(getOrCreateAnonId());
-  const eventQueue = useRef([]);
   const activeDwells = useRef(new Map()); // fragmentId -> { startTime, lastViewportPct }
   const scrollSpeedRef = useRef('reading');
   const lastScrollTop = useRef(0);
@@ -46,9 +50,12 @@ export function EngagementProvider({ children, feedRef }) {
 
   // Flush queued events to backend
   const flush = useCallback(() => {
-    if (eventQueue.current.length === 0) return;
-    const batch = eventQueue.current.splice(0);
-    sendEngagementEvents(userId.current, batch);
+    flushQueue(userId.current);
+  }, []);
+
+  // Send queued events with a beacon (page is being hidden or unloaded)
+  const beacon = useCallback(() => {
+    beaconQueue(userId.current);
   }, []);
 
   // End a dwell and push visibility event if long enough
@@ -60,7 +67,7 @@ export function EngagementProvider({ children, feedRef }) {
     const dwellMs = Date.now() - dwell.startTime;
     if (dwellMs < MIN_DWELL_MS) return;
 
-    eventQueue.current.push({
+    enqueueEvent({
       fragment_id: fragmentId,
       type: 'visibility',
       timestamp_ms: Date.now(),
@@ -72,8 +79,9 @@ export function EngagementProvider({ children, feedRef }) {
     });
   }, []);
 
-  // Start flush interval
+  // Restore events left over from a previous session, then start flush interval
   useEffect(() => {
+    hydrateQueue().then(flush);
     flushTimerRef.current = setInterval(flush, FLUSH_INTERVAL_MS);
     return () => {
       flush();
@@ -110,19 +118,27 @@ export function EngagementProvider({ children, feedRef }) {
     return () => feedEl.removeEventListener('scroll', onScroll);
   }, [feedRef]);
 
-  // Flush on tab hide / close
+  // Beacon on tab hide / close. Dwells are ended so time spent on the
+  // current card is captured before the page goes away.
   useEffect(() => {
+    const endDwellsAndBeacon = () => {
+      for (const [fid] of activeDwells.current) {
+        endDwell(fid);
+      }
+      beacon();
+    };
     const onVisibilityChange = () => {
       if (document.visibilityState === 'hidden') {
-        for (const [fid] of activeDwells.current) {
-          endDwell(fid);
-        }
-        flush();
+        endDwellsAndBeacon();
       }
     };
     document.addEventListener('visibilitychange', onVisibilityChange);
-    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
-  }, [flush, endDwell]);
+    window.addEventListener('pagehide', endDwellsAndBeacon);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', endDwellsAndBeacon);
+    };
+  }, [beacon, endDwell]);
 
   // Start or update dwell tracking for a fragment
   const onVisible = useCallback((fragmentId, viewportPct = 1.0) => {
@@ -144,7 +160,7 @@ export function EngagementProvider({ children, feedRef }) {
 
   // Record a click event
   const onClick = useCallback((fragmentId) => {
-    eventQueue.current.push({
+    enqueueEvent({
       fragment_id: fragmentId,
       type: 'click',
       timestamp_ms: Date.now(),
@@ -152,7 +168,57 @@ export function EngagementProvider({ children, feedRef }) {
     });
   }, []);
 
-  const value = { onVisible, onHidden, onClick };
+  // Record a save / unsave of an item to the local library
+  const onSave = useCallback((fragmentId, saved = true) => {
+    enqueueEvent({
+      fragment_id: fragmentId,
+      type: saved ? 'save' : 'unsave',
+      timestamp_ms: Date.now(),
+      data: {},
+    });
+  }, []);
+
+  // Record explicit feedback: 'like', 'dislike' or 'not_interested'
+  const onFeedback = useCallback((fragmentId, type, data = {}) => {
+    enqueueEvent({
+      fragment_id: fragmentId,
+      type,
+      timestamp_ms: Date.now(),
+      data,
+    });
+  }, []);
+
+  // Record how far into an article the reader got (see useReadingProgress)
+  const onScrollDepth = useCallback((fragmentId, data) => {
+    enqueueEvent({
+      fragment_id: fragmentId,
+      type: 'scroll_depth',
+      timestamp_ms: Date.now(),
+      data,
+    });
+  }, []);
+
+  // Record a passage highlighted in an article (see useTextHighlights)
+  const onHighlight = useCallback((fragmentId, data) => {
+    enqueueEvent({
+      fragment_id: fragmentId,
+      type: 'highlight',
+      timestamp_ms: Date.now(),
+      data,
+    });
+  }, []);
+
+  // Record a client-side diagnostic (e.g. 'render_fallback') for a fragment
+  const onDiagnostic = useCallback((fragmentId, type, data = {}) => {
+    enqueueEvent({
+      fragment_id: fragmentId,
+      type,
+      timestamp_ms: Date.now(),
+      data,
+    });
+  }, []);
+
+  const value = { onVisible, onHidden, onClick, onSave, onFeedback, onScrollDepth, onHighlight, onDiagnostic };
 
   return (
     <EngagementContext.Provider value={value}>
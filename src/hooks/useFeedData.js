@@ -5,10 +5,28 @@
  * Uses the /articles endpoint which returns assembled articles
  * (grouped article/article_media fragments) and standalone fragments
  * as a unified feed.
+ *
+ * Filters and the random seed are mirrored to the query string (see
+ * utils/feedUrlState), so a reload or a shared link restores the same feed
+ * and back/forward navigate between filter states.
+ *
+ * The loaded session (items, cursor, seed, filters, card in view) is saved
+ * to IndexedDB (see utils/feedSession) and restored on the next load instead
+ * of fetching from scratch, as long as the URL doesn't ask for another feed.
+ *
+ * "Not interested" exclusions are sent with the first page and kept for the
+ * rest of that pagination: a cursor is only valid for the exclusions it was
+ * issued under (the item it points at may be excluded now). Exclusions added
+ * meanwhile are applied client-side until the feed is loaded from scratch.
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { fetchArticles } from '../services/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { fetchArticles, isCancelledRequest } from '../services/api';
+import { parseFeedParams, writeFeedUrl, buildFeedShareUrl, DEFAULT_FILTERS } from '../utils/feedUrlState';
+import { loadFeedSession, saveFeedSession } from '../utils/feedSession';
+import { getFeedPreferences, isExcludedItem } from '../utils/feedPreferences';
+
+const SESSION_SAVE_DEBOUNCE_MS = 500;
 
 /**
  * Generate a random seed for feed ordering
@@ -18,43 +36,124 @@ const generateRandomSeed = () => {
   return `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
 };
 
+/**
+ * Read initial filters and seed from the address bar (once per mount)
+ */
+const readInitialUrlState = () => parseFeedParams(window.location.search);
+
+const sameFilters = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const itemKey = (item) => (item.type === 'article' ? `article-${item.article_id}` : item.fragment_id);
+
+/**
+ * The user's current "not interested" exclusions, as request options
+ */
+const currentExclusions = () => {
+  const { excludedDomains, excludedArchetypes } = getFeedPreferences();
+  return { excludeDomains: excludedDomains, excludeArchetypes: excludedArchetypes };
+};
+
+// The backend may not honour exclusions; drop excluded items client-side too
+const withoutExcluded = (items) => {
+  const prefs = getFeedPreferences();
+  return items.filter(item => !isExcludedItem(item, prefs));
+};
+
+/**
+ * A saved session may only replace the initial feed if the URL doesn't
+ * request a different one (shared link with another seed or other filters)
+ */
+const sessionMatchesUrl = (session, urlState) => {
+  if (urlState.seed) return urlState.seed === session.randomSeed;
+  return sameFilters(urlState.filters, DEFAULT_FILTERS);
+};
+
 export const useFeedData = () => {
+  const [initialUrlState] = useState(readInitialUrlState);
   const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(false);
+  // Starts true: the saved session is checked before the first fetch
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [hasMore, setHasMore] = useState(true);
   const [cursor, setCursor] = useState(null);
-  const [randomSeed, setRandomSeed] = useState(() => generateRandomSeed());
+  const [randomSeed, setRandomSeed] = useState(() => initialUrlState.seed || generateRandomSeed());
 
   // Active filters
-  const [filters, setFilters] = useState({
-    domains: [],
-    archetypes: [],
-    pages: [],
-    curated: false,
-    source: 'all',
-    search: ''
-  });
+  const [filters, setFilters] = useState(initialUrlState.filters);
+
+  // Session restoration
+  const [sessionChecked, setSessionChecked] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [restoredIndex, setRestoredIndex] = useState(null);
+  const skipNextLoadRef = useRef(false);
+
+  // How the next filters/seed change is written to history:
+  // 'push' (new entry), 'replace' (same entry) or 'none' (came from history)
+  const historyModeRef = useRef('replace');
+
+  // In-flight request tracking. Every request gets a generation id; a
+  // response is only applied if its generation is still the latest, so a
+  // slow response for old filters can never overwrite the current feed.
+  const requestGenRef = useRef(0);
+  const abortControllerRef = useRef(null);
+
+  // Exclusions the current cursor was issued under
+  const paginationExclusionsRef = useRef(null);
+
+  /**
+   * Abort any in-flight request and start a new generation
+   * @returns {{generation: number, signal: AbortSignal}}
+   */
+  const beginRequest = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    requestGenRef.current += 1;
+    return { generation: requestGenRef.current, signal: controller.signal };
+  }, []);
+
+  /**
+   * Abort any in-flight request without starting a new one
+   */
+  const cancelPending = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    requestGenRef.current += 1;
+  }, []);
+
+  const isCurrent = (generation) => generation === requestGenRef.current;
 
   /**
    * Load initial feed items
    */
   const loadInitialItems = useCallback(async () => {
+    const { generation, signal } = beginRequest();
     setLoading(true);
     setError(null);
 
     try {
-      const data = await fetchArticles(20, null, filters.domains, filters.archetypes, randomSeed, filters.curated, filters.source, filters.pages, filters.search);
-      setItems(data.items || []);
+      const exclusions = currentExclusions();
+      const data = await fetchArticles(20, null, filters.domains, filters.archetypes, randomSeed, filters.curated, filters.source, filters.pages, filters.search, { signal, ...exclusions });
+      if (!isCurrent(generation)) return;
+      paginationExclusionsRef.current = exclusions;
+      setItems(withoutExcluded(data.items || []));
       setCursor(data.next_cursor);
       setHasMore(data.has_more);
     } catch (err) {
+      if (isCancelledRequest(err) || !isCurrent(generation)) return;
       setError(err.message || 'Failed to load feed');
       console.error('Error loading initial feed items:', err);
     } finally {
-      setLoading(false);
+      if (isCurrent(generation)) {
+        abortControllerRef.current = null;
+        setLoading(false);
+      }
     }
-  }, [filters.domains, filters.archetypes, filters.pages, filters.curated, filters.source, filters.search, randomSeed]);
+  }, [beginRequest, filters.domains, filters.archetypes, filters.pages, filters.curated, filters.source, filters.search, randomSeed]);
 
   /**
    * Load more feed items (for infinite scroll)
@@ -63,48 +162,165 @@ export const useFeedData = () => {
   const loadMoreItems = useCallback(async () => {
     if (!hasMore || loading) return;
 
+    const { generation, signal } = beginRequest();
     setLoading(true);
     setError(null);
 
     try {
-      const data = await fetchArticles(20, cursor, filters.domains, filters.archetypes, randomSeed, filters.curated, filters.source, filters.pages, filters.search);
-      setItems(prev => [...prev, ...(data.items || [])]);
+      const exclusions = paginationExclusionsRef.current || currentExclusions();
+      const data = await fetchArticles(20, cursor, filters.domains, filters.archetypes, randomSeed, filters.curated, filters.source, filters.pages, filters.search, { signal, ...exclusions });
+      if (!isCurrent(generation)) return;
+      setItems(prev => [...prev, ...withoutExcluded(data.items || [])]);
       setCursor(data.next_cursor);
       setHasMore(data.has_more);
     } catch (err) {
+      if (isCancelledRequest(err) || !isCurrent(generation)) return;
       setError(err.message || 'Failed to load more items');
       console.error('Error loading more feed items:', err);
     } finally {
-      setLoading(false);
+      if (isCurrent(generation)) {
+        abortControllerRef.current = null;
+        setLoading(false);
+      }
     }
-  }, [cursor, hasMore, loading, filters.domains, filters.archetypes, filters.pages, filters.curated, filters.source, filters.search, randomSeed]);
+  }, [beginRequest, cursor, hasMore, loading, filters.domains, filters.archetypes, filters.pages, filters.curated, filters.source, filters.search, randomSeed]);
 
   /**
    * Apply new filters and reload feed
-   * Generates new random seed to re-randomize the feed
+   * Generates new random seed to re-randomize the feed unless one is given
+   * @param {Object} newFilters - Filters to apply
+   * @param {Object} [options]
+   * @param {string} [options.randomSeed] - Seed to reuse (e.g. restored from history)
+   * @param {'push'|'replace'|'none'} [options.history='push'] - How to record the change in history
    */
-  const applyFilters = useCallback((newFilters) => {
+  const applyFilters = useCallback((newFilters, { randomSeed: seed, history = 'push' } = {}) => {
+    cancelPending();
+    historyModeRef.current = history;
     setFilters(newFilters);
     setCursor(null);
     setHasMore(true);
-    setRandomSeed(generateRandomSeed());
-  }, []);
+    setRandomSeed(seed || generateRandomSeed());
+  }, [cancelPending]);
 
   /**
    * Refresh feed (reload from beginning)
-   * Generates new random seed to re-randomize the feed
+   * Generates new random seed to re-randomize the feed; the seed change
+   * triggers loadInitialItems via the effect below.
    */
   const refresh = useCallback(() => {
+    cancelPending();
     setCursor(null);
     setHasMore(true);
     setRandomSeed(generateRandomSeed());
-    loadInitialItems();
-  }, [loadInitialItems]);
+  }, [cancelPending]);
+
+  // Restore the saved session, if any, before the first fetch
+  useEffect(() => {
+    let cancelled = false;
+
+    loadFeedSession().then((session) => {
+      if (cancelled) return;
+      if (session?.items?.length > 0 && sessionMatchesUrl(session, initialUrlState)) {
+        skipNextLoadRef.current = true;
+        setItems(session.items);
+        setCursor(session.cursor);
+        paginationExclusionsRef.current = session.exclusions || null;
+        setHasMore(session.hasMore);
+        setRandomSeed(session.randomSeed);
+        setFilters(session.filters);
+        setActiveIndex(session.activeIndex || 0);
+        setRestoredIndex(session.activeIndex || 0);
+        setLoading(false);
+      }
+      setSessionChecked(true);
+    });
+
+    return () => { cancelled = true; };
+  }, [initialUrlState]);
 
   // Load initial items on mount and when filters change
   useEffect(() => {
+    if (!sessionChecked) return;
+    // Restored session already holds the items for these filters
+    if (skipNextLoadRef.current) {
+      skipNextLoadRef.current = false;
+      return;
+    }
     loadInitialItems();
-  }, [loadInitialItems]);
+  }, [loadInitialItems, sessionChecked]);
+
+  // Persist the session (debounced), and immediately when the page goes away
+  const latestSessionRef = useRef(null);
+  useEffect(() => {
+    if (!sessionChecked || items.length === 0) return;
+
+    const session = { items, cursor, hasMore, randomSeed, filters, activeIndex, exclusions: paginationExclusionsRef.current };
+    latestSessionRef.current = session;
+    const timer = setTimeout(() => saveFeedSession(session), SESSION_SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [sessionChecked, items, cursor, hasMore, randomSeed, filters, activeIndex]);
+
+  useEffect(() => {
+    const onPageHide = () => {
+      if (latestSessionRef.current) saveFeedSession(latestSessionRef.current);
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => window.removeEventListener('pagehide', onPageHide);
+  }, []);
+
+  /**
+   * Remove one item from the feed right away (explicit dismissal)
+   */
+  const dismissItem = useCallback((item) => {
+    const key = itemKey(item);
+    setItems(prev => prev.filter(i => itemKey(i) !== key));
+  }, []);
+
+  /**
+   * Drop loaded items that are now excluded by preferences, from fromIndex
+   * on. The card there goes too if it matches; cards above it are kept so
+   * they don't shift it.
+   */
+  const pruneExcluded = useCallback((fromIndex) => {
+    const prefs = getFeedPreferences();
+    setItems(prev => prev.filter((item, i) => i < fromIndex || !isExcludedItem(item, prefs)));
+  }, []);
+
+  /**
+   * Called once the feed has scrolled to the restored card
+   */
+  const consumeRestoredIndex = useCallback(() => setRestoredIndex(null), []);
+
+  // Abort any in-flight request on unmount
+  useEffect(() => cancelPending, [cancelPending]);
+
+  // Mirror filters and seed to the query string
+  useEffect(() => {
+    const mode = historyModeRef.current;
+    historyModeRef.current = 'replace';
+    if (mode !== 'none') {
+      writeFeedUrl(filters, randomSeed, mode);
+    }
+  }, [filters, randomSeed]);
+
+  // Back/forward: restore the filters and seed recorded in the URL
+  useEffect(() => {
+    const onPopState = () => {
+      const { filters: urlFilters, seed } = parseFeedParams(window.location.search);
+      applyFilters(urlFilters, { randomSeed: seed, history: 'none' });
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyFilters]);
+
+  /**
+   * Absolute link to the current feed view, including the seed so the
+   * recipient sees the same ordering
+   */
+  const getShareUrl = useCallback(
+    () => buildFeedShareUrl(filters, randomSeed),
+    [filters, randomSeed]
+  );
 
   // Backward-compatible: expose items as both `items` and `fragments`
   return {
@@ -116,7 +332,14 @@ export const useFeedData = () => {
     loadMore: loadMoreItems,
     refresh,
     filters,
-    applyFilters
+    applyFilters,
+    randomSeed,
+    getShareUrl,
+    reportActiveIndex: setActiveIndex,
+    restoredIndex,
+    consumeRestoredIndex,
+    dismissItem,
+    pruneExcluded
   };
 };
 
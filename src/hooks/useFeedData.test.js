@@ -0,0 +1,61 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useFeedData } from './useFeedData';
+import { fetchArticles } from '../services/api';
+import { excludeFromFeed, clearExclusions } from '../utils/feedPreferences';
+
+jest.mock('../services/api', () => ({
+  fetchArticles: jest.fn(),
+  isCancelledRequest: () => false,
+}));
+
+jest.mock('../utils/feedSession', () => ({
+  loadFeedSession: () => Promise.resolve(null),
+  saveFeedSession: () => Promise.resolve(),
+}));
+
+const fragment = (id, domain) => ({ type: 'fragment', fragment_id: id, domain, archetype: 'article' });
+
+const page = (items, nextCursor) => ({ items, next_cursor: nextCursor, has_more: nextCursor !== null });
+
+// Last argument of fetchArticles holds the request options
+const requestOptions = (call) => call[call.length - 1];
+
+beforeEach(() => {
+  fetchArticles.mockReset();
+  clearExclusions();
+});
+
+test('keeps paginating under the exclusions the cursor was issued with', async () => {
+  fetchArticles
+    .mockResolvedValueOnce(page([fragment('a', 'one.com'), fragment('b', 'two.com')], 'b'))
+    .mockResolvedValueOnce(page([fragment('c', 'two.com'), fragment('d', 'three.com')], null));
+  const { result } = renderHook(() => useFeedData());
+  await waitFor(() => expect(result.current.items).toHaveLength(2));
+
+  act(() => excludeFromFeed('domain', 'two.com'));
+  await act(() => result.current.loadMore());
+
+  expect(requestOptions(fetchArticles.mock.calls[1])).toMatchObject({ excludeDomains: [] });
+  // New exclusions still apply to what comes back
+  expect(result.current.items.map(item => item.fragment_id)).toEqual(['a', 'b', 'd']);
+});
+
+test('prunes an excluded card that slides into view', async () => {
+  fetchArticles.mockResolvedValueOnce(page([
+    fragment('a', 'one.com'),
+    fragment('b', 'two.com'),
+    fragment('c', 'two.com'),
+    fragment('d', 'three.com'),
+  ], null));
+  const { result } = renderHook(() => useFeedData());
+  await waitFor(() => expect(result.current.items).toHaveLength(4));
+
+  // "Not interested" on b while it is in view: c takes its place
+  act(() => {
+    excludeFromFeed('domain', 'two.com');
+    result.current.dismissItem(result.current.items[1]);
+    result.current.pruneExcluded(1);
+  });
+
+  expect(result.current.items.map(item => item.fragment_id)).toEqual(['a', 'd']);
+});
@@ -0,0 +1,19 @@
+/**
+ * useFeedFeedback Hook
+ *
+ * Context through which cards remove themselves from the feed after
+ * explicit negative feedback. Provided by Feed; outside the feed (permalink,
+ * saved library) useFeedFeedback() returns null and cards hide those actions.
+ *
+ * Value: { dismiss(item), notInterested(item, 'domain' | 'archetype') }
+ */
+
+import { createContext, useContext } from 'react';
+
+export const FeedFeedbackContext = createContext(null);
+
+export function useFeedFeedback() {
+  return useContext(FeedFeedbackContext);
+}
+
+export default useFeedFeedback;
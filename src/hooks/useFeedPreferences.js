@@ -0,0 +1,19 @@
+/**
+ * useFeedPreferences Hook
+ *
+ * React view of utils/feedPreferences; re-renders when preferences change
+ * anywhere in the app.
+ */
+
+import { useState, useEffect } from 'react';
+import { getFeedPreferences, subscribeFeedPreferences } from '../utils/feedPreferences';
+
+export const useFeedPreferences = () => {
+  const [prefs, setPrefs] = useState(getFeedPreferences);
+
+  useEffect(() => subscribeFeedPreferences(setPrefs), []);
+
+  return prefs;
+};
+
+export default useFeedPreferences;
@@ -0,0 +1,125 @@
+/**
+ * useFidelityScale Hook
+ *
+ * Scale for fidelity mode: content is laid out at the fragment's original
+ * width (bbox.width) and shrunk with a CSS transform to fit the card, so it
+ * looks like the screenshot but stays selectable and clickable. Transforms
+ * keep hit-testing and text selection in sync with what is drawn, so clicks
+ * need no coordinate mapping.
+ *
+ * Pinch (two-finger touch, or ctrl + wheel on trackpads) zooms between the
+ * fit scale and MAX_ZOOM times it, keeping the point under the fingers in
+ * place; the viewport scrolls to pan.
+ *
+ * Returns { scale, stageHeight, zoomed }. stageHeight is the unscaled layout
+ * height; size the stage's box as stageHeight * scale.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+const MAX_ZOOM = 4;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const touchDistance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+/**
+ * @param {React.RefObject} viewportRef - Scrollable element the stage sits in
+ * @param {React.RefObject} stageRef - Element laid out at contentWidth and transformed
+ * @param {number} contentWidth - Original layout width (bbox.width)
+ * @param {boolean} enabled - Fidelity mode on
+ */
+export const useFidelityScale = (viewportRef, stageRef, contentWidth, enabled) => {
+  const [fitScale, setFitScale] = useState(1);
+  const [zoom, setZoom] = useState(1);
+  const [stageHeight, setStageHeight] = useState(0);
+  const zoomRef = useRef(1);
+
+  // Fit the original width into the viewport; track the stage's height
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const stage = stageRef.current;
+    if (!enabled || !contentWidth || !viewport || !stage) return;
+
+    const measure = () => {
+      setFitScale(Math.min(1, viewport.clientWidth / contentWidth));
+      // offsetHeight ignores transforms: this is the unscaled layout height
+      setStageHeight(stage.offsetHeight);
+    };
+    measure();
+
+    const resizeObserver = new ResizeObserver(measure);
+    resizeObserver.observe(viewport);
+    resizeObserver.observe(stage);
+    return () => resizeObserver.disconnect();
+  }, [viewportRef, stageRef, contentWidth, enabled]);
+
+  // Leaving fidelity mode resets the zoom
+  useEffect(() => {
+    if (enabled) return;
+    zoomRef.current = 1;
+    setZoom(1);
+  }, [enabled]);
+
+  // Pinch to zoom around the gesture's centre
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!enabled || !viewport) return;
+
+    const zoomAt = (factor, clientX, clientY) => {
+      const prev = zoomRef.current;
+      const next = clamp(prev * factor, 1, MAX_ZOOM);
+      if (next === prev) return;
+      zoomRef.current = next;
+
+      const rect = viewport.getBoundingClientRect();
+      const x = clientX - rect.left;
+      const y = clientY - rect.top;
+      const { scrollLeft, scrollTop } = viewport;
+      const ratio = next / prev;
+      setZoom(next);
+      // After the re-render, scroll so the same content point stays under the gesture
+      requestAnimationFrame(() => {
+        viewport.scrollLeft = (scrollLeft + x) * ratio - x;
+        viewport.scrollTop = (scrollTop + y) * ratio - y;
+      });
+    };
+
+    const handleWheel = (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      zoomAt(Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+    };
+
+    let lastDistance = null;
+    const handleTouchStart = (e) => {
+      lastDistance = e.touches.length === 2 ? touchDistance(e.touches[0], e.touches[1]) : null;
+    };
+    const handleTouchMove = (e) => {
+      if (e.touches.length !== 2 || !lastDistance) return;
+      e.preventDefault();
+      const [a, b] = e.touches;
+      const distance = touchDistance(a, b);
+      zoomAt(distance / lastDistance, (a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+      lastDistance = distance;
+    };
+    const handleTouchEnd = (e) => {
+      if (e.touches.length < 2) lastDistance = null;
+    };
+
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    viewport.addEventListener('touchstart', handleTouchStart, { passive: true });
+    viewport.addEventListener('touchmove', handleTouchMove, { passive: false });
+    viewport.addEventListener('touchend', handleTouchEnd);
+    return () => {
+      viewport.removeEventListener('wheel', handleWheel);
+      viewport.removeEventListener('touchstart', handleTouchStart);
+      viewport.removeEventListener('touchmove', handleTouchMove);
+      viewport.removeEventListener('touchend', handleTouchEnd);
+    };
+  }, [viewportRef, enabled]);
+
+  return { scale: fitScale * zoom, stageHeight, zoomed: zoom > 1 };
+};
+
+export default useFidelityScale;
@@ -0,0 +1,30 @@
+/**
+ * useHighlights Hook
+ *
+ * React view of the stored highlights (utils/highlights). All instances
+ * share one in-memory copy that updates whenever highlights change, in this
+ * component or anywhere else in the app.
+ *
+ * Usage:
+ *   const { highlights, loaded } = useHighlights();
+ */
+
+import { useState, useEffect } from 'react';
+import { getHighlights, subscribeHighlights } from '../utils/highlights';
+
+const NO_HIGHLIGHTS = [];
+
+export const useHighlights = () => {
+  const [shared, setShared] = useState(getHighlights);
+
+  useEffect(() => {
+    const unsubscribe = subscribeHighlights(setShared);
+    // Catch a read that finished between the first render and subscribing
+    setShared(getHighlights());
+    return unsubscribe;
+  }, []);
+
+  return { highlights: shared || NO_HIGHLIGHTS, loaded: shared !== null };
+};
+
+export default useHighlights;
@@ -0,0 +1,61 @@
+/**
+ * useLoadTurn Hook
+ *
+ * Waits for the load scheduler (utils/loadScheduler) to let a card start an
+ * expensive load. The card's feed index comes from LoadPriorityContext,
+ * provided by FeedItemSlot; outside the feed (permalink, saved library) there
+ * is no context and the turn is granted immediately.
+ *
+ * Each turn comes with an AbortSignal. The turn is given back, and the
+ * signal aborted, when `requested` turns false or the card unmounts (feed
+ * windowing), so a load that already started stops instead of running on
+ * for a card that's gone.
+ *
+ * Usage:
+ *   const [granted, done, signal] = useLoadTurn(nearViewport && !loaded);
+ *   // start loading once granted, passing signal to the fetch; call done()
+ *   // when finished to free the slot early
+ */
+
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { requestLoad } from '../utils/loadScheduler';
+
+export const LoadPriorityContext = createContext(null);
+
+export const useLoadTurn = (requested) => {
+  const index = useContext(LoadPriorityContext);
+  // AbortSignal of the granted turn; null while waiting
+  const [signal, setSignal] = useState(null);
+  const ticketRef = useRef(null);
+
+  // Cleanup releases the slot and aborts the turn: when no longer
+  // requested, or on unmount
+  useEffect(() => {
+    if (!requested) return;
+
+    const controller = new AbortController();
+    const grant = () => setSignal(controller.signal);
+    const ticket = index === null ? null : requestLoad(index, grant);
+    if (ticket) {
+      ticketRef.current = ticket;
+    } else {
+      grant();
+    }
+
+    return () => {
+      ticket?.release();
+      ticketRef.current = null;
+      controller.abort();
+      setSignal(null);
+    };
+  }, [requested, index]);
+
+  const done = useCallback(() => {
+    ticketRef.current?.release();
+    ticketRef.current = null;
+  }, []);
+
+  return [signal !== null, done, signal];
+};
+
+export default useLoadTurn;
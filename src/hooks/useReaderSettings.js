@@ -0,0 +1,19 @@
+/**
+ * useReaderSettings Hook
+ *
+ * React view of utils/readerSettings; re-renders when settings change
+ * anywhere in the app.
+ */
+
+import { useState, useEffect } from 'react';
+import { getReaderSettings, subscribeReaderSettings } from '../utils/readerSettings';
+
+export const useReaderSettings = () => {
+  const [settings, setSettings] = useState(getReaderSettings);
+
+  useEffect(() => subscribeReaderSettings(setSettings), []);
+
+  return settings;
+};
+
+export default useReaderSettings;
@@ -0,0 +1,147 @@
+/**
+ * useReadingProgress Hook
+ *
+ * Tracks how far a reader has got through an article's scroll wrapper and
+ * reports it as 'scroll_depth' engagement events.
+ *
+ * - progress: scroll position as a fraction of the scrollable range (for
+ *   the progress bar); 1 when the content fits without scrolling
+ * - depth: fraction of the content that has been on screen (bottom edge of
+ *   the viewport), only counted while the wrapper is at least half visible
+ *   and the tab is in the foreground
+ *
+ * An event is sent each time a reading session ends (the wrapper leaves the
+ * viewport, the tab is hidden or the card unmounts) and the max depth has
+ * grown since the last one. Velocity is measured over visible time only:
+ * words brought on screen per minute, and pixels scrolled per second.
+ *
+ * Usage:
+ *   const { progress, scrollable } = useReadingProgress(wrapperRef, {
+ *     trackingId: fragmentId, wordCount, enabled: !isLoading,
+ *   });
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useEngagement } from './useEngagement';
+
+const VISIBLE_RATIO = 0.5;
+// Shorter sessions say nothing about reading
+const MIN_SESSION_MS = 1000;
+
+/**
+ * @param {React.RefObject} scrollRef - The article's scroll wrapper
+ * @param {Object} options
+ * @param {string} options.trackingId - Fragment ID the events are recorded against
+ * @param {number} options.wordCount - Words in the rendered article
+ * @param {boolean} options.enabled - Wrapper mounted and content rendered
+ * @param {Object} [options.data] - Extra fields for the event (e.g. page_id)
+ */
+export const useReadingProgress = (scrollRef, { trackingId, wordCount, enabled, data }) => {
+  const [progress, setProgress] = useState(0);
+  const [scrollable, setScrollable] = useState(false);
+  const engagement = useEngagement();
+  const statsRef = useRef({
+    maxDepth: 0,
+    reportedDepth: 0,
+    distance: 0,
+    lastScrollTop: 0,
+    visibleMs: 0,
+    visibleSince: null,
+  });
+
+  // Send the session's numbers (latest props via ref)
+  const reportRef = useRef(null);
+  reportRef.current = () => {
+    const stats = statsRef.current;
+    if (!engagement || !trackingId || stats.maxDepth <= stats.reportedDepth) return;
+    if (stats.visibleMs < MIN_SESSION_MS) return;
+    stats.reportedDepth = stats.maxDepth;
+
+    const minutes = stats.visibleMs / 60_000;
+    engagement.onScrollDepth(trackingId, {
+      ...data,
+      max_depth_pct: Math.round(stats.maxDepth * 100),
+      velocity_wpm: wordCount ? Math.round((wordCount * stats.maxDepth) / minutes) : null,
+      velocity_px_s: Math.round(stats.distance / (stats.visibleMs / 1000)),
+      visible_ms: stats.visibleMs,
+      word_count: wordCount || null,
+    });
+  };
+
+  useEffect(() => {
+    const scrollEl = scrollRef.current;
+    if (!enabled || !scrollEl) return;
+
+    const stats = statsRef.current;
+    stats.lastScrollTop = scrollEl.scrollTop;
+    let intersecting = false;
+    let frame = null;
+
+    const measure = () => {
+      frame = null;
+      const { scrollTop, scrollHeight, clientHeight } = scrollEl;
+      const range = scrollHeight - clientHeight;
+      setScrollable(range > 0);
+      setProgress(range > 0 ? Math.min(1, scrollTop / range) : 1);
+
+      if (stats.visibleSince === null) return;
+      stats.distance += Math.abs(scrollTop - stats.lastScrollTop);
+      stats.lastScrollTop = scrollTop;
+      if (scrollHeight > 0) {
+        stats.maxDepth = Math.max(stats.maxDepth, Math.min(1, (scrollTop + clientHeight) / scrollHeight));
+      }
+    };
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+
+    const startSession = () => {
+      if (stats.visibleSince !== null) return;
+      stats.visibleSince = Date.now();
+      stats.lastScrollTop = scrollEl.scrollTop;
+      measure();
+    };
+    const endSession = () => {
+      if (stats.visibleSince === null) return;
+      stats.visibleMs += Date.now() - stats.visibleSince;
+      stats.visibleSince = null;
+      reportRef.current();
+    };
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        intersecting = entry.isIntersecting && entry.intersectionRatio >= VISIBLE_RATIO;
+        if (intersecting && document.visibilityState === 'visible') {
+          startSession();
+        } else {
+          endSession();
+        }
+      },
+      { threshold: [0, VISIBLE_RATIO] }
+    );
+    observer.observe(scrollEl);
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        endSession();
+      } else if (intersecting) {
+        startSession();
+      }
+    };
+
+    measure();
+    scrollEl.addEventListener('scroll', handleScroll, { passive: true });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      observer.disconnect();
+      scrollEl.removeEventListener('scroll', handleScroll);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (frame !== null) cancelAnimationFrame(frame);
+      endSession();
+    };
+  }, [scrollRef, enabled]);
+
+  return { progress, scrollable };
+};
+
+export default useReadingProgress;
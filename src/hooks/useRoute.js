@@ -0,0 +1,27 @@
+/**
+ * useRoute Hook
+ *
+ * Subscribes to location changes (navigate() and back/forward) and returns
+ * the matched route from utils/router.
+ */
+
+import { useState, useEffect } from 'react';
+import { matchRoute, NAVIGATE_EVENT } from '../utils/router';
+
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => matchRoute(window.location.pathname));
+
+  useEffect(() => {
+    const update = () => setRoute(matchRoute(window.location.pathname));
+    window.addEventListener('popstate', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return route;
+};
+
+export default useRoute;
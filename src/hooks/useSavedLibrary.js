@@ -0,0 +1,51 @@
+/**
+ * useSavedLibrary Hook
+ *
+ * React view of the saved library (utils/savedLibrary). All instances share
+ * one in-memory copy that updates whenever the library changes, in this
+ * component or anywhere else in the app.
+ *
+ * Usage:
+ *   const { entries, isSaved, toggleSave } = useSavedLibrary();
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getSavedEntries, saveItem, removeSaved, savedIdFor, subscribeSaved } from '../utils/savedLibrary';
+
+const NO_ENTRIES = [];
+
+export const useSavedLibrary = () => {
+  const [shared, setShared] = useState(getSavedEntries);
+
+  useEffect(() => {
+    const unsubscribe = subscribeSaved(setShared);
+    // Catch a read that finished between the first render and subscribing
+    setShared(getSavedEntries());
+    return unsubscribe;
+  }, []);
+
+  const entries = shared || NO_ENTRIES;
+  const loaded = shared !== null;
+
+  const savedIds = useMemo(() => new Set(entries.map(entry => entry.saved_id)), [entries]);
+
+  const isSaved = useCallback((item) => savedIds.has(savedIdFor(item)), [savedIds]);
+
+  /**
+   * Save the item, or remove it if already saved
+   * @returns {Promise<boolean>} True if the item is saved afterwards
+   */
+  const toggleSave = useCallback(async (item) => {
+    const id = savedIdFor(item);
+    if (savedIds.has(id)) {
+      await removeSaved(id);
+      return false;
+    }
+    await saveItem(item);
+    return true;
+  }, [savedIds]);
+
+  return { entries, loaded, isSaved, toggleSave };
+};
+
+export default useSavedLibrary;
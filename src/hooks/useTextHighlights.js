@@ -0,0 +1,255 @@
+/**
+ * useTextHighlights Hook
+ *
+ * Highlights and notes on HTML injected into a shadow root:
+ * - Selecting text offers "Highlight" / "Add note" (see HighlightPopover)
+ * - Stored highlights for the shown fragments are re-anchored by their text
+ *   quote (see utils/textQuote) and wrapped in <mark data-zoh-highlight>
+ *   every time the content renders
+ * - Tapping a highlight opens its note, to edit or delete it
+ * - Creating a highlight sends a 'highlight' engagement event
+ *
+ * In an assembled article, a highlight belongs to the fragment whose
+ * [data-zoh-fid] section holds the start of the selection.
+ *
+ * Call it after the effect that injects the HTML, so it sees the content.
+ *
+ * Usage:
+ *   const highlighter = useTextHighlights({
+ *     shadowRootRef, scrollRef: wrapperRef, contentSelector: '.article-embed-content',
+ *     content: htmlData, fragmentIds: [fragmentId], source: { domain, url },
+ *   });
+ *   <HighlightPopover highlighter={highlighter} />
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import useHighlights from './useHighlights';
+import { useEngagement } from './useEngagement';
+import { addHighlight, updateHighlightNote, removeHighlight } from '../utils/highlights';
+import { describeRange, anchorQuote, wrapRange, unwrapMarks } from '../utils/textQuote';
+
+// Shorter selections are more likely stray taps than passages
+const MIN_QUOTE_LENGTH = 3;
+// Wait for the selection to settle (keyboard / touch handles) before offering
+const SELECTION_SETTLE_MS = 250;
+
+const MARK_SELECTOR = 'mark[data-zoh-highlight]';
+
+const elementOf = (node) => (node.nodeType === Node.TEXT_NODE ? node.parentElement : node);
+
+// The selection inside a shadow root, as a Range (null if none or elsewhere)
+const selectedRange = (shadow, contentEl) => {
+  // Chromium exposes the shadow root's own selection; elsewhere the
+  // document selection reaches into it through getComposedRanges
+  const selection = shadow.getSelection ? shadow.getSelection() : document.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  let range = selection.getRangeAt(0);
+  if (!shadow.getSelection && selection.getComposedRanges) {
+    let composed;
+    try {
+      [composed] = selection.getComposedRanges({ shadowRoots: [shadow] });
+    } catch {
+      // Older signature: shadow roots as arguments
+      [composed] = selection.getComposedRanges(shadow);
+    }
+    if (!composed) return null;
+    range = document.createRange();
+    range.setStart(composed.startContainer, composed.startOffset);
+    range.setEnd(composed.endContainer, composed.endOffset);
+  }
+
+  if (!contentEl.contains(range.startContainer) || !contentEl.contains(range.endContainer)) return null;
+  return range;
+};
+
+const clearSelection = (shadow) => {
+  (shadow?.getSelection ? shadow.getSelection() : document.getSelection())?.removeAllRanges();
+};
+
+/**
+ * @param {Object} options
+ * @param {React.RefObject} options.shadowRootRef - Shadow root holding the content
+ * @param {React.RefObject} options.scrollRef - Scroll wrapper (scrolling dismisses the popover)
+ * @param {string} options.contentSelector - Content root inside the shadow root
+ * @param {*} options.content - Changes whenever the content is re-injected
+ * @param {string[]} options.fragmentIds - Fragments shown; the first one owns
+ *   selections outside any [data-zoh-fid] section
+ * @param {{domain?: string, url?: string, page_id?: string}} [options.source] - Stored with new highlights
+ * @param {boolean} [options.enabled=true]
+ * @returns {{popover: Object|null, createHighlight: Function, saveNote: Function,
+ *   deleteHighlight: Function, closePopover: Function}}
+ */
+export const useTextHighlights = ({
+  shadowRootRef, scrollRef, contentSelector, content, fragmentIds, source = {}, enabled = true,
+}) => {
+  const { highlights } = useHighlights();
+  const engagement = useEngagement();
+  // { kind: 'selection', rect, quote, fragmentId } or { kind: 'highlight', rect, highlight }
+  const [popover, setPopover] = useState(null);
+
+  const idsKey = (fragmentIds || []).filter(Boolean).join('\n');
+  const matching = useMemo(() => {
+    const ids = new Set(idsKey.split('\n'));
+    return highlights.filter(highlight => ids.has(highlight.fragment_id));
+  }, [highlights, idsKey]);
+
+  // Only re-mark when this embed's own highlights change, not on every
+  // change to the shared list
+  const shownKey = matching.map(highlight => `${highlight.highlight_id}:${highlight.updated_at}`).join('\n');
+  const shownCacheRef = useRef({ key: null, list: matching });
+  if (shownCacheRef.current.key !== shownKey) shownCacheRef.current = { key: shownKey, list: matching };
+  const shown = shownCacheRef.current.list;
+
+  const shownRef = useRef(shown);
+  shownRef.current = shown;
+
+  // Re-anchor and mark the stored highlights
+  useEffect(() => {
+    const contentEl = shadowRootRef.current?.querySelector(contentSelector);
+    if (!enabled || !content || !contentEl || shown.length === 0) return;
+
+    shown.forEach(highlight => {
+      const section = contentEl.querySelector(`[data-zoh-fid="${CSS.escape(highlight.fragment_id)}"]`);
+      const range = (section && anchorQuote(section, highlight.quote)) || anchorQuote(contentEl, highlight.quote);
+      if (!range) return;
+      wrapRange(range, (mark) => {
+        mark.setAttribute('data-zoh-highlight', highlight.highlight_id);
+        if (highlight.note) {
+          mark.setAttribute('data-note', '');
+          mark.title = highlight.note;
+        }
+      });
+    });
+
+    return () => unwrapMarks(contentEl.querySelectorAll(MARK_SELECTOR));
+  }, [shadowRootRef, contentSelector, content, enabled, shown]);
+
+  // Offer to highlight the selection; open existing highlights on tap
+  useEffect(() => {
+    const shadow = shadowRootRef.current;
+    const contentEl = shadow?.querySelector(contentSelector);
+    const scrollEl = scrollRef.current;
+    if (!enabled || !content || !contentEl) return;
+
+    const fallbackId = idsKey.split('\n')[0];
+    let pointerDown = false;
+    let settleTimer = null;
+
+    const offerSelection = () => {
+      const range = selectedRange(shadow, contentEl);
+      if (!range) {
+        setPopover(current => (current?.kind === 'selection' ? null : current));
+        return;
+      }
+      const section = elementOf(range.startContainer).closest('[data-zoh-fid]');
+      const quote = describeRange(range, section?.contains(range.endContainer) ? section : contentEl);
+      if (!quote || quote.exact.length < MIN_QUOTE_LENGTH) return;
+      setPopover({
+        kind: 'selection',
+        rect: range.getBoundingClientRect(),
+        quote,
+        fragmentId: section?.getAttribute('data-zoh-fid') || fallbackId,
+      });
+    };
+
+    const handleSelectionChange = () => {
+      clearTimeout(settleTimer);
+      if (!pointerDown) settleTimer = setTimeout(offerSelection, SELECTION_SETTLE_MS);
+    };
+
+    const handlePointerDown = () => {
+      pointerDown = true;
+    };
+
+    const handlePointerUp = () => {
+      pointerDown = false;
+      clearTimeout(settleTimer);
+      // After the click that may collapse the selection
+      settleTimer = setTimeout(offerSelection, 0);
+    };
+
+    const handleClick = (e) => {
+      const mark = e.target.closest(MARK_SELECTOR);
+      if (!mark || e.target.closest('a[href]') || selectedRange(shadow, contentEl)) return;
+      const highlight = shownRef.current.find(h => h.highlight_id === mark.getAttribute('data-zoh-highlight'));
+      if (highlight) setPopover({ kind: 'highlight', rect: mark.getBoundingClientRect(), highlight });
+    };
+
+    // The popover is placed against the viewport; don't leave it floating
+    const handleScroll = () => setPopover(null);
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    contentEl.addEventListener('pointerdown', handlePointerDown);
+    contentEl.addEventListener('pointerup', handlePointerUp);
+    contentEl.addEventListener('click', handleClick);
+    scrollEl?.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      clearTimeout(settleTimer);
+      document.removeEventListener('selectionchange', handleSelectionChange);
+      contentEl.removeEventListener('pointerdown', handlePointerDown);
+      contentEl.removeEventListener('pointerup', handlePointerUp);
+      contentEl.removeEventListener('click', handleClick);
+      scrollEl?.removeEventListener('scroll', handleScroll);
+      setPopover(null);
+    };
+  }, [shadowRootRef, scrollRef, contentSelector, content, enabled, idsKey]);
+
+  // Latest source and popover for the callbacks below
+  const latestRef = useRef(null);
+  latestRef.current = { popover, source };
+
+  /**
+   * Save the offered selection as a highlight
+   * @param {string} [note]
+   */
+  const createHighlight = useCallback(async (note = '') => {
+    const { popover: current, source: { domain, url, page_id } } = latestRef.current;
+    if (current?.kind !== 'selection') return;
+    setPopover(null);
+    clearSelection(shadowRootRef.current);
+
+    try {
+      await addHighlight({ fragment_id: current.fragmentId, quote: current.quote, note, page_id, domain, url });
+    } catch (err) {
+      console.warn('Failed to save highlight:', err?.message);
+      return;
+    }
+    if (engagement) {
+      engagement.onHighlight(current.fragmentId, {
+        quote_length: current.quote.exact.length,
+        has_note: !!note.trim(),
+        ...(page_id ? { page_id } : {}),
+      });
+    }
+  }, [shadowRootRef, engagement]);
+
+  /**
+   * Replace the note of the open highlight
+   * @param {string} note
+   */
+  const saveNote = useCallback((note) => {
+    const current = latestRef.current.popover;
+    if (current?.kind !== 'highlight') return;
+    setPopover(null);
+    updateHighlightNote(current.highlight, note)
+      .catch(err => console.warn('Failed to save highlight note:', err?.message));
+  }, []);
+
+  /**
+   * Delete the open highlight
+   */
+  const deleteHighlight = useCallback(() => {
+    const current = latestRef.current.popover;
+    if (current?.kind !== 'highlight') return;
+    setPopover(null);
+    removeHighlight(current.highlight.highlight_id)
+      .catch(err => console.warn('Failed to delete highlight:', err?.message));
+  }, []);
+
+  const closePopover = useCallback(() => setPopover(null), []);
+
+  return { popover, createHighlight, saveNote, deleteHighlight, closePopover };
+};
+
+export default useTextHighlights;
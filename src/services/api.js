@@ -16,6 +16,13 @@ const api = axios.create({
   }
 });
 
+/**
+ * Check whether a request failed because it was aborted
+ * @param {Error} error - Error thrown by an api call
+ * @returns {boolean} True if the request was cancelled via AbortController
+ */
+export const isCancelledRequest = (error) => axios.isCancel(error);
+
 /**
  * Fetch fragments for the feed
  * @param {number} limit - Number of fragments to fetch
@@ -73,16 +80,18 @@ export const getFragmentScreenshotUrl = (fragmentId) => {
 /**
  * Fetch fragment HTML for interactive rendering
  * @param {string} fragmentId - Fragment UUID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when signalled
  * @returns {Promise<{html: string, styles: string[], stylesheet_urls: string[], base_url: string}>}
  * @throws {Error} If HTML not available (404) or server error
  */
-export const fetchFragmentHtml = async (fragmentId) => {
+export const fetchFragmentHtml = async (fragmentId, { signal } = {}) => {
   try {
-    const response = await api.get(`/api/feed/fragment/${fragmentId}/html`);
+    const response = await api.get(`/api/feed/fragment/${fragmentId}/html`, { signal });
     return response.data;
   } catch (error) {
     // Don't log 404s as errors -- HTML not available is expected for many fragments
-    if (error.response?.status !== 404) {
+    if (error.response?.status !== 404 && !isCancelledRequest(error)) {
       console.error('Error fetching fragment HTML:', error);
     }
     throw error;
@@ -99,9 +108,14 @@ export const fetchFragmentHtml = async (fragmentId) => {
  * @param {boolean} curated - Only curated content
  * @param {string} source - Filter by source (all/manual/model_prediction)
  * @param {Array<string>} pageIds - Filter by page IDs
+ * @param {string} search - Full-text search query
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+ * @param {Array<string>} [options.excludeDomains] - Domains the user is not interested in
+ * @param {Array<string>} [options.excludeArchetypes] - Archetypes the user is not interested in
  * @returns {Promise<{items: Array, next_cursor: string|null, has_more: boolean}>}
  */
-export const fetchArticles = async (limit = 20, cursor = null, domains = [], archetypes = [], randomSeed = null, curated = false, source = 'all', pageIds = [], search = '') => {
+export const fetchArticles = async (limit = 20, cursor = null, domains = [], archetypes = [], randomSeed = null, curated = false, source = 'all', pageIds = [], search = '', { signal, excludeDomains = [], excludeArchetypes = [] } = {}) => {
   try {
     const params = { limit };
     if (cursor) {
@@ -128,11 +142,20 @@ export const fetchArticles = async (limit = 20, cursor = null, domains = [], arc
     if (search && search.trim()) {
       params.search = search.trim();
     }
+    if (excludeDomains.length > 0) {
+      params.exclude_domains = excludeDomains.join(',');
+    }
+    if (excludeArchetypes.length > 0) {
+      params.exclude_archetypes = excludeArchetypes.join(',');
+    }
 
-    const response = await api.get('/api/feed/articles', { params });
+    const response = await api.get('/api/feed/articles', { params, signal });
     return response.data;
   } catch (error) {
-    console.error('Error fetching articles:', error);
+    // Cancellation is expected when filters change mid-request
+    if (!isCancelledRequest(error)) {
+      console.error('Error fetching articles:', error);
+    }
     throw error;
   }
 };
@@ -140,14 +163,16 @@ export const fetchArticles = async (limit = 20, cursor = null, domains = [], arc
 /**
  * Fetch combined HTML for an assembled article (all article fragments from a page)
  * @param {string} pageId - Page UUID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when signalled
  * @returns {Promise<{html: string, styles: string[], stylesheet_urls: string[], base_url: string, fragment_ids: string[]}>}
  */
-export const fetchArticleHtml = async (pageId) => {
+export const fetchArticleHtml = async (pageId, { signal } = {}) => {
   try {
-    const response = await api.get(`/api/feed/article/${pageId}/html`);
+    const response = await api.get(`/api/feed/article/${pageId}/html`, { signal });
     return response.data;
   } catch (error) {
-    if (error.response?.status !== 404) {
+    if (error.response?.status !== 404 && !isCancelledRequest(error)) {
       console.error('Error fetching article HTML:', error);
     }
     throw error;
@@ -242,16 +267,46 @@ export const sendEngagementEvents = async (userId, events) => {
   }
 };
 
+/**
+ * Send engagement events with navigator.sendBeacon.
+ * Used while the page is being hidden or unloaded, when an async XHR may be
+ * cancelled by the browser. The beacon is fire-and-forget: a true result only
+ * means the browser accepted it for delivery.
+ * @param {string} userId - Anonymous user ID
+ * @param {Array} events - Array of engagement event objects
+ * @returns {boolean} True if the browser queued the beacon
+ */
+export const sendEngagementBeacon = (userId, events) => {
+  if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+    return false;
+  }
+  try {
+    const body = new Blob(
+      [JSON.stringify({ user_id: userId, events })],
+      { type: 'application/json' }
+    );
+    return navigator.sendBeacon(`${API_BASE_URL}/api/feed/engage`, body);
+  } catch (error) {
+    console.warn('Engagement beacon failed:', error.message);
+    return false;
+  }
+};
+
 /**
  * Health check
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+ * @param {number} [options.timeout] - Request timeout in ms
  * @returns {Promise<{status: string, service: string}>}
  */
-export const checkHealth = async () => {
+export const checkHealth = async ({ signal, timeout } = {}) => {
   try {
-    const response = await api.get('/api/feed/health');
+    const response = await api.get('/api/feed/health', { signal, timeout });
     return response.data;
   } catch (error) {
-    console.error('Health check failed:', error);
+    if (!isCancelledRequest(error)) {
+      console.error('Health check failed:', error.message);
+    }
     throw error;
   }
 };
@@ -0,0 +1,96 @@
+/**
+ * Article Outline
+ *
+ * Builds a table of contents for an assembled article rendered in a shadow
+ * root. Entries come from h1–h4 headings and from the per-fragment
+ * data-zoh-fid sentinels: a fragment with no heading of its own still gets
+ * an entry, labelled with the start of its text, so every part of the
+ * article is reachable.
+ *
+ * Entries keep a reference to their element; they are only valid for the
+ * content they were built from.
+ */
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4';
+const SNIPPET_LENGTH = 60;
+
+const collapse = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+const truncate = (value, length) => (value.length > length
+  ? `${value.slice(0, length - 1).trimEnd()}…`
+  : value);
+
+// Hidden by the page or our reset CSS (nav, ads, aria-hidden)
+const isHidden = (el) => el.getClientRects().length === 0;
+
+/**
+ * Build the outline for rendered article content
+ * @param {HTMLElement} contentEl - Root of the injected article content
+ * @returns {Array<{element: HTMLElement, text: string, depth: number,
+ *   kind: 'heading'|'section', fragmentId: string|null}>} In document order;
+ *   depth 0 is the outermost level present
+ */
+export const buildOutline = (contentEl) => {
+  if (!contentEl) return [];
+
+  const entries = [];
+  contentEl.querySelectorAll(`${HEADING_SELECTOR}, [data-zoh-fid]`).forEach(el => {
+    if (el.hasAttribute('data-zoh-fid')) {
+      // Sections that carry their own headings are covered by those
+      if (el.querySelector(HEADING_SELECTOR)) return;
+      const text = collapse(el.textContent);
+      if (!text || isHidden(el)) return;
+      entries.push({
+        element: el,
+        text: truncate(text, SNIPPET_LENGTH),
+        level: null,
+        kind: 'section',
+        fragmentId: el.getAttribute('data-zoh-fid'),
+      });
+      return;
+    }
+
+    const text = collapse(el.textContent);
+    if (!text || isHidden(el)) return;
+    entries.push({
+      element: el,
+      text: truncate(text, SNIPPET_LENGTH * 2),
+      level: Number(el.tagName.charAt(1)),
+      kind: 'heading',
+      fragmentId: el.closest('[data-zoh-fid]')?.getAttribute('data-zoh-fid') || null,
+    });
+  });
+
+  // Indent relative to the shallowest heading; untitled sections sit at the top level
+  const levels = entries.filter(entry => entry.level !== null).map(entry => entry.level);
+  const minLevel = levels.length > 0 ? Math.min(...levels) : 1;
+  return entries.map(({ level, ...entry }) => ({
+    ...entry,
+    depth: level === null ? 0 : level - minLevel,
+  }));
+};
+
+/**
+ * Index of the entry being read: the last one whose top has scrolled past
+ * the top of the scroll container (plus an offset)
+ * @param {Array<{element: HTMLElement}>} entries - From buildOutline
+ * @param {HTMLElement} scrollEl - Scroll container
+ * @param {number} [offset=24] - How far below the container top still counts as reached
+ * @returns {number} -1 when there are no entries
+ */
+export const findActiveEntry = (entries, scrollEl, offset = 24) => {
+  if (entries.length === 0) return -1;
+
+  // Scrolled to the end: the last section is current even if it's short
+  const scrollable = scrollEl.scrollHeight > scrollEl.clientHeight;
+  if (scrollable && scrollEl.scrollTop + scrollEl.clientHeight >= scrollEl.scrollHeight - 2) {
+    return entries.length - 1;
+  }
+
+  const top = scrollEl.getBoundingClientRect().top + offset;
+  let active = 0;
+  entries.forEach((entry, i) => {
+    if (entry.element.getBoundingClientRect().top <= top) active = i;
+  });
+  return active;
+};
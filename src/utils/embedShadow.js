@@ -0,0 +1,276 @@
+/**
+ * Shadow Root Embeds
+ *
+ * The one place that builds the shadow root of an HTML embed, shared by
+ * ArticleEmbed and AssembledArticle:
+ * - embedBaseCSS(): reset and readability styles, reading the reader
+ *   settings' --zoh-* custom properties (see utils/readerSettings), plus the
+ *   styles of lazy images, highlights and find / search marks
+ * - injectEmbed(): base styles, page styles, allowlisted stylesheets, the
+ *   sanitized content and a reader settings <style>, built as DOM nodes so
+ *   page CSS is only ever text; links open in a new tab without reaching
+ *   the card
+ * - applyReaderSettings(): rewrites that last <style> when settings change
+ *
+ * Usage:
+ *   const shadow = getEmbedShadowRoot(hostEl);
+ *   const { html, css, stylesheetUrls } = sanitizeEmbed(htmlData, archetype, { deferImages: true });
+ *   const contentEl = injectEmbed(shadow, { html, css, stylesheetUrls, contentClass: 'article-embed-content' });
+ *   applyReaderSettings(shadow, settings, '.article-embed-content');
+ */
+
+import { readerSettingsCSS } from './readerSettings';
+
+/**
+ * Shadow root of an embed host, attached on first use
+ * @param {Element} host
+ * @returns {ShadowRoot}
+ */
+export const getEmbedShadowRoot = (host) => host.shadowRoot || host.attachShadow({ mode: 'open' });
+
+/**
+ * Base stylesheet for an embed's shadow root
+ * @param {string} contentSelector - The content root, e.g. '.article-embed-content'
+ * @returns {string}
+ */
+export const embedBaseCSS = (contentSelector) => `
+  /* Fidelity mode: match the capture, no extra padding or width limit */
+  :host([data-fidelity]) ${contentSelector} {
+    padding: 0;
+    max-width: none;
+  }
+
+  :host {
+    display: block;
+    all: initial;
+    font-family: var(--zoh-font-family, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif);
+    color: var(--zoh-text, #333);
+    line-height: var(--zoh-line-height, 1.6);
+    font-size: var(--zoh-font-size, 16px);
+    background: var(--zoh-bg, #fff);
+  }
+  *, *::before, *::after { box-sizing: border-box; }
+
+  ${contentSelector} {
+    padding: 20px 24px;
+    max-width: var(--zoh-content-width, 100%);
+    margin: 0 auto;
+    overflow: hidden;
+    background: var(--zoh-bg, #fff);
+    word-wrap: break-word;
+    overflow-wrap: break-word;
+  }
+
+  /* Ensure images are responsive and centered */
+  img {
+    max-width: 100%;
+    height: auto;
+    display: block;
+    margin: 0 auto;
+  }
+
+  /* Unlinked images open in the lightbox; deferred ones hold a placeholder */
+  img:not(a img) {
+    cursor: zoom-in;
+  }
+  img[data-zoh-src] {
+    min-height: 48px;
+    background: var(--zoh-surface, #f5f5f5);
+  }
+
+  /* Saved highlights (see useTextHighlights) */
+  mark[data-zoh-highlight] {
+    background: rgba(255, 213, 74, 0.45);
+    color: inherit;
+    border-radius: 2px;
+    cursor: pointer;
+  }
+  mark[data-zoh-highlight][data-note] {
+    border-bottom: 2px solid #e0a800;
+  }
+
+  /* Find-in-article matches and search filter terms (see useArticleFind) */
+  mark[data-zoh-term] {
+    background: rgba(91, 158, 255, 0.2);
+    color: inherit;
+    box-shadow: inset 0 -2px 0 rgba(91, 158, 255, 0.7);
+  }
+  mark[data-zoh-find] {
+    background: rgba(255, 235, 59, 0.6);
+    color: inherit;
+  }
+  mark[data-zoh-find][data-current] {
+    background: #ff9632;
+    color: #000;
+  }
+
+  /* Readable link styles */
+  a {
+    color: var(--zoh-link, #0066cc);
+    text-decoration: none;
+  }
+  a:hover {
+    text-decoration: underline;
+  }
+
+  /* Code blocks */
+  pre, code {
+    overflow-x: auto;
+    max-width: 100%;
+    font-family: 'SF Mono', Menlo, Monaco, Consolas, monospace;
+    font-size: 0.9em;
+  }
+  pre {
+    padding: 12px 16px;
+    background: var(--zoh-surface, #f5f5f5);
+    border-radius: 6px;
+    line-height: 1.4;
+  }
+  code {
+    padding: 2px 4px;
+    background: var(--zoh-surface, #f0f0f0);
+    border-radius: 3px;
+  }
+  pre code {
+    padding: 0;
+    background: none;
+  }
+
+  /* Table styling */
+  table {
+    border-collapse: collapse;
+    max-width: 100%;
+    overflow-x: auto;
+    display: block;
+  }
+  th, td {
+    padding: 8px 12px;
+    border: 1px solid var(--zoh-border, #ddd);
+    text-align: left;
+  }
+  th {
+    background: var(--zoh-surface, #f5f5f5);
+    font-weight: 600;
+  }
+
+  /* Lists */
+  ul, ol {
+    padding-left: 24px;
+  }
+  li {
+    margin-bottom: 4px;
+  }
+
+  /* Headings */
+  h1, h2, h3, h4, h5, h6 {
+    margin-top: 1.2em;
+    margin-bottom: 0.5em;
+    line-height: 1.3;
+    color: var(--zoh-heading, #111);
+  }
+  h1 { font-size: 1.8em; }
+  h2 { font-size: 1.5em; }
+  h3 { font-size: 1.25em; }
+
+  /* Paragraphs */
+  p {
+    margin: 0.8em 0;
+  }
+
+  /* Blockquotes */
+  blockquote {
+    margin: 1em 0;
+    padding: 0.5em 1em;
+    border-left: 4px solid var(--zoh-border, #ddd);
+    color: var(--zoh-muted, #666);
+    background: var(--zoh-surface, #fafafa);
+  }
+
+  /* Figures and captions */
+  figure {
+    margin: 1em auto;
+    max-width: 100%;
+  }
+  figcaption {
+    font-size: 0.85em;
+    color: var(--zoh-muted, #666);
+    margin-top: 0.5em;
+  }
+
+  /* Hide common non-content elements */
+  nav, .ad, .advertisement, .sidebar, .related-articles,
+  [role="navigation"], [role="banner"], [aria-hidden="true"] {
+    display: none !important;
+  }
+`;
+
+// Links open in a new tab; clicks never reach the card
+const interceptLinks = (root) => {
+  root.querySelectorAll('a[href]').forEach(link => {
+    const href = link.getAttribute('href');
+    // Skip anchor-only links
+    // eslint-disable-next-line no-script-url
+    if (href && href !== '#' && !href.startsWith('javascript:')) {
+      link.setAttribute('target', '_blank');
+      link.setAttribute('rel', 'noopener noreferrer');
+    }
+    link.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+  });
+};
+
+const styleElement = (css) => {
+  const style = document.createElement('style');
+  style.textContent = css;
+  return style;
+};
+
+/**
+ * Replace a shadow root's content with a sanitized embed
+ * @param {ShadowRoot} shadow
+ * @param {Object} embed
+ * @param {string} embed.html - Sanitized markup (see sanitizeEmbed)
+ * @param {string} embed.css - Sanitized page styles
+ * @param {string[]} embed.stylesheetUrls - Allowlisted stylesheet URLs
+ * @param {string} embed.contentClass - Class of the content root, e.g. 'article-embed-content'
+ * @returns {HTMLElement} The content root
+ */
+export const injectEmbed = (shadow, { html, css, stylesheetUrls, contentClass }) => {
+  const links = stylesheetUrls.map(url => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = url;
+    link.crossOrigin = 'anonymous';
+    return link;
+  });
+
+  const content = document.createElement('div');
+  content.className = contentClass;
+  content.innerHTML = html;
+  interceptLinks(content);
+
+  // Reader settings come last so the forced theme wins
+  const readerStyle = document.createElement('style');
+  readerStyle.setAttribute('data-zoh-reader', '');
+
+  shadow.replaceChildren(
+    styleElement(embedBaseCSS(`.${contentClass}`)),
+    styleElement(css),
+    ...links,
+    content,
+    readerStyle
+  );
+  return content;
+};
+
+/**
+ * Apply reader settings to an injected embed
+ * @param {ShadowRoot} shadow
+ * @param {Object} settings - From getReaderSettings
+ * @param {string} contentSelector - e.g. '.article-embed-content'
+ */
+export const applyReaderSettings = (shadow, settings, contentSelector) => {
+  const styleEl = shadow?.querySelector('style[data-zoh-reader]');
+  if (styleEl) styleEl.textContent = readerSettingsCSS(settings, contentSelector);
+};
@@ -0,0 +1,161 @@
+/**
+ * Durable Engagement Queue
+ *
+ * Holds engagement events until the backend has acknowledged them. Events are
+ * mirrored to IndexedDB so a network blip, a failed flush or a closed tab
+ * never loses a batch — anything still pending is picked up again on the
+ * next page load.
+ *
+ * Every event gets a client_event_id when enqueued. Each event is sent once:
+ * a beacon that the browser accepts removes its events from the queue, and
+ * events already part of an in-flight flush are left out of beacons.
+ *
+ * Failed flushes back off exponentially (2s → 60s, with jitter).
+ *
+ * Usage:
+ *   await hydrateQueue();            // load events left over from last session
+ *   enqueueEvent({ fragment_id, type, timestamp_ms, data });
+ *   await flushQueue(userId);        // regular async flush
+ *   beaconQueue(userId);             // pagehide / visibilitychange
+ */
+
+import { createIdbStore } from './idbStore';
+import { sendEngagementEvents, sendEngagementBeacon } from '../services/api';
+
+const MAX_BATCH_SIZE = 100;
+// sendBeacon payloads are capped at ~64KB by most browsers
+const MAX_BEACON_BATCH_SIZE = 50;
+const BACKOFF_BASE_MS = 2_000;
+const BACKOFF_MAX_MS = 60_000;
+
+const store = createIdbStore('zoh_engagement', 'pending_events', 'client_event_id');
+
+// client_event_id -> event. Mirrors the IndexedDB store so beacons (which
+// must be sent synchronously during pagehide) can read it without awaiting.
+const pending = new Map();
+
+let flushInFlight = false;
+// client_event_ids of the batch being flushed, so beacons don't send them too
+const inFlightIds = new Set();
+let failureCount = 0;
+let nextAttemptAt = 0;
+let hydratePromise = null;
+
+function generateEventId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+}
+
+function scheduleBackoff() {
+  failureCount += 1;
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (failureCount - 1), BACKOFF_MAX_MS);
+  const jitter = Math.random() * delay * 0.2;
+  nextAttemptAt = Date.now() + delay + jitter;
+}
+
+function resetBackoff() {
+  failureCount = 0;
+  nextAttemptAt = 0;
+}
+
+/**
+ * Load events persisted by a previous session into the in-memory queue.
+ * Safe to call more than once; only the first call reads the store.
+ * @returns {Promise<void>}
+ */
+export function hydrateQueue() {
+  if (!hydratePromise) {
+    hydratePromise = store.getAll()
+      .then((events) => {
+        for (const event of events) {
+          if (!pending.has(event.client_event_id)) {
+            pending.set(event.client_event_id, event);
+          }
+        }
+      })
+      .catch((err) => {
+        console.warn('Failed to restore engagement queue:', err?.message);
+      });
+  }
+  return hydratePromise;
+}
+
+/**
+ * Add an event to the queue and persist it.
+ * @param {Object} event - Engagement event ({ fragment_id, type, timestamp_ms, data })
+ * @returns {Object} The queued event, including its client_event_id
+ */
+export function enqueueEvent(event) {
+  const queued = { client_event_id: generateEventId(), ...event };
+  pending.set(queued.client_event_id, queued);
+  store.put(queued).catch((err) => {
+    console.warn('Failed to persist engagement event:', err?.message);
+  });
+  return queued;
+}
+
+/**
+ * Send pending events to the backend. Acknowledged events are removed; on
+ * failure everything stays queued and the next attempt is delayed.
+ * @param {string} userId - Anonymous user ID
+ * @returns {Promise<void>}
+ */
+export async function flushQueue(userId) {
+  if (flushInFlight || pending.size === 0) return;
+  if (Date.now() < nextAttemptAt) return;
+
+  flushInFlight = true;
+  try {
+    const batch = Array.from(pending.values()).slice(0, MAX_BATCH_SIZE);
+    batch.forEach((e) => inFlightIds.add(e.client_event_id));
+    const result = await sendEngagementEvents(userId, batch);
+
+    if (result?.success) {
+      const ids = batch.map((e) => e.client_event_id);
+      ids.forEach((id) => pending.delete(id));
+      resetBackoff();
+      await store.deleteMany(ids).catch((err) => {
+        console.warn('Failed to clear flushed engagement events:', err?.message);
+      });
+    } else {
+      scheduleBackoff();
+    }
+  } finally {
+    inFlightIds.clear();
+    flushInFlight = false;
+  }
+}
+
+/**
+ * Send pending events with navigator.sendBeacon. Batches the browser accepts
+ * are removed from the queue (a beacon can't be retried, and resending would
+ * double-count them); a rejected batch and everything after it stay queued
+ * for the next regular flush.
+ * @param {string} userId - Anonymous user ID
+ */
+export function beaconQueue(userId) {
+  const events = Array.from(pending.values()).filter((e) => !inFlightIds.has(e.client_event_id));
+  if (events.length === 0) return;
+
+  const sentIds = [];
+  for (let i = 0; i < events.length; i += MAX_BEACON_BATCH_SIZE) {
+    const batch = events.slice(i, i + MAX_BEACON_BATCH_SIZE);
+    if (!sendEngagementBeacon(userId, batch)) break;
+    batch.forEach((e) => sentIds.push(e.client_event_id));
+  }
+  if (sentIds.length === 0) return;
+
+  sentIds.forEach((id) => pending.delete(id));
+  store.deleteMany(sentIds).catch((err) => {
+    console.warn('Failed to clear beaconed engagement events:', err?.message);
+  });
+}
+
+/**
+ * Number of events waiting to be acknowledged
+ */
+export function getPendingCount() {
+  return pending.size;
+}
@@ -0,0 +1,117 @@
+jest.mock('../services/api', () => ({
+  sendEngagementEvents: jest.fn(),
+  sendEngagementBeacon: jest.fn(),
+}));
+
+// The queue is module state: load a fresh copy (and fresh mocks) per test
+let queue;
+let api;
+beforeEach(() => {
+  jest.resetModules();
+  queue = require('./engagementQueue');
+  api = require('../services/api');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const event = (fragmentId) => ({ fragment_id: fragmentId, type: 'view', timestamp_ms: 0, data: {} });
+const sentIds = (mock, call = 0) => mock.mock.calls[call][1].map(e => e.fragment_id);
+
+describe('flushQueue', () => {
+  test('sends pending events and drops them once acknowledged', async () => {
+    api.sendEngagementEvents.mockResolvedValue({ success: true, processed: 2 });
+    const queued = queue.enqueueEvent(event('a'));
+    queue.enqueueEvent(event('b'));
+    expect(queued.client_event_id).toEqual(expect.any(String));
+
+    await queue.flushQueue('user-1');
+    expect(api.sendEngagementEvents).toHaveBeenCalledWith('user-1', [
+      expect.objectContaining({ fragment_id: 'a' }),
+      expect.objectContaining({ fragment_id: 'b' }),
+    ]);
+    expect(queue.getPendingCount()).toBe(0);
+  });
+
+  test('keeps events after a failure and backs off', async () => {
+    api.sendEngagementEvents.mockResolvedValue({ success: false, processed: 0 });
+    queue.enqueueEvent(event('a'));
+
+    await queue.flushQueue('user-1');
+    expect(queue.getPendingCount()).toBe(1);
+
+    await queue.flushQueue('user-1');
+    expect(api.sendEngagementEvents).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60_000 * 2);
+    api.sendEngagementEvents.mockResolvedValue({ success: true, processed: 1 });
+    await queue.flushQueue('user-1');
+    expect(api.sendEngagementEvents).toHaveBeenCalledTimes(2);
+    expect(queue.getPendingCount()).toBe(0);
+  });
+
+  test('restores and sends events left over from a previous session', async () => {
+    const leftover = { client_event_id: 'old-1', ...event('a') };
+    const getAll = jest.fn().mockResolvedValue([leftover]);
+    jest.resetModules();
+    jest.doMock('./idbStore', () => ({
+      createIdbStore: () => ({ getAll, put: async () => {}, deleteMany: async () => {} }),
+    }));
+    queue = require('./engagementQueue');
+    api = require('../services/api');
+    api.sendEngagementEvents.mockResolvedValue({ success: true, processed: 1 });
+
+    await queue.hydrateQueue();
+    await queue.hydrateQueue();
+    expect(getAll).toHaveBeenCalledTimes(1);
+    expect(queue.getPendingCount()).toBe(1);
+
+    await queue.flushQueue('user-1');
+    expect(api.sendEngagementEvents).toHaveBeenCalledWith('user-1', [leftover]);
+    jest.dontMock('./idbStore');
+  });
+});
+
+describe('beaconQueue', () => {
+  test('drops beaconed events so they are not sent again', async () => {
+    api.sendEngagementBeacon.mockReturnValue(true);
+    queue.enqueueEvent(event('a'));
+    queue.enqueueEvent(event('b'));
+
+    queue.beaconQueue('user-1');
+    expect(sentIds(api.sendEngagementBeacon)).toEqual(['a', 'b']);
+    expect(queue.getPendingCount()).toBe(0);
+
+    queue.beaconQueue('user-1');
+    await queue.flushQueue('user-1');
+    expect(api.sendEngagementBeacon).toHaveBeenCalledTimes(1);
+    expect(api.sendEngagementEvents).not.toHaveBeenCalled();
+  });
+
+  test('keeps a rejected batch and everything after it', () => {
+    api.sendEngagementBeacon.mockReturnValueOnce(true).mockReturnValue(false);
+    for (let i = 0; i < 60; i++) queue.enqueueEvent(event(`f${i}`));
+
+    queue.beaconQueue('user-1');
+    expect(api.sendEngagementBeacon).toHaveBeenCalledTimes(2);
+    expect(sentIds(api.sendEngagementBeacon)).toHaveLength(50);
+    expect(queue.getPendingCount()).toBe(10);
+  });
+
+  test('leaves out events that are part of an in-flight flush', async () => {
+    let acknowledge;
+    api.sendEngagementEvents.mockReturnValue(new Promise(resolve => { acknowledge = resolve; }));
+    api.sendEngagementBeacon.mockReturnValue(true);
+    queue.enqueueEvent(event('a'));
+
+    const flushing = queue.flushQueue('user-1');
+    queue.enqueueEvent(event('b'));
+    queue.beaconQueue('user-1');
+    expect(sentIds(api.sendEngagementBeacon)).toEqual(['b']);
+
+    acknowledge({ success: true, processed: 1 });
+    await flushing;
+    expect(queue.getPendingCount()).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Extract Code from Fragment HTML
+ *
+ * Pulls the plain source text out of code_block fragment HTML so it can be
+ * re-rendered with our own highlighting. Uses browser-native DOMParser
+ * (scripts never run) — no external dependencies.
+ *
+ * Sites wrap code in many ways: highlighter spans, one element per line,
+ * and line-number gutters (separate table cells, per-line spans, or numbers
+ * baked into the text). Gutters are removed before reading the text, and a
+ * run of leading numbers on every line is stripped as a last resort.
+ *
+ * The language comes from class names (language-x, lang-x, highlight-source-x,
+ * data-lang) and otherwise from content heuristics (see detectLanguage).
+ */
+
+import { detectLanguage } from './highlightCode';
+
+// Line-number gutters used by common highlighters
+const GUTTER_SELECTORS = [
+  '.gutter',
+  '.line-number',
+  '.line-numbers-rows',
+  '.linenos',
+  '.lineno',
+  '.linenodiv',
+  '.ln',
+  '.hljs-ln-numbers',
+  'td.blob-num',
+  '[data-line-number]:empty',
+].join(', ');
+
+// Elements that hold exactly one line of code
+const LINE_SELECTORS = '.line, .code-line, .hljs-ln-line, td.blob-code';
+
+const LANGUAGE_CLASS = /^(?:language|lang|highlight-source|brush|syntax)[-:](.+)$/i;
+
+const findLanguageHint = (el) => {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const dataLang = node.getAttribute('data-lang') || node.getAttribute('data-language');
+    if (dataLang) return dataLang;
+    for (const cls of node.classList) {
+      const match = cls.match(LANGUAGE_CLASS);
+      if (match) return match[1];
+    }
+  }
+  return null;
+};
+
+// Largest candidate wins: the listing, not inline `code` in a caption
+const findCodeElement = (doc) => {
+  const candidates = doc.querySelectorAll('pre code, pre, code');
+  let best = null;
+  let bestLength = 0;
+  candidates.forEach(el => {
+    const length = el.textContent.length;
+    if (length > bestLength) {
+      best = el;
+      bestLength = length;
+    }
+  });
+  return best;
+};
+
+const readLines = (el) => {
+  const lineEls = el.querySelectorAll(LINE_SELECTORS);
+  if (lineEls.length > 1) {
+    return Array.from(lineEls, line => line.textContent.replace(/\n$/, '')).join('\n');
+  }
+  // <br>-separated listings
+  el.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  return el.textContent;
+};
+
+// "1  foo\n2  bar" → "foo\nbar" when every non-empty line is numbered in sequence
+const stripInlineLineNumbers = (code) => {
+  const lines = code.split('\n');
+  const numbered = lines.map(line => line.match(/^\s*(\d+)(?:[:.|]\s?|\s{1,2})(.*)$/));
+  const nonEmpty = lines.filter(line => line.trim() !== '').length;
+  if (nonEmpty < 2) return code;
+
+  let expected = null;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    if (!numbered[i]) return code;
+    const n = parseInt(numbered[i][1], 10);
+    if (expected !== null && n !== expected) return code;
+    expected = n + 1;
+  }
+  return lines.map((line, i) => (numbered[i] ? numbered[i][2] : line)).join('\n');
+};
+
+const normalize = (code) => code
+  .replace(/\r\n?/g, '\n')
+  .replace(/\u00a0/g, ' ')
+  .replace(/^\n+|\s+$/g, '');
+
+/**
+ * Extract the code listing from fragment HTML
+ * @param {string} html - Raw fragment HTML
+ * @returns {{code: string, language: string|null}|null} Null when no code is found
+ */
+export function extractCode(html) {
+  if (!html) return null;
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll(GUTTER_SELECTORS).forEach(el => el.remove());
+
+  const codeEl = findCodeElement(doc);
+  if (!codeEl) return null;
+
+  const code = normalize(stripInlineLineNumbers(normalize(readLines(codeEl))));
+  if (!code) return null;
+
+  return {
+    code,
+    language: detectLanguage(code, findLanguageHint(codeEl)),
+  };
+}
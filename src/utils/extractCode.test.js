@@ -0,0 +1,51 @@
+import { extractCode } from './extractCode';
+import { createMockApi } from '../../mock-server/routes';
+
+test('reads the listing and its language class', () => {
+  const html = '<p>Use <code>x</code>:</p><pre class="language-python"><code>def f():\n    return 1\n</code></pre>';
+  expect(extractCode(html)).toEqual({ code: 'def f():\n    return 1', language: 'python' });
+});
+
+test('removes line-number gutters', () => {
+  const html = `
+    <table><tr>
+      <td class="gutter"><pre>1\n2</pre></td>
+      <td><pre><code>let a = 1;\nlet b = 2;</code></pre></td>
+    </tr></table>`;
+  expect(extractCode(html).code).toBe('let a = 1;\nlet b = 2;');
+});
+
+test('joins one-element-per-line listings', () => {
+  const html = '<pre><div class="line">SELECT *</div><div class="line">FROM t;</div></pre>';
+  expect(extractCode(html).code).toBe('SELECT *\nFROM t;');
+});
+
+test('strips numbers baked into every line', () => {
+  const html = '<pre>1  echo one\n2  echo two\n3  echo three</pre>';
+  expect(extractCode(html).code).toBe('echo one\necho two\necho three');
+});
+
+test('keeps numbers that are not a sequence', () => {
+  const html = '<pre>10 PRINT "HI"\n30 GOTO 10</pre>';
+  expect(extractCode(html).code).toBe('10 PRINT "HI"\n30 GOTO 10');
+});
+
+test('returns null without code', () => {
+  expect(extractCode('<p>No code here</p>')).toBeNull();
+  expect(extractCode('<pre>   </pre>')).toBeNull();
+});
+
+test('extracts every mock code block without its gutter', () => {
+  const { data, handleRequest } = createMockApi();
+  const blocks = data.fragments.filter(f => f.archetype === 'code_block' && f.has_html);
+  expect(blocks.length).toBeGreaterThan(0);
+
+  blocks.forEach(f => {
+    const { html } = JSON.parse(handleRequest({ method: 'GET', path: `/api/feed/fragment/${f.fragment_id}/html` }).body);
+    const lang = html.match(/language-(\w+)/)[1];
+    const result = extractCode(html);
+    expect(result.language).toBe(lang);
+    expect(result.code).not.toMatch(/^1\s*\n2/);
+    expect(result.code.split('\n')[0]).not.toMatch(/^\d+$/);
+  });
+});
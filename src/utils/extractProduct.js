@@ -0,0 +1,200 @@
+/**
+ * Extract Product Data from Fragment HTML
+ *
+ * Parses product_card fragment HTML into a normalized product so it can be
+ * rendered as a native card instead of the retailer's markup. Uses
+ * browser-native DOMParser (scripts never run) — no external dependencies.
+ *
+ * Sources, first match wins per field:
+ * 1. JSON-LD (<script type="application/ld+json"> with @type Product)
+ * 2. schema.org microdata (itemtype=".../Product" and its itemprops)
+ * 3. Heuristics (headings, price-like text, "x out of 5", first image/link)
+ *
+ * A result is only returned when confidence reaches MIN_CONFIDENCE (title
+ * and price are both required); otherwise callers keep the HTML rendering.
+ */
+
+import { resolveUrl } from './resolveUrls';
+
+const MIN_CONFIDENCE = 0.7;
+
+const FIELD_WEIGHTS = {
+  title: 0.35,
+  price: 0.35,
+  image: 0.15,
+  url: 0.1,
+  rating: 0.05,
+};
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+};
+
+const PRICE_PATTERN = /([$€£¥₹])\s?(\d{1,3}(?:[,\s]\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)/;
+const RATING_PATTERN = /(\d(?:\.\d)?)\s*(?:out of|\/)\s*5/i;
+
+const text = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+
+const parseNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isNaN(n) ? null : n;
+};
+
+// Only http(s) links leave the card
+const safeUrl = (url, baseUrl) => {
+  if (!url) return null;
+  const resolved = resolveUrl(String(url), baseUrl);
+  return /^https?:\/\//i.test(resolved) ? resolved : null;
+};
+
+const firstOf = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Find a Product node in parsed JSON-LD (handles arrays and @graph)
+ */
+const findJsonLdProduct = (node) => {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findJsonLdProduct(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  const types = [].concat(node['@type'] || []);
+  if (types.includes('Product')) return node;
+  return findJsonLdProduct(node['@graph']);
+};
+
+const fromJsonLd = (doc) => {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let product = null;
+    try {
+      product = findJsonLdProduct(JSON.parse(script.textContent));
+    } catch {
+      continue;
+    }
+    if (!product) continue;
+
+    const offer = firstOf(product.offers) || {};
+    const image = firstOf(product.image);
+    return {
+      title: product.name,
+      price: parseNumber(offer.price ?? offer.lowPrice),
+      currency: offer.priceCurrency,
+      rating: parseNumber(product.aggregateRating?.ratingValue),
+      reviewCount: parseNumber(product.aggregateRating?.reviewCount),
+      image: typeof image === 'object' ? image?.url : image,
+      url: product.url || offer.url,
+    };
+  }
+  return {};
+};
+
+const fromMicrodata = (doc) => {
+  const scope = doc.querySelector('[itemtype*="schema.org/Product"]');
+  if (!scope) return {};
+
+  const prop = (name) => scope.querySelector(`[itemprop="${name}"]`);
+  const value = (el) => el?.getAttribute('content') || text(el) || null;
+
+  const image = prop('image');
+  const link = prop('url');
+  return {
+    title: value(prop('name')),
+    price: parseNumber(value(prop('price')) || value(prop('lowPrice'))),
+    currency: value(prop('priceCurrency')),
+    rating: parseNumber(value(prop('ratingValue'))),
+    reviewCount: parseNumber(value(prop('reviewCount'))),
+    image: image?.getAttribute('src') || image?.getAttribute('content'),
+    url: link?.getAttribute('href') || link?.getAttribute('content'),
+  };
+};
+
+const fromHeuristics = (doc) => {
+  const titleEl = doc.querySelector('h1, h2, h3, h4, [class*="title"], [class*="name"]');
+
+  // Prefer elements that call themselves a price; fall back to any text
+  let price = null;
+  let currency = null;
+  const priceEls = [...doc.querySelectorAll('[class*="price"]'), doc.body];
+  for (const el of priceEls) {
+    const match = text(el).match(PRICE_PATTERN);
+    if (match) {
+      currency = CURRENCY_SYMBOLS[match[1]];
+      price = parseNumber(match[2].replace(/[,\s]/g, ''));
+      break;
+    }
+  }
+
+  const ratingMatch = text(doc.body).match(RATING_PATTERN);
+  const image = doc.querySelector('img[src]');
+  const link = doc.querySelector('a[href]');
+
+  return {
+    title: text(titleEl) || image?.getAttribute('alt') || null,
+    price,
+    currency,
+    rating: ratingMatch ? parseFloat(ratingMatch[1]) : null,
+    image: image?.getAttribute('src'),
+    url: link?.getAttribute('href'),
+  };
+};
+
+/**
+ * Extract a product from fragment HTML
+ * @param {string} html - Raw fragment HTML
+ * @param {string} [baseUrl] - Page base URL for relative image/link URLs
+ * @returns {{title: string, price: number, currency: string|null, rating: number|null,
+ *   reviewCount: number|null, image: string|null, url: string|null,
+ *   source: string, confidence: number}|null} Null when confidence is too low
+ */
+export function extractProduct(html, baseUrl) {
+  if (!html) return null;
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const sources = [
+    ['json-ld', fromJsonLd(doc)],
+    ['microdata', fromMicrodata(doc)],
+    ['heuristic', fromHeuristics(doc)],
+  ];
+
+  const product = {};
+  let source = null;
+  for (const [name, data] of sources) {
+    for (const [field, value] of Object.entries(data)) {
+      if ((product[field] === undefined || product[field] === null) && value !== undefined && value !== null && value !== '') {
+        product[field] = value;
+        // Record where the title came from as the overall source
+        if (field === 'title') source = name;
+      }
+    }
+  }
+
+  product.image = safeUrl(product.image, baseUrl);
+  product.url = safeUrl(product.url, baseUrl);
+  if (product.rating !== undefined && product.rating !== null && (product.rating < 0 || product.rating > 5)) {
+    product.rating = null;
+  }
+
+  const confidence = Object.entries(FIELD_WEIGHTS)
+    .reduce((sum, [field, weight]) => sum + (product[field] !== undefined && product[field] !== null ? weight : 0), 0);
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  return {
+    title: String(product.title),
+    price: product.price,
+    currency: product.currency || null,
+    rating: product.rating ?? null,
+    reviewCount: product.reviewCount ?? null,
+    image: product.image,
+    url: product.url,
+    source,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+}
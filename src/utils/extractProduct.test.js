@@ -0,0 +1,71 @@
+import { extractProduct } from './extractProduct';
+import { createMockApi } from '../../mock-server/routes';
+
+const BASE = 'https://shop.example.com/catalog/';
+
+test('reads JSON-LD first', () => {
+  const html = `
+    <script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@graph': [{ '@type': 'WebPage' }, {
+        '@type': 'Product',
+        name: 'Desk Lamp',
+        image: ['img/lamp.jpg'],
+        offers: { price: '49.99', priceCurrency: 'EUR' },
+        aggregateRating: { ratingValue: '4.5', reviewCount: '120' },
+        url: '/p/lamp',
+      }],
+    })}</script>
+    <h2>Other heading</h2><span class="price">$10</span>`;
+
+  expect(extractProduct(html, BASE)).toEqual({
+    title: 'Desk Lamp',
+    price: 49.99,
+    currency: 'EUR',
+    rating: 4.5,
+    reviewCount: 120,
+    image: 'https://shop.example.com/catalog/img/lamp.jpg',
+    url: 'https://shop.example.com/p/lamp',
+    source: 'json-ld',
+    confidence: 1,
+  });
+});
+
+test('falls back to microdata, then heuristics, per field', () => {
+  const html = `
+    <div itemscope itemtype="https://schema.org/Product">
+      <h3 itemprop="name">Kettle</h3>
+    </div>
+    <span class="product-price">£1,299.50</span>`;
+
+  expect(extractProduct(html, BASE)).toMatchObject({
+    title: 'Kettle',
+    price: 1299.5,
+    currency: 'GBP',
+    source: 'microdata',
+  });
+});
+
+test('drops unsafe links and out-of-range ratings', () => {
+  const html = '<h2>Mug</h2><span class="price">$8</span><span>9 / 5</span><a href="javascript:alert(1)">buy</a>';
+  expect(extractProduct(html, BASE)).toMatchObject({ title: 'Mug', price: 8, rating: null, url: null });
+});
+
+test('returns null without a title and a price', () => {
+  expect(extractProduct('<h2>Just a heading</h2>', BASE)).toBeNull();
+  expect(extractProduct('', BASE)).toBeNull();
+});
+
+test('extracts every mock product card', () => {
+  const { data, handleRequest } = createMockApi();
+  const products = data.fragments.filter(f => f.archetype === 'product_card' && f.has_html);
+  expect(products.length).toBeGreaterThan(0);
+
+  products.forEach(f => {
+    const payload = JSON.parse(handleRequest({ method: 'GET', path: `/api/feed/fragment/${f.fragment_id}/html` }).body);
+    const product = extractProduct(payload.html, payload.base_url);
+    expect(product).toMatchObject({ currency: 'USD', price: expect.any(Number), title: expect.any(String) });
+    expect(product.rating).toBeGreaterThanOrEqual(2.5);
+    expect(product.url).toMatch(/^http:\/\/localhost:5001\/dp\/\d+$/);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Extract Posts from Comment / Social Fragment HTML
+ *
+ * Normalizes comment and social_post fragment HTML into a flat list of posts
+ * with a reply depth, so every site renders in the same threaded layout.
+ * Uses browser-native DOMParser (scripts never run) — no external
+ * dependencies. Bodies come out as plain-text paragraphs, never as markup.
+ *
+ * A post is any element matching POST_SELECTORS; its depth is the number of
+ * enclosing posts (or its data-depth, when the site provides one). Fields
+ * are read only from a post's own subtree, never from nested replies.
+ *
+ * Usage:
+ *   const thread = extractThread(html, baseUrl);
+ *   // { posts: [{ author, handle, authorUrl, avatar, timestamp, timeLabel,
+ *   //             body, media, depth, permalink }] }
+ */
+
+import { resolveUrl } from './resolveUrls';
+
+const POST_SELECTORS = [
+  '[data-testid="tweet"]',
+  '[itemtype*="schema.org/Comment"]',
+  '[itemtype*="schema.org/SocialMediaPosting"]',
+  '.comment',
+  '.post',
+  '.reply',
+  '.status',
+  '.tweet',
+].join(', ');
+
+const AUTHOR_SELECTORS = '.author-name, .comment-author, .author, .username, .user-name, .display-name, [rel="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"]';
+const HANDLE_SELECTORS = '.author-handle, .handle, .screen-name, .username-handle';
+const AVATAR_SELECTORS = 'img.avatar, .avatar img, img[class*="avatar"], img[class*="profile"]';
+const TIME_LABEL_SELECTORS = '.comment-age, .age, .timestamp, .date, .time, [class*="timestamp"]';
+const BODY_SELECTORS = '.post-body, .comment-body, .comment-text, .post-text, .tweet-text, [data-testid="tweetText"], [itemprop="text"], [itemprop="articleBody"], .body, .content, .text';
+const PERMALINK_SELECTORS = 'a.permalink, a[rel="bookmark"], a[href*="/status/"], a[href*="#comment"], a[href*="/comments/"]';
+
+// Beyond this, replies stop indenting further
+export const MAX_THREAD_DEPTH = 4;
+
+const collapse = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+// Only http(s) links and media leave the card
+const safeUrl = (url, baseUrl) => {
+  if (!url) return null;
+  const resolved = resolveUrl(String(url), baseUrl);
+  return /^https?:\/\//i.test(resolved) ? resolved : null;
+};
+
+// Elements under `post` that belong to it rather than to a nested reply
+const ownAll = (post, selector) => Array.from(post.querySelectorAll(selector))
+  .filter(el => el.closest(POST_SELECTORS) === post);
+
+const own = (post, selector) => ownAll(post, selector)[0] || null;
+
+const toParagraphs = (el) => {
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll(POST_SELECTORS).forEach(reply => reply.remove());
+  clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  const blocks = clone.querySelectorAll('p, blockquote, li');
+  const texts = blocks.length > 0
+    ? Array.from(blocks, block => block.textContent)
+    : clone.textContent.split(/\n{2,}/);
+  return texts
+    .map(text => text.split('\n').map(collapse).filter(Boolean).join('\n'))
+    .filter(Boolean);
+};
+
+const readDepth = (post) => {
+  const declared = parseInt(post.getAttribute('data-depth'), 10);
+  if (!Number.isNaN(declared)) return declared;
+  let depth = 0;
+  for (let el = post.parentElement.closest(POST_SELECTORS); el; el = el.parentElement?.closest(POST_SELECTORS)) {
+    depth++;
+  }
+  return depth;
+};
+
+const readTime = (post) => {
+  const timeEl = own(post, 'time');
+  if (timeEl) {
+    const datetime = timeEl.getAttribute('datetime');
+    const parsed = datetime ? new Date(datetime) : null;
+    return {
+      timestamp: parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : null,
+      timeLabel: collapse(timeEl.textContent) || null,
+    };
+  }
+  return { timestamp: null, timeLabel: collapse(own(post, TIME_LABEL_SELECTORS)?.textContent) || null };
+};
+
+const readPost = (post, baseUrl) => {
+  const authorEl = own(post, AUTHOR_SELECTORS);
+  const avatarEl = own(post, AVATAR_SELECTORS);
+  const bodyEl = own(post, BODY_SELECTORS);
+
+  let handle = collapse(own(post, HANDLE_SELECTORS)?.textContent);
+  if (handle && !handle.startsWith('@')) handle = `@${handle}`;
+
+  const authorLink = authorEl?.closest('a') || authorEl?.querySelector('a');
+  const permalinkEl = own(post, PERMALINK_SELECTORS) || own(post, 'time')?.closest('a');
+
+  const media = ownAll(post, 'img[src], video')
+    .filter(el => el !== avatarEl && !el.closest('.avatar'))
+    .map(el => ({
+      type: el.tagName === 'VIDEO' ? 'video' : 'image',
+      src: safeUrl(el.getAttribute('src') || el.querySelector('source')?.getAttribute('src'), baseUrl),
+      poster: safeUrl(el.getAttribute('poster'), baseUrl),
+      alt: el.getAttribute('alt') || '',
+    }))
+    .filter(item => item.src);
+
+  return {
+    author: collapse(authorEl?.textContent) || null,
+    handle: handle || null,
+    authorUrl: safeUrl(authorLink?.getAttribute('href'), baseUrl),
+    avatar: safeUrl(avatarEl?.getAttribute('src'), baseUrl),
+    ...readTime(post),
+    body: bodyEl ? toParagraphs(bodyEl) : [],
+    media,
+    depth: readDepth(post),
+    permalink: safeUrl(permalinkEl?.getAttribute('href'), baseUrl),
+  };
+};
+
+/**
+ * Extract posts from comment / social_post fragment HTML
+ * @param {string} html - Raw fragment HTML
+ * @param {string} [baseUrl] - Page base URL for relative links and media
+ * @returns {{posts: Array<Object>}|null} Null when no post has an author and a body
+ */
+export function extractThread(html, baseUrl) {
+  if (!html) return null;
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const posts = Array.from(doc.querySelectorAll(POST_SELECTORS))
+    .map(post => readPost(post, baseUrl))
+    .filter(post => post.author && (post.body.length > 0 || post.media.length > 0));
+
+  if (posts.length === 0) return null;
+
+  // Depths are relative to the shallowest post in the fragment
+  const minDepth = Math.min(...posts.map(post => post.depth));
+  posts.forEach(post => {
+    post.depth = Math.min(post.depth - minDepth, MAX_THREAD_DEPTH);
+  });
+
+  return { posts };
+}
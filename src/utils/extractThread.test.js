@@ -0,0 +1,89 @@
+import { extractThread, MAX_THREAD_DEPTH } from './extractThread';
+import { createMockApi } from '../../mock-server/routes';
+
+const BASE = 'https://forum.example.com/t/42';
+
+test('reads a social post', () => {
+  const html = `
+    <article class="post">
+      <img class="avatar" src="/a/ada.png">
+      <a class="author-name" href="/ada">Ada</a> <span class="author-handle">ada</span>
+      <time datetime="2025-03-01T10:00:00Z">Mar 1</time>
+      <div class="post-body"><p>First line<br>second line</p><p>Another paragraph</p></div>
+      <img src="/media/chart.png" alt="Chart">
+      <a class="permalink" href="/ada/status/1">link</a>
+    </article>`;
+
+  expect(extractThread(html, BASE)).toEqual({
+    posts: [{
+      author: 'Ada',
+      handle: '@ada',
+      authorUrl: 'https://forum.example.com/ada',
+      avatar: 'https://forum.example.com/a/ada.png',
+      timestamp: '2025-03-01T10:00:00.000Z',
+      timeLabel: 'Mar 1',
+      body: ['First line\nsecond line', 'Another paragraph'],
+      media: [{ type: 'image', src: 'https://forum.example.com/media/chart.png', poster: null, alt: 'Chart' }],
+      depth: 0,
+      permalink: 'https://forum.example.com/ada/status/1',
+    }],
+  });
+});
+
+test('reads nested replies without mixing up their fields', () => {
+  const html = `
+    <div class="comment">
+      <span class="comment-author">Root</span><div class="comment-body"><p>Top</p></div>
+      <div class="comment">
+        <span class="comment-author">Child</span><span class="comment-age">2 hours ago</span>
+        <div class="comment-body"><p>Reply</p></div>
+      </div>
+    </div>`;
+
+  const { posts } = extractThread(html, BASE);
+  expect(posts.map(({ author, body, depth, timeLabel }) => ({ author, body, depth, timeLabel }))).toEqual([
+    { author: 'Root', body: ['Top'], depth: 0, timeLabel: null },
+    { author: 'Child', body: ['Reply'], depth: 1, timeLabel: '2 hours ago' },
+  ]);
+});
+
+test('makes depths relative and caps them', () => {
+  const html = [3, 4, 12].map(depth => (
+    `<div class="comment" data-depth="${depth}"><b class="author">u${depth}</b><p class="text">hi</p></div>`
+  )).join('');
+  expect(extractThread(html, BASE).posts.map(post => post.depth)).toEqual([0, 1, MAX_THREAD_DEPTH]);
+});
+
+test('drops unsafe links and returns null without posts', () => {
+  const html = '<div class="comment"><a class="author" href="javascript:alert(1)">x</a><div class="body">hi</div></div>';
+  expect(extractThread(html, BASE).posts[0].authorUrl).toBeNull();
+  expect(extractThread('<div class="comment"><div class="body">anonymous</div></div>', BASE)).toBeNull();
+  expect(extractThread('', BASE)).toBeNull();
+});
+
+test('extracts every mock comment and social post', () => {
+  const { data, handleRequest } = createMockApi();
+  const threads = data.fragments.filter(f => ['comment', 'social_post'].includes(f.archetype) && f.has_html);
+  expect(threads.length).toBeGreaterThan(0);
+
+  threads.forEach(f => {
+    const payload = JSON.parse(handleRequest({ method: 'GET', path: `/api/feed/fragment/${f.fragment_id}/html` }).body);
+    const { posts } = extractThread(payload.html, payload.base_url);
+    expect(posts.length).toBeGreaterThan(0);
+    posts.forEach(post => {
+      expect(post.author).toBeTruthy();
+      expect(post.body.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+test('reads handles and permalinks of mock social posts', () => {
+  const { data, handleRequest } = createMockApi();
+  data.fragments.filter(f => f.archetype === 'social_post' && f.has_html).forEach(f => {
+    const payload = JSON.parse(handleRequest({ method: 'GET', path: `/api/feed/fragment/${f.fragment_id}/html` }).body);
+    expect(extractThread(payload.html, payload.base_url).posts[0]).toMatchObject({
+      handle: expect.stringMatching(/^@/),
+      permalink: expect.stringMatching(/\/status\/\d+$/),
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Feed Preferences
+ *
+ * Explicit feedback the user has given, persisted in localStorage:
+ * - reactions: fragment id → 'like' | 'dislike'
+ * - excludedDomains / excludedArchetypes: "not interested" choices, which
+ *   are sent with every feed request and also applied client-side
+ *
+ * Subscribers are notified after every change (see useFeedPreferences).
+ */
+
+const STORAGE_KEY = 'zoh_feed_preferences';
+const MAX_REACTIONS = 1000;
+
+const listeners = new Set();
+
+const EMPTY = { reactions: {}, excludedDomains: [], excludedArchetypes: [] };
+
+const read = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? { ...EMPTY, ...JSON.parse(raw) } : EMPTY;
+  } catch {
+    return EMPTY;
+  }
+};
+
+let current = read();
+
+const write = (next) => {
+  current = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (err) {
+    console.warn('Failed to persist feed preferences:', err?.message);
+  }
+  listeners.forEach(listener => listener(next));
+};
+
+/**
+ * Current preferences snapshot
+ * @returns {{reactions: Object, excludedDomains: string[], excludedArchetypes: string[]}}
+ */
+export const getFeedPreferences = () => current;
+
+/**
+ * Subscribe to preference changes
+ * @param {Function} listener - Called with the new preferences
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeFeedPreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Set or clear the reaction for a fragment
+ * @param {string} fragmentId - Fragment id (or an article's first fragment id)
+ * @param {'like'|'dislike'|null} reaction - null clears it
+ */
+export const setReaction = (fragmentId, reaction) => {
+  const reactions = { ...current.reactions };
+  delete reactions[fragmentId];
+  if (reaction) {
+    reactions[fragmentId] = reaction;
+    // Keep the newest MAX_REACTIONS (object keys keep insertion order)
+    const keys = Object.keys(reactions);
+    keys.slice(0, Math.max(0, keys.length - MAX_REACTIONS)).forEach(key => delete reactions[key]);
+  }
+  write({ ...current, reactions });
+};
+
+/**
+ * Mark a domain or archetype as "not interested"
+ * @param {'domain'|'archetype'} scope
+ * @param {string} value - Domain or archetype name
+ */
+export const excludeFromFeed = (scope, value) => {
+  const key = scope === 'domain' ? 'excludedDomains' : 'excludedArchetypes';
+  if (!value || current[key].includes(value)) return;
+  write({ ...current, [key]: [...current[key], value] });
+};
+
+/**
+ * Forget all "not interested" choices
+ */
+export const clearExclusions = () => {
+  write({ ...current, excludedDomains: [], excludedArchetypes: [] });
+};
+
+/**
+ * Check whether a feed item is excluded by the user's preferences
+ * @param {Object} item - Fragment or assembled article feed item
+ * @param {Object} [prefs] - Preferences snapshot (defaults to current)
+ * @returns {boolean}
+ */
+export const isExcludedItem = (item, prefs = current) => {
+  if (prefs.excludedDomains.includes(item.domain)) return true;
+  if (item.type === 'article') {
+    return (item.fragments || []).length > 0 &&
+      item.fragments.every(f => prefs.excludedArchetypes.includes(f.archetype));
+  }
+  return prefs.excludedArchetypes.includes(item.archetype);
+};
@@ -0,0 +1,64 @@
+/**
+ * Feed Session Persistence
+ *
+ * Saves the loaded feed (items, cursor and the exclusions it was issued
+ * under, hasMore, seed, filters and the index of the card in view) to
+ * IndexedDB so a reload or an accidentally closed tab returns to the same
+ * card. Sessions expire after SESSION_TTL_MS.
+ *
+ * A single session is kept per browser profile; the most recently active
+ * tab wins.
+ */
+
+import { createIdbStore } from './idbStore';
+
+export const SESSION_TTL_MS = 30 * 60 * 1000;
+
+const SESSION_KEY = 'current';
+
+const store = createIdbStore('zoh_feed_session', 'sessions');
+
+/**
+ * Load the saved session if it exists and has not expired
+ * @returns {Promise<Object|null>} { items, cursor, hasMore, randomSeed, filters, activeIndex, exclusions, savedAt }
+ */
+export const loadFeedSession = async () => {
+  try {
+    const session = await store.get(SESSION_KEY);
+    if (!session) return null;
+
+    if (Date.now() - session.savedAt > SESSION_TTL_MS) {
+      await store.delete(SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (err) {
+    console.warn('Failed to load feed session:', err?.message);
+    return null;
+  }
+};
+
+/**
+ * Save the current session, stamped with the current time
+ * @param {Object} session - { items, cursor, hasMore, randomSeed, filters, activeIndex, exclusions }
+ * @returns {Promise<void>}
+ */
+export const saveFeedSession = async (session) => {
+  try {
+    await store.put({ ...session, savedAt: Date.now() }, SESSION_KEY);
+  } catch (err) {
+    console.warn('Failed to save feed session:', err?.message);
+  }
+};
+
+/**
+ * Forget the saved session
+ * @returns {Promise<void>}
+ */
+export const clearFeedSession = async () => {
+  try {
+    await store.delete(SESSION_KEY);
+  } catch (err) {
+    console.warn('Failed to clear feed session:', err?.message);
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Feed URL State
+ *
+ * Serializes feed filters and the random seed to the query string so a feed
+ * survives a reload and can be shared as a link that reproduces the same
+ * ordering.
+ *
+ * Query params:
+ *   domains=a.com,b.com  archetypes=article,code_block  pages=<page_id>,...
+ *   curated=1  source=manual|model_prediction  q=<search>  seed=<random seed>
+ *
+ * Params not listed here are left untouched.
+ */
+
+export const DEFAULT_FILTERS = {
+  domains: [],
+  archetypes: [],
+  pages: [],
+  curated: false,
+  source: 'all',
+  search: ''
+};
+
+const VALID_SOURCES = new Set(['all', 'manual', 'model_prediction']);
+const FEED_PARAMS = ['domains', 'archetypes', 'pages', 'curated', 'source', 'q', 'seed'];
+
+const parseList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Read filters and seed from a query string
+ * @param {string} search - location.search (with or without leading '?')
+ * @returns {{filters: Object, seed: string|null}}
+ */
+export const parseFeedParams = (search) => {
+  const params = new URLSearchParams(search);
+  const source = params.get('source');
+
+  return {
+    filters: {
+      domains: parseList(params.get('domains')),
+      archetypes: parseList(params.get('archetypes')),
+      pages: parseList(params.get('pages')),
+      curated: params.get('curated') === '1' || params.get('curated') === 'true',
+      source: VALID_SOURCES.has(source) ? source : 'all',
+      search: params.get('q') || ''
+    },
+    seed: params.get('seed') || null
+  };
+};
+
+/**
+ * Write filters and seed into a query string, preserving unrelated params
+ * @param {Object} filters - Active feed filters
+ * @param {string|null} seed - Random seed
+ * @param {string} [baseSearch=''] - Existing query string to merge into
+ * @returns {string} Query string including leading '?', or '' if empty
+ */
+export const buildFeedParams = (filters, seed, baseSearch = '') => {
+  const params = new URLSearchParams(baseSearch);
+  FEED_PARAMS.forEach(key => params.delete(key));
+
+  if (filters.domains?.length) params.set('domains', filters.domains.join(','));
+  if (filters.archetypes?.length) params.set('archetypes', filters.archetypes.join(','));
+  if (filters.pages?.length) params.set('pages', filters.pages.join(','));
+  if (filters.curated) params.set('curated', '1');
+  if (filters.source && filters.source !== 'all') params.set('source', filters.source);
+  if (filters.search && filters.search.trim()) params.set('q', filters.search.trim());
+  if (seed) params.set('seed', seed);
+
+  const query = params.toString();
+  // Keep commas readable in shared links
+  return query ? `?${query.replace(/%2C/gi, ',')}` : '';
+};
+
+/**
+ * Absolute URL of the current feed view, including the seed
+ * @param {Object} filters - Active feed filters
+ * @param {string|null} seed - Random seed
+ * @returns {string}
+ */
+export const buildFeedShareUrl = (filters, seed) => {
+  const { origin, pathname, search, hash } = window.location;
+  return `${origin}${pathname}${buildFeedParams(filters, seed, search)}${hash}`;
+};
+
+/**
+ * Update the address bar to reflect filters and seed
+ * @param {Object} filters - Active feed filters
+ * @param {string|null} seed - Random seed
+ * @param {'push'|'replace'} mode - Add a history entry or replace the current one
+ */
+export const writeFeedUrl = (filters, seed, mode = 'replace') => {
+  const { pathname, search, hash } = window.location;
+  const nextSearch = buildFeedParams(filters, seed, search);
+  if (nextSearch === search) return;
+
+  const url = `${pathname}${nextSearch}${hash}`;
+  if (mode === 'push') {
+    window.history.pushState(window.history.state, '', url);
+  } else {
+    window.history.replaceState(window.history.state, '', url);
+  }
+};
@@ -0,0 +1,56 @@
+import { DEFAULT_FILTERS, parseFeedParams, buildFeedParams, writeFeedUrl } from './feedUrlState';
+
+describe('parseFeedParams', () => {
+  test('reads filters and seed', () => {
+    const { filters, seed } = parseFeedParams('?domains=a.com,%20b.com&archetypes=article&pages=p1&curated=1&source=manual&q=rust&seed=abc');
+    expect(filters).toEqual({
+      domains: ['a.com', 'b.com'],
+      archetypes: ['article'],
+      pages: ['p1'],
+      curated: true,
+      source: 'manual',
+      search: 'rust',
+    });
+    expect(seed).toBe('abc');
+  });
+
+  test('falls back to the defaults', () => {
+    expect(parseFeedParams('')).toEqual({ filters: DEFAULT_FILTERS, seed: null });
+    expect(parseFeedParams('source=bogus&curated=0').filters).toEqual(DEFAULT_FILTERS);
+  });
+});
+
+describe('buildFeedParams', () => {
+  test('round-trips through parseFeedParams', () => {
+    const filters = { ...DEFAULT_FILTERS, domains: ['a.com', 'b.com'], curated: true, search: 'borrow checker' };
+    const query = buildFeedParams(filters, 'seed-1');
+    expect(query).toBe('?domains=a.com,b.com&curated=1&q=borrow+checker&seed=seed-1');
+    expect(parseFeedParams(query)).toEqual({ filters, seed: 'seed-1' });
+  });
+
+  test('keeps unrelated params and drops stale feed params', () => {
+    expect(buildFeedParams(DEFAULT_FILTERS, null, '?debug=1&domains=old.com&seed=x')).toBe('?debug=1');
+  });
+
+  test('is empty for the default view', () => {
+    expect(buildFeedParams({ ...DEFAULT_FILTERS, search: '   ' }, null)).toBe('');
+  });
+});
+
+describe('writeFeedUrl', () => {
+  afterEach(() => window.history.replaceState(null, '', '/'));
+
+  test('replaces or pushes only when the query changes', () => {
+    const length = window.history.length;
+    writeFeedUrl({ ...DEFAULT_FILTERS, archetypes: ['code_block'] }, null);
+    expect(window.location.search).toBe('?archetypes=code_block');
+    expect(window.history.length).toBe(length);
+
+    writeFeedUrl({ ...DEFAULT_FILTERS, archetypes: ['code_block'] }, null, 'push');
+    expect(window.history.length).toBe(length);
+
+    writeFeedUrl(DEFAULT_FILTERS, 'seed-2', 'push');
+    expect(window.location.search).toBe('?seed=seed-2');
+    expect(window.history.length).toBe(length + 1);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Syntax Highlighting
+ *
+ * Small regex tokenizer for the languages that show up in code_block
+ * fragments. It is not a parser: it recognises comments, strings, numbers,
+ * keywords, literals and function calls, which is enough for readable
+ * highlighting without pulling in a highlighting library.
+ *
+ * Tokens are returned as data ({ type, text }) so the renderer can split them
+ * into lines and build React elements — no HTML strings are produced.
+ *
+ * Usage:
+ *   const language = detectLanguage(code, 'js');   // hint from class names
+ *   const tokens = tokenize(code, language);
+ */
+
+const C_LIKE_COMMENTS = [/\/\/[^\n]*/, /\/\*[\s\S]*?\*\//];
+const HASH_COMMENT = [/#[^\n]*/];
+const QUOTED_STRINGS = [/"(?:\\[\s\S]|[^"\\\n])*"/, /'(?:\\[\s\S]|[^'\\\n])*'/];
+
+const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`);
+
+const LANGUAGES = {
+  javascript: {
+    comments: C_LIKE_COMMENTS,
+    strings: [/`(?:\\[\s\S]|[^`\\])*`/, ...QUOTED_STRINGS],
+    keywords: words('async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield interface type enum implements'),
+    literals: words('true false null undefined NaN Infinity'),
+  },
+  python: {
+    comments: HASH_COMMENT,
+    strings: [/"""[\s\S]*?"""/, /'''[\s\S]*?'''/, /[rbfu]?"(?:\\[\s\S]|[^"\\\n])*"/i, /[rbfu]?'(?:\\[\s\S]|[^'\\\n])*'/i],
+    keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield'),
+    literals: words('True False None self'),
+  },
+  bash: {
+    comments: HASH_COMMENT,
+    strings: [/"(?:\\[\s\S]|[^"\\])*"/, /'[^']*'/],
+    keywords: words('if then else elif fi for while until do done case esac in function return local export set unset source echo exit'),
+    literals: [/\$\{?[\w@#?*!-]+\}?/],
+  },
+  json: {
+    comments: [],
+    strings: [/"(?:\\[\s\S]|[^"\\\n])*"/],
+    keywords: null,
+    literals: words('true false null'),
+  },
+  css: {
+    comments: [/\/\*[\s\S]*?\*\//],
+    strings: QUOTED_STRINGS,
+    keywords: [/@[\w-]+/, /!important/],
+    literals: [/#[\da-f]{3,8}\b/i],
+  },
+  html: {
+    comments: [/<!--[\s\S]*?-->/],
+    strings: QUOTED_STRINGS,
+    keywords: [/<\/?[\w-]+/, /\/?>/],
+    literals: [/&[\w#]+;/],
+  },
+  sql: {
+    comments: [/--[^\n]*/, /\/\*[\s\S]*?\*\//],
+    strings: [/'(?:''|[^'])*'/],
+    keywords: new RegExp('\\b(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|drop|alter|join|left|right|inner|outer|on|group|by|order|having|limit|offset|as|distinct|union|index|primary|key|references|null|is|in|like|case|when|then|else|end)\\b', 'i'),
+    literals: words('true false'),
+  },
+  go: {
+    comments: C_LIKE_COMMENTS,
+    strings: [/`[^`]*`/, ...QUOTED_STRINGS],
+    keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+    literals: words('true false nil iota'),
+  },
+  rust: {
+    comments: C_LIKE_COMMENTS,
+    strings: [/"(?:\\[\s\S]|[^"\\])*"/],
+    keywords: words('as async await break const continue crate else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+    literals: words('true false None Some Ok Err'),
+  },
+  java: {
+    comments: C_LIKE_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: words('abstract boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws try void volatile while var'),
+    literals: words('true false null'),
+  },
+  cpp: {
+    comments: C_LIKE_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: [/#\s*\w+/, words('auto bool break case catch char class const continue default delete do double else enum extern float for goto if inline int long namespace new private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while')],
+    literals: words('true false nullptr NULL'),
+  },
+  ruby: {
+    comments: HASH_COMMENT,
+    strings: QUOTED_STRINGS,
+    keywords: words('alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require'),
+    literals: words('true false nil'),
+  },
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+  node: 'javascript', mjs: 'javascript',
+  py: 'python', python3: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+  scss: 'css', less: 'css',
+  xml: 'html', markup: 'html', svg: 'html', xhtml: 'html',
+  golang: 'go',
+  rs: 'rust',
+  kotlin: 'java', kt: 'java',
+  c: 'cpp', 'c++': 'cpp', cc: 'cpp', h: 'cpp', hpp: 'cpp', cs: 'cpp', csharp: 'cpp',
+  rb: 'ruby',
+  postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+};
+
+// Content heuristics, in order; the first match wins. They only see the
+// start of the listing: that's enough to tell, and keeps a long log or
+// output block from stalling the feed.
+const HINT_SAMPLE_LENGTH = 2000;
+const CONTENT_HINTS = [
+  ['html', /^\s*<(?:!doctype|[a-z][\w-]*[\s>])/i],
+  ['bash', /^(?:#!.*\b(?:ba|z)?sh\b|\s*\$ |\s*(?:sudo|npm|yarn|pip|apt(?:-get)?|brew|cd|export|echo) )/m],
+  ['python', /^\s*(?:def \w+\(|class \w+(?:\(.*\))?:|from [\w.]+ import |import \w+$|print\()/m],
+  ['go', /\bpackage main\b|\bfunc (?:\(.*?\) )?\w+\(/],
+  ['rust', /\bfn \w+\(|\blet mut\b|\bimpl\b.*\{/],
+  ['java', /\bpublic (?:static )?(?:class|void|final)\b|System\.out\.print/],
+  ['cpp', /#include\s*[<"]|\bstd::/],
+  ['sql', /\b(?:SELECT\s+[\s\S]+\s+FROM|INSERT\s+INTO|CREATE\s+TABLE|UPDATE\s+\w+\s+SET)\b/i],
+  ['javascript', /\b(?:const|let|var)\s+\w+\s*=|=>|\bfunction\s*\w*\(|console\.log|\bimport .* from ['"]|\bexport default\b/],
+  ['ruby', /^\s*(?:def \w+|end$|require ['"])/m],
+  // A selector line opening a block with a declaration
+  ['css', /^\s*[.#]?[\w-][^{\n]*\{\s*[\w-]+\s*:/m],
+];
+
+/**
+ * Normalize a language name or alias
+ * @param {string} [name]
+ * @returns {string|null} Supported language key, or null
+ */
+export const normalizeLanguage = (name) => {
+  if (!name) return null;
+  const key = String(name).toLowerCase().trim();
+  if (LANGUAGES[key]) return key;
+  return ALIASES[key] || null;
+};
+
+/**
+ * Pick a language from a class-name hint, falling back to content heuristics
+ * @param {string} code
+ * @param {string} [hint] - Language named by the page (language-x, lang-x, ...)
+ * @returns {string|null}
+ */
+export const detectLanguage = (code, hint) => {
+  const fromHint = normalizeLanguage(hint);
+  if (fromHint) return fromHint;
+
+  const trimmed = code.trim();
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not JSON; keep looking
+    }
+  }
+  const sample = code.slice(0, HINT_SAMPLE_LENGTH);
+  const match = CONTENT_HINTS.find(([, pattern]) => pattern.test(sample));
+  return match ? match[0] : null;
+};
+
+const NUMBER = /\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b/i;
+const FUNCTION_CALL = /\b[A-Za-z_$][\w$]*(?=\s*\()/;
+
+const grammarCache = new Map();
+
+// One global regex with a capture group per token type, in priority order
+const buildGrammar = (language) => {
+  if (grammarCache.has(language)) return grammarCache.get(language);
+
+  const spec = LANGUAGES[language];
+  const rules = [
+    ['comment', spec.comments],
+    ['string', spec.strings],
+    ['keyword', spec.keywords ? [].concat(spec.keywords) : []],
+    ['literal', spec.literals ? [].concat(spec.literals) : []],
+    ['number', [NUMBER]],
+    ['function', language === 'json' || language === 'html' || language === 'css' ? [] : [FUNCTION_CALL]],
+  ].filter(([, patterns]) => patterns.length > 0);
+
+  const flags = language === 'sql' ? 'gi' : 'g';
+  const source = rules
+    .map(([, patterns]) => `(${patterns.map(p => p.source).join('|')})`)
+    .join('|');
+  const grammar = { regex: new RegExp(source, flags), types: rules.map(([type]) => type) };
+  grammarCache.set(language, grammar);
+  return grammar;
+};
+
+/**
+ * Split code into typed tokens
+ * @param {string} code
+ * @param {string|null} language - From detectLanguage; null means plain text
+ * @returns {Array<{type: string, text: string}>} type is 'plain' for untyped text
+ */
+export const tokenize = (code, language) => {
+  if (!language || !LANGUAGES[language]) return [{ type: 'plain', text: code }];
+
+  const { regex, types } = buildGrammar(language);
+  const tokens = [];
+  let last = 0;
+  regex.lastIndex = 0;
+
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    if (match[0] === '') {
+      regex.lastIndex++;
+      continue;
+    }
+    if (match.index > last) {
+      tokens.push({ type: 'plain', text: code.slice(last, match.index) });
+    }
+    const groupIndex = match.slice(1).findIndex(group => group !== undefined);
+    tokens.push({ type: types[groupIndex], text: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) {
+    tokens.push({ type: 'plain', text: code.slice(last) });
+  }
+  return tokens;
+};
+
+/**
+ * Split tokens into lines (tokens spanning newlines are cut)
+ * @param {Array<{type: string, text: string}>} tokens
+ * @returns {Array<Array<{type: string, text: string}>>}
+ */
+export const tokensToLines = (tokens) => {
+  const lines = [[]];
+  tokens.forEach(({ type, text }) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, text: part });
+    });
+  });
+  return lines;
+};
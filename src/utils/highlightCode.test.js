@@ -0,0 +1,38 @@
+import { detectLanguage, normalizeLanguage } from './highlightCode';
+
+test('normalizeLanguage maps aliases', () => {
+  expect(normalizeLanguage('Python')).toBe('python');
+  expect(normalizeLanguage('golang')).toBe('go');
+  expect(normalizeLanguage('brainfuck')).toBeNull();
+});
+
+describe('detectLanguage', () => {
+  test('prefers the page hint', () => {
+    expect(detectLanguage('SELECT 1', 'rb')).toBe('ruby');
+  });
+
+  test('recognizes JSON and common languages', () => {
+    expect(detectLanguage('{"a": [1, 2]}')).toBe('json');
+    expect(detectLanguage('def main():\n    pass')).toBe('python');
+    expect(detectLanguage('const x = 1;')).toBe('javascript');
+    expect(detectLanguage('$ npm install')).toBe('bash');
+  });
+
+  test('recognizes CSS by a selector line', () => {
+    expect(detectLanguage('.card,\n.panel > h2 {\n  color: red;\n}')).toBe('css');
+    expect(detectLanguage('#main { margin: 0 }')).toBe('css');
+    expect(detectLanguage('@media (min-width: 40em) {\n  body { font-size: 18px; }\n}')).toBe('css');
+  });
+
+  test('leaves plain output alone', () => {
+    expect(detectLanguage('INFO starting worker: pid=12\nWARN slow request: 1200ms')).toBeNull();
+  });
+
+  test('only reads the start of long listings', () => {
+    const log = 'INFO request handled: status=200 path=/api/feed duration=12ms\n'.repeat(2000);
+    const started = Date.now();
+    expect(detectLanguage(log)).toBeNull();
+    expect(detectLanguage(`${log}body { color: red; }`)).toBeNull();
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
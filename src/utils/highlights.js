@@ -0,0 +1,160 @@
+/**
+ * Highlights
+ *
+ * Passages the user highlighted in article embeds, with optional notes,
+ * stored in IndexedDB. Each highlight is anchored by a text quote (see
+ * utils/textQuote) plus the fragment it was made in, so it can be found
+ * again whenever that fragment renders, standalone or inside an assembled
+ * article.
+ *
+ * Entry:
+ *   { highlight_id, fragment_id, page_id, domain, url, quote: { exact, prefix, suffix },
+ *     note, created_at, updated_at }
+ *
+ * Highlights are read once into a shared in-memory copy and re-read after
+ * every change; subscribers get the new copy (see useHighlights), so each
+ * embed filters that copy instead of reading the store itself.
+ */
+
+import { createIdbStore } from './idbStore';
+import { fragmentPath, articlePath } from './router';
+
+const store = createIdbStore('zoh_highlights', 'highlights', 'highlight_id');
+const listeners = new Set();
+
+// Shared copy of all highlights, newest first; null until the first read
+let highlights = null;
+let reading = null;
+
+const refresh = () => {
+  const read = listHighlights()
+    .then((list) => {
+      // A newer read was started by a change in the meantime
+      if (reading !== read) return;
+      highlights = list;
+      listeners.forEach(listener => listener(list));
+    })
+    .catch((err) => console.warn('Failed to read highlights:', err?.message));
+  reading = read;
+};
+
+const notify = () => refresh();
+
+const newHighlightId = () => (
+  `hl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Shared copy of all highlights
+ * @returns {Array<Object>|null} Newest first; null until loaded
+ */
+export const getHighlights = () => highlights;
+
+/**
+ * Subscribe to highlight changes; the first subscriber triggers the read
+ * @param {Function} listener - Called with all highlights after each change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeHighlights = (listener) => {
+  listeners.add(listener);
+  if (!reading) refresh();
+  return () => listeners.delete(listener);
+};
+
+/**
+ * All highlights, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export const listHighlights = async () => {
+  const entries = await store.getAll();
+  return entries.sort((a, b) => b.created_at - a.created_at);
+};
+
+/**
+ * Save a new highlight
+ * @param {Object} highlight
+ * @param {string} highlight.fragment_id - Fragment the quote was selected in
+ * @param {{exact: string, prefix: string, suffix: string}} highlight.quote
+ * @param {string} [highlight.note]
+ * @param {string} [highlight.page_id] - Set when made in an assembled article
+ * @param {string} [highlight.domain]
+ * @param {string} [highlight.url] - Source page
+ * @returns {Promise<Object>} The stored entry
+ */
+export const addHighlight = async ({ fragment_id, quote, note = '', page_id = null, domain = null, url = null }) => {
+  const now = Date.now();
+  const entry = {
+    highlight_id: newHighlightId(),
+    fragment_id,
+    page_id,
+    domain,
+    url,
+    quote,
+    note: note.trim(),
+    created_at: now,
+    updated_at: now,
+  };
+  await store.put(entry);
+  notify();
+  return entry;
+};
+
+/**
+ * Replace a highlight's note (an empty note removes it)
+ * @param {Object} highlight - Entry from listHighlights()
+ * @param {string} note
+ * @returns {Promise<void>}
+ */
+export const updateHighlightNote = async (highlight, note) => {
+  await store.put({ ...highlight, note: note.trim(), updated_at: Date.now() });
+  notify();
+};
+
+/**
+ * Delete a highlight
+ * @param {string} highlightId
+ * @returns {Promise<void>}
+ */
+export const removeHighlight = async (highlightId) => {
+  await store.delete(highlightId);
+  notify();
+};
+
+/**
+ * Render highlights as Markdown, grouped by source page
+ * @param {Array<Object>} highlights - Entries from listHighlights()
+ * @param {string} [origin] - Prefix for the permalinks
+ * @returns {string}
+ */
+export const highlightsToMarkdown = (highlights, origin = window.location.origin) => {
+  const groups = new Map();
+  highlights.forEach(highlight => {
+    const key = highlight.url || highlight.domain || highlight.fragment_id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(highlight);
+  });
+
+  const sections = [...groups.values()].map(group => {
+    const { domain, url } = group[0];
+    const heading = url ? `## [${domain || url}](${url})` : `## ${domain || 'Unknown source'}`;
+    const entries = [...group]
+      .sort((a, b) => a.created_at - b.created_at)
+      .map(highlight => {
+        const date = new Date(highlight.created_at).toISOString().slice(0, 10);
+        const lines = [`> ${highlight.quote.exact}`];
+        if (highlight.note) lines.push('', highlight.note);
+        const permalink = highlight.page_id
+          ? `[article](${origin}${articlePath(highlight.page_id)})`
+          : `[fragment](${origin}${fragmentPath(highlight.fragment_id)})`;
+        lines.push('', `— ${date} · ${permalink}`);
+        return lines.join('\n');
+      });
+    return [heading, ...entries].join('\n\n');
+  });
+
+  return [
+    '# Highlights',
+    `Exported ${new Date().toISOString().slice(0, 10)} · ${highlights.length} highlight${highlights.length !== 1 ? 's' : ''}`,
+    ...sections,
+  ].join('\n\n') + '\n';
+};
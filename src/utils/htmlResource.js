@@ -0,0 +1,209 @@
+/**
+ * HTML Resource Loader
+ *
+ * Single entry point for fragment and assembled-article HTML payloads, shared
+ * by ArticleEmbed, VideoCardEmbed and AssembledArticle.
+ *
+ * - In-flight dedup: concurrent loads of the same resource share one request
+ *   (a remount or two cards for the same fragment never double-fetch). A
+ *   caller's AbortSignal only detaches that caller; the request itself is
+ *   aborted once every caller waiting on it has.
+ * - Memory cache: LRU bounded by an approximate byte budget
+ * - Cache Storage: payloads are also written to the browser's Cache Storage
+ *   (when available) so they survive reloads; entries expire after
+ *   PERSIST_TTL_MS. Disable with REACT_APP_PERSIST_HTML_CACHE=false.
+ *
+ * Failures are never cached; callers decide whether to retry.
+ *
+ * Usage:
+ *   const data = peekFragmentHtml(fragmentId);     // sync, memory only
+ *   const data = await loadFragmentHtml(fragmentId, { signal });
+ *   const data = await loadArticleHtml(pageId);
+ */
+
+import { fetchFragmentHtml, fetchArticleHtml } from '../services/api';
+
+const MEMORY_BUDGET_BYTES = 24 * 1024 * 1024;
+const PERSIST_CACHE_NAME = 'zoh-html-v1';
+const PERSIST_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHED_AT_HEADER = 'X-Zoh-Cached-At';
+
+const persistEnabled = process.env.REACT_APP_PERSIST_HTML_CACHE !== 'false' &&
+  typeof window !== 'undefined' && 'caches' in window;
+
+// key -> { data, bytes }, in least- to most-recently-used order
+const memory = new Map();
+let memoryBytes = 0;
+
+// key -> { promise, controller, waiters }
+const inFlight = new Map();
+
+const FETCHERS = {
+  fragment: fetchFragmentHtml,
+  article: fetchArticleHtml,
+};
+
+const keyOf = (kind, id) => `${kind}:${id}`;
+
+// Strings dominate the payload; JS strings are UTF-16
+const estimateBytes = (data) => {
+  let chars = (data.html || '').length + (data.base_url || '').length;
+  (data.styles || []).forEach(s => { chars += s.length; });
+  (data.stylesheet_urls || []).forEach(s => { chars += s.length; });
+  return chars * 2;
+};
+
+const remember = (key, data) => {
+  const bytes = estimateBytes(data);
+  // Larger than the whole budget: serve it, don't keep it
+  if (bytes > MEMORY_BUDGET_BYTES) return;
+
+  if (memory.has(key)) {
+    memoryBytes -= memory.get(key).bytes;
+    memory.delete(key);
+  }
+  memory.set(key, { data, bytes });
+  memoryBytes += bytes;
+
+  while (memoryBytes > MEMORY_BUDGET_BYTES) {
+    const [oldestKey, oldest] = memory.entries().next().value;
+    memory.delete(oldestKey);
+    memoryBytes -= oldest.bytes;
+  }
+};
+
+const peek = (key) => {
+  const entry = memory.get(key);
+  if (!entry) return null;
+  memory.delete(key);
+  memory.set(key, entry);
+  return entry.data;
+};
+
+// Cache Storage needs http(s) request keys; these never hit the network
+const persistUrl = (key) => `${window.location.origin}/__zoh_html__/${encodeURIComponent(key)}`;
+
+const readPersisted = async (key) => {
+  if (!persistEnabled) return null;
+  try {
+    const cache = await caches.open(PERSIST_CACHE_NAME);
+    const response = await cache.match(persistUrl(key));
+    if (!response) return null;
+
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER)) || 0;
+    if (Date.now() - cachedAt > PERSIST_TTL_MS) {
+      cache.delete(persistUrl(key));
+      return null;
+    }
+    return await response.json();
+  } catch (err) {
+    console.warn('Failed to read persisted HTML:', err?.message);
+    return null;
+  }
+};
+
+const writePersisted = async (key, data) => {
+  if (!persistEnabled) return;
+  try {
+    const cache = await caches.open(PERSIST_CACHE_NAME);
+    await cache.put(persistUrl(key), new Response(JSON.stringify(data), {
+      headers: {
+        'Content-Type': 'application/json',
+        [CACHED_AT_HEADER]: String(Date.now()),
+      },
+    }));
+  } catch (err) {
+    // Quota exceeded or storage disabled; the memory cache still works
+    console.warn('Failed to persist HTML:', err?.message);
+  }
+};
+
+const abortError = () => new DOMException('HTML load aborted', 'AbortError');
+
+const startRequest = (kind, id, key) => {
+  const controller = new AbortController();
+  const request = { controller, waiters: 0 };
+
+  request.promise = (async () => {
+    const persisted = await readPersisted(key);
+    if (persisted) {
+      remember(key, persisted);
+      return persisted;
+    }
+    if (controller.signal.aborted) throw abortError();
+
+    const data = await FETCHERS[kind](id, { signal: controller.signal });
+    remember(key, data);
+    writePersisted(key, data);
+    return data;
+  })().finally(() => {
+    if (inFlight.get(key) === request) inFlight.delete(key);
+  });
+
+  inFlight.set(key, request);
+  return request;
+};
+
+const load = (kind, id, { signal } = {}) => {
+  const key = keyOf(kind, id);
+
+  const cached = peek(key);
+  if (cached) return Promise.resolve(cached);
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  let request = inFlight.get(key);
+  if (!request || request.controller.signal.aborted) request = startRequest(kind, id, key);
+  request.waiters++;
+
+  // Without a signal the caller keeps the request alive until it settles
+  if (!signal) return request.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortError());
+      request.waiters--;
+      if (request.waiters === 0) request.controller.abort();
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    request.promise
+      .finally(() => signal.removeEventListener('abort', onAbort))
+      .then(resolve, reject);
+  });
+};
+
+/**
+ * Load fragment HTML (memory → Cache Storage → network)
+ * @param {string} fragmentId - Fragment UUID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting (see above)
+ * @returns {Promise<{html: string, styles: string[], stylesheet_urls: string[], base_url: string}>}
+ * @throws {Error} If HTML not available (404) or server error, or an
+ *   AbortError once the signal aborts
+ */
+export const loadFragmentHtml = (fragmentId, options) => load('fragment', fragmentId, options);
+
+/**
+ * Load combined assembled-article HTML (memory → Cache Storage → network)
+ * @param {string} pageId - Page UUID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting (see above)
+ * @returns {Promise<{html: string, styles: string[], stylesheet_urls: string[], base_url: string, fragment_ids: string[]}>}
+ * @throws {Error} If HTML not available (404) or server error, or an
+ *   AbortError once the signal aborts
+ */
+export const loadArticleHtml = (pageId, options) => load('article', pageId, options);
+
+/**
+ * Fragment HTML already in memory, or null. Lets a remounting card render
+ * its content on the first pass without a loading skeleton.
+ * @param {string} fragmentId - Fragment UUID
+ * @returns {Object|null}
+ */
+export const peekFragmentHtml = (fragmentId) => peek(keyOf('fragment', fragmentId));
+
+/**
+ * Assembled-article HTML already in memory, or null
+ * @param {string} pageId - Page UUID
+ * @returns {Object|null}
+ */
+export const peekArticleHtml = (pageId) => peek(keyOf('article', pageId));
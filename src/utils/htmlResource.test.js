@@ -0,0 +1,137 @@
+jest.mock('../services/api', () => ({
+  fetchFragmentHtml: jest.fn(),
+  fetchArticleHtml: jest.fn(),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimal Cache Storage: one cache of url -> Response
+const createCaches = () => {
+  const entries = new Map();
+  const cache = {
+    match: async (url) => entries.get(url)?.clone(),
+    put: async (url, response) => { entries.set(url, response); },
+    delete: async (url) => entries.delete(url),
+  };
+  return { entries, open: async () => cache };
+};
+
+// Module state (memory cache, in-flight map, Cache Storage detection) is
+// set up on import: load a fresh copy per test
+let resource;
+let api;
+const load = ({ caches } = {}) => {
+  jest.resetModules();
+  if (caches) window.caches = caches;
+  resource = require('./htmlResource');
+  api = require('../services/api');
+};
+
+afterEach(() => {
+  delete window.caches;
+  jest.restoreAllMocks();
+});
+
+const payload = (html) => ({ html, styles: [], stylesheet_urls: [], base_url: 'https://example.com/' });
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('shares one request between concurrent loads and caches the result', async () => {
+  load();
+  api.fetchFragmentHtml.mockResolvedValue(payload('<p>a</p>'));
+
+  const [first, second] = await Promise.all([resource.loadFragmentHtml('f1'), resource.loadFragmentHtml('f1')]);
+  expect(first).toBe(second);
+  expect(api.fetchFragmentHtml).toHaveBeenCalledTimes(1);
+  expect(resource.peekFragmentHtml('f1')).toBe(first);
+
+  await resource.loadFragmentHtml('f1');
+  expect(api.fetchFragmentHtml).toHaveBeenCalledTimes(1);
+});
+
+test('does not cache failures', async () => {
+  load();
+  api.fetchArticleHtml.mockRejectedValueOnce(new Error('offline')).mockResolvedValue(payload('<p>b</p>'));
+
+  await expect(resource.loadArticleHtml('p1')).rejects.toThrow('offline');
+  expect(resource.peekArticleHtml('p1')).toBeNull();
+  await expect(resource.loadArticleHtml('p1')).resolves.toEqual(payload('<p>b</p>'));
+});
+
+test('evicts the least recently used payloads beyond the memory budget', async () => {
+  load();
+  // ~10 MB each against a 24 MB budget
+  const big = 'x'.repeat(5 * 1024 * 1024);
+  api.fetchFragmentHtml.mockImplementation(async (id) => payload(`${id}${big}`));
+
+  await resource.loadFragmentHtml('a');
+  await resource.loadFragmentHtml('b');
+  resource.peekFragmentHtml('a');
+  await resource.loadFragmentHtml('c');
+
+  expect(resource.peekFragmentHtml('a')).not.toBeNull();
+  expect(resource.peekFragmentHtml('b')).toBeNull();
+  expect(resource.peekFragmentHtml('c')).not.toBeNull();
+});
+
+test('reads persisted payloads until they expire', async () => {
+  const caches = createCaches();
+  load({ caches });
+  api.fetchFragmentHtml.mockResolvedValue(payload('<p>fresh</p>'));
+
+  await resource.loadFragmentHtml('f1');
+  await flush();
+  expect(caches.entries.size).toBe(1);
+
+  // A new session: memory is empty, Cache Storage is not
+  load({ caches });
+  await expect(resource.loadFragmentHtml('f1')).resolves.toEqual(payload('<p>fresh</p>'));
+  expect(api.fetchFragmentHtml).not.toHaveBeenCalled();
+
+  load({ caches });
+  api.fetchFragmentHtml.mockResolvedValue(payload('<p>refetched</p>'));
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + DAY_MS + 1);
+  await expect(resource.loadFragmentHtml('f1')).resolves.toEqual(payload('<p>refetched</p>'));
+  expect(api.fetchFragmentHtml).toHaveBeenCalledTimes(1);
+});
+
+test('aborts the request only when every waiting caller has aborted', async () => {
+  load();
+  let requestSignal;
+  api.fetchFragmentHtml.mockImplementation((id, { signal }) => {
+    requestSignal = signal;
+    return new Promise(() => {});
+  });
+
+  const first = new AbortController();
+  const second = new AbortController();
+  const firstLoad = resource.loadFragmentHtml('f1', { signal: first.signal });
+  const secondLoad = resource.loadFragmentHtml('f1', { signal: second.signal });
+  await flush();
+
+  first.abort();
+  await expect(firstLoad).rejects.toMatchObject({ name: 'AbortError' });
+  expect(requestSignal.aborted).toBe(false);
+
+  second.abort();
+  await expect(secondLoad).rejects.toMatchObject({ name: 'AbortError' });
+  expect(requestSignal.aborted).toBe(true);
+});
+
+test('a caller without a signal keeps the request alive', async () => {
+  load();
+  let requestSignal;
+  api.fetchFragmentHtml.mockImplementation((id, { signal }) => {
+    requestSignal = signal;
+    return Promise.resolve(payload('<p>kept</p>'));
+  });
+
+  const controller = new AbortController();
+  const aborted = resource.loadFragmentHtml('f1', { signal: controller.signal });
+  const kept = resource.loadFragmentHtml('f1');
+  controller.abort();
+
+  await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+  await expect(kept).resolves.toEqual(payload('<p>kept</p>'));
+  expect(requestSignal.aborted).toBe(false);
+});
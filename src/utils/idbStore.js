@@ -0,0 +1,130 @@
+/**
+ * IndexedDB Key-Value Store
+ *
+ * Minimal promise wrapper around a single IndexedDB object store. Each store
+ * lives in its own database so callers never have to coordinate schema
+ * versions with each other.
+ *
+ * Falls back to an in-memory Map when IndexedDB is unavailable (private
+ * browsing in some browsers, jsdom in tests) so callers can treat
+ * persistence as best-effort without branching.
+ *
+ * Usage:
+ *   const store = createIdbStore('zoh_engagement', 'events', 'client_event_id');
+ *   await store.put({ client_event_id: 'abc', ... });
+ *   const all = await store.getAll();
+ *   await store.deleteMany(['abc']);
+ */
+
+const DB_VERSION = 1;
+
+/**
+ * Open (and create on first use) a database holding one object store
+ */
+function openDatabase(dbName, storeName, keyPath) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, keyPath ? { keyPath } : undefined);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`IndexedDB open blocked: ${dbName}`));
+  });
+}
+
+/**
+ * In-memory implementation with the same interface as the IndexedDB store
+ */
+function createMemoryStore(keyPath) {
+  const map = new Map();
+  const keyOf = (value, key) => (keyPath ? value[keyPath] : key);
+
+  return {
+    persistent: false,
+    get: async (key) => map.get(key),
+    getAll: async () => Array.from(map.values()),
+    put: async (value, key) => { map.set(keyOf(value, key), value); },
+    putMany: async (values) => { values.forEach((v) => map.set(keyOf(v), v)); },
+    delete: async (key) => { map.delete(key); },
+    deleteMany: async (keys) => { keys.forEach((k) => map.delete(k)); },
+    clear: async () => { map.clear(); },
+  };
+}
+
+/**
+ * Create a store backed by IndexedDB, or by memory if IndexedDB is unavailable.
+ * @param {string} dbName - Database name (one store per database)
+ * @param {string} storeName - Object store name
+ * @param {string} [keyPath] - In-line key path; omit to pass explicit keys to put()
+ * @returns {Object} Store with async get/getAll/put/putMany/delete/deleteMany/clear
+ */
+export function createIdbStore(dbName, storeName, keyPath) {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore(keyPath);
+  }
+
+  let dbPromise = null;
+  let fallback = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName, keyPath).catch((err) => {
+        console.warn(`IndexedDB unavailable for ${dbName}, using memory:`, err?.message);
+        fallback = createMemoryStore(keyPath);
+        return null;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run fn against the object store inside a transaction, or against the
+  // memory fallback if the database could not be opened.
+  const withStore = async (mode, fn, fallbackFn) => {
+    const db = await getDb();
+    if (!db) return fallbackFn(fallback);
+
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result instanceof IDBRequest ? result.result : result;
+  };
+
+  return {
+    persistent: true,
+    get: (key) => withStore('readonly', (s) => s.get(key), (m) => m.get(key)),
+    getAll: () => withStore('readonly', (s) => s.getAll(), (m) => m.getAll()),
+    put: (value, key) => withStore(
+      'readwrite',
+      (s) => {
+        if (keyPath) {
+          s.put(value);
+        } else {
+          s.put(value, key);
+        }
+      },
+      (m) => m.put(value, key)
+    ),
+    putMany: (values) => withStore(
+      'readwrite',
+      (s) => { values.forEach((v) => s.put(v)); },
+      (m) => m.putMany(values)
+    ),
+    delete: (key) => withStore('readwrite', (s) => { s.delete(key); }, (m) => m.delete(key)),
+    deleteMany: (keys) => withStore(
+      'readwrite',
+      (s) => { keys.forEach((k) => s.delete(k)); },
+      (m) => m.deleteMany(keys)
+    ),
+    clear: () => withStore('readwrite', (s) => { s.clear(); }, (m) => m.clear()),
+  };
+}
+
+export default createIdbStore;
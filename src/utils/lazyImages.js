@@ -0,0 +1,91 @@
+/**
+ * Lazy Images for Embedded HTML
+ *
+ * Images in injected HTML would all start loading the moment the markup is
+ * parsed. deferImages() rewrites img / picture <source> elements before
+ * injection so they carry their URLs in data-zoh-src / data-zoh-srcset
+ * instead; observeLazyImages() swaps them back in once an image comes near
+ * the visible part of the article's scroll wrapper.
+ *
+ * Usage:
+ *   deferImages(template.content);                 // before injection
+ *   const stop = observeLazyImages(contentEl, wrapperEl);
+ *   stop();                                        // on cleanup
+ */
+
+const DEFERRED_ATTRS = [
+  ['src', 'data-zoh-src'],
+  ['srcset', 'data-zoh-srcset'],
+  ['sizes', 'data-zoh-sizes'],
+];
+
+// Start loading a little before an image scrolls into view
+const ROOT_MARGIN = '400px 0px';
+
+/**
+ * Move image URLs into data attributes so nothing loads on injection
+ * @param {ParentNode} root - Inert content (e.g. a template's content)
+ */
+export const deferImages = (root) => {
+  root.querySelectorAll('img, picture source').forEach(el => {
+    DEFERRED_ATTRS.forEach(([attr, deferredAttr]) => {
+      if (!el.hasAttribute(attr)) return;
+      el.setAttribute(deferredAttr, el.getAttribute(attr));
+      el.removeAttribute(attr);
+    });
+  });
+};
+
+/**
+ * Whether an image is still waiting for observeLazyImages to load it
+ * @param {HTMLImageElement} img
+ * @returns {boolean}
+ */
+export const isDeferredImage = (img) => img.hasAttribute('data-zoh-src') || img.hasAttribute('data-zoh-srcset');
+
+/**
+ * URL an image will show (or shows), deferred or not
+ * @param {HTMLImageElement} img
+ * @returns {string|null}
+ */
+export const imageSource = (img) => img.currentSrc || img.getAttribute('src') || img.getAttribute('data-zoh-src') || null;
+
+// Restore the real attributes (picture sources first, so the img picks them up)
+const loadImage = (img) => {
+  const sources = img.parentElement?.tagName === 'PICTURE'
+    ? img.parentElement.querySelectorAll('source')
+    : [];
+  [...sources, img].forEach(el => {
+    // sizes and srcset before src, so the browser chooses once
+    [...DEFERRED_ATTRS].reverse().forEach(([attr, deferredAttr]) => {
+      if (!el.hasAttribute(deferredAttr)) return;
+      el.setAttribute(attr, el.getAttribute(deferredAttr));
+      el.removeAttribute(deferredAttr);
+    });
+  });
+};
+
+/**
+ * Load deferred images as they approach the visible part of a scroll container
+ * @param {ParentNode} contentRoot - Injected content holding deferred images
+ * @param {Element} scrollRoot - The article's scroll wrapper
+ * @returns {Function} Stops observing
+ */
+export const observeLazyImages = (contentRoot, scrollRoot) => {
+  const images = Array.from(contentRoot.querySelectorAll('img')).filter(isDeferredImage);
+  if (images.length === 0) return () => {};
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        loadImage(entry.target);
+      });
+    },
+    { root: scrollRoot, rootMargin: ROOT_MARGIN }
+  );
+
+  images.forEach(img => observer.observe(img));
+  return () => observer.disconnect();
+};
@@ -0,0 +1,107 @@
+/**
+ * Load Scheduler
+ *
+ * Central queue for expensive card loads (HTML fetches, screenshots,
+ * iframes). IntersectionObservers still decide *when a card wants* to load;
+ * the scheduler decides *which card goes next*, with at most MAX_CONCURRENT
+ * loads running at once.
+ *
+ * Priority is the card's distance from the active card, measured along the
+ * scroll direction: cards ahead go first, nearest first; cards behind are
+ * weighted down, and cards more than FLUNG_PAST cards behind are parked until
+ * the user scrolls back towards them. Queued work for a card that unmounts
+ * (feed windowing) is dropped when its ticket is released; a load already
+ * running is aborted through the turn's AbortSignal (see useLoadTurn).
+ *
+ * Usage:
+ *   setLoadFocus(activeIndex, direction);              // from the feed
+ *   const ticket = requestLoad(index, () => start());
+ *   ticket.release();                                  // done, or no longer needed
+ */
+
+const MAX_CONCURRENT = 4;
+// Cards behind the active one count this many times their distance
+const BEHIND_WEIGHT = 3;
+// Queued loads this many cards behind the active card don't start
+const FLUNG_PAST = 2;
+// A load that never reports back (e.g. an iframe without a load event)
+// gives its slot up after this long
+const SLOT_TIMEOUT_MS = 10_000;
+
+let focus = { activeIndex: 0, direction: 1 };
+let nextId = 0;
+let pumpScheduled = false;
+const queued = new Map(); // id -> { index, onStart }
+const running = new Map(); // id -> timeout handle
+
+const scoreOf = (index) => {
+  const ahead = (index - focus.activeIndex) * focus.direction;
+  if (ahead >= 0) return ahead;
+  if (-ahead > FLUNG_PAST) return null;
+  return -ahead * BEHIND_WEIGHT;
+};
+
+const release = (id) => {
+  if (queued.delete(id)) return;
+  if (running.has(id)) {
+    clearTimeout(running.get(id));
+    running.delete(id);
+    pump();
+  }
+};
+
+function pump() {
+  while (running.size < MAX_CONCURRENT && queued.size > 0) {
+    let bestId = null;
+    let bestScore = Infinity;
+    for (const [id, task] of queued) {
+      const score = scoreOf(task.index);
+      if (score !== null && score < bestScore) {
+        bestId = id;
+        bestScore = score;
+      }
+    }
+    if (bestId === null) return;
+
+    const task = queued.get(bestId);
+    queued.delete(bestId);
+    running.set(bestId, setTimeout(() => release(bestId), SLOT_TIMEOUT_MS));
+    task.onStart();
+  }
+}
+
+// Requests made in the same tick (e.g. all cards mounted by one render) are
+// ranked together instead of first-come-first-served
+const schedulePump = () => {
+  if (pumpScheduled) return;
+  pumpScheduled = true;
+  queueMicrotask(() => {
+    pumpScheduled = false;
+    pump();
+  });
+};
+
+/**
+ * Update the feed position used to rank queued loads
+ * @param {number} activeIndex - Index of the card in view
+ * @param {1|-1} direction - Scroll direction (1 = down)
+ */
+export const setLoadFocus = (activeIndex, direction) => {
+  if (focus.activeIndex === activeIndex && focus.direction === direction) return;
+  focus = { activeIndex, direction };
+  pump();
+};
+
+/**
+ * Queue a load for the card at index
+ * @param {number} index - Feed index of the card
+ * @param {Function} onStart - Called when the load may start
+ * @returns {{release: Function}} Call release() when the load finishes or
+ *   is no longer wanted; safe to call more than once
+ */
+export const requestLoad = (index, onStart) => {
+  const id = nextId++;
+  queued.set(id, { index, onStart });
+  schedulePump();
+  return { release: () => release(id) };
+};
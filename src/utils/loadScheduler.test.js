@@ -0,0 +1,76 @@
+// Scheduler state is module-level: load a fresh copy per test
+let scheduler;
+beforeEach(() => {
+  jest.resetModules();
+  scheduler = require('./loadScheduler');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Requests made in one tick are ranked together on a microtask
+const settle = () => Promise.resolve();
+
+const requestAll = (indices, started) => indices.map(index => (
+  scheduler.requestLoad(index, () => started.push(index))
+));
+
+test('runs at most four loads, nearest ahead first', async () => {
+  const started = [];
+  scheduler.setLoadFocus(3, 1);
+  requestAll([0, 1, 2, 3, 4, 5, 6, 7], started);
+  await settle();
+  expect(started).toEqual([3, 4, 5, 2]);
+});
+
+test('starts the next queued load when a slot is released', async () => {
+  const started = [];
+  const tickets = requestAll([0, 1, 2, 3, 4], started);
+  await settle();
+  expect(started).toEqual([0, 1, 2, 3]);
+
+  tickets[1].release();
+  tickets[1].release();
+  expect(started).toEqual([0, 1, 2, 3, 4]);
+});
+
+test('follows the scroll direction', async () => {
+  const started = [];
+  scheduler.setLoadFocus(5, -1);
+  requestAll([3, 4, 5, 6, 7, 8], started);
+  await settle();
+  expect(started).toEqual([5, 4, 3, 6]);
+});
+
+test('parks loads flung far behind until the user scrolls back', async () => {
+  const started = [];
+  scheduler.setLoadFocus(10, 1);
+  requestAll([2], started);
+  await settle();
+  expect(started).toEqual([]);
+
+  scheduler.setLoadFocus(3, -1);
+  expect(started).toEqual([2]);
+});
+
+test('drops queued work whose ticket is released', async () => {
+  const started = [];
+  const tickets = requestAll([0, 1, 2, 3, 4], started);
+  tickets[4].release();
+  await settle();
+  tickets[0].release();
+  expect(started).toEqual([0, 1, 2, 3]);
+});
+
+test('frees the slot of a load that never reports back', async () => {
+  // Legacy timers leave queueMicrotask alone
+  jest.useFakeTimers('legacy');
+  const started = [];
+  requestAll([0, 1, 2, 3, 4], started);
+  await settle();
+  expect(started).toHaveLength(4);
+
+  jest.advanceTimersByTime(10_000);
+  expect(started).toEqual([0, 1, 2, 3, 4]);
+});
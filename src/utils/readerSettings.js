@@ -0,0 +1,181 @@
+/**
+ * Reader Settings
+ *
+ * How HTML embeds are displayed (font size, line height, content width,
+ * font family, light / sepia / dark theme), persisted in localStorage.
+ *
+ * Settings reach shadow roots as CSS custom properties (--zoh-*): each embed
+ * injects readerSettingsCSS() in its own <style> element and rewrites it
+ * when settings change, without re-rendering the content (see
+ * utils/embedShadow, whose base stylesheet reads these properties).
+ *
+ * Sepia and dark force their colours onto the page's content with
+ * !important, since page styles (or inline styles) setting dark text on a
+ * white box would otherwise be unreadable on a dark background.
+ *
+ * Subscribers are notified after every change (see useReaderSettings).
+ */
+
+const STORAGE_KEY = 'zoh_reader_settings';
+
+export const FONT_SIZE_RANGE = { min: 13, max: 24 };
+export const LINE_HEIGHTS = [1.4, 1.6, 1.8, 2.0];
+
+export const CONTENT_WIDTHS = {
+  narrow: '560px',
+  medium: '680px',
+  full: '100%',
+};
+
+export const FONT_FAMILIES = {
+  sans: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+  serif: "Charter, 'Iowan Old Style', Georgia, Cambria, 'Times New Roman', serif",
+};
+
+export const THEMES = {
+  light: { bg: '#fff', text: '#333', heading: '#111', muted: '#666', link: '#0066cc', surface: '#f5f5f5', border: '#ddd' },
+  sepia: { bg: '#f4ecd8', text: '#5b4636', heading: '#3e2f23', muted: '#7a6450', link: '#8a4b14', surface: '#ebdfc4', border: '#d6c6a5' },
+  dark: { bg: '#1c1c1e', text: '#d8d8d8', heading: '#f2f2f2', muted: '#9a9a9a', link: '#6cb4ff', surface: '#2a2a2d', border: '#3a3a3d' },
+};
+
+export const DEFAULT_READER_SETTINGS = {
+  fontSize: 16,
+  lineHeight: 1.6,
+  width: 'full',
+  fontFamily: 'sans',
+  theme: 'light',
+};
+
+const listeners = new Set();
+
+// Drop unknown or out-of-range values (old versions, hand-edited storage)
+const normalize = (settings) => {
+  const next = { ...DEFAULT_READER_SETTINGS, ...settings };
+  const fontSize = Number(next.fontSize);
+  return {
+    fontSize: Number.isFinite(fontSize)
+      ? Math.min(FONT_SIZE_RANGE.max, Math.max(FONT_SIZE_RANGE.min, Math.round(fontSize)))
+      : DEFAULT_READER_SETTINGS.fontSize,
+    lineHeight: LINE_HEIGHTS.includes(next.lineHeight) ? next.lineHeight : DEFAULT_READER_SETTINGS.lineHeight,
+    width: CONTENT_WIDTHS[next.width] ? next.width : DEFAULT_READER_SETTINGS.width,
+    fontFamily: FONT_FAMILIES[next.fontFamily] ? next.fontFamily : DEFAULT_READER_SETTINGS.fontFamily,
+    theme: THEMES[next.theme] ? next.theme : DEFAULT_READER_SETTINGS.theme,
+  };
+};
+
+const read = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? normalize(JSON.parse(raw)) : DEFAULT_READER_SETTINGS;
+  } catch {
+    return DEFAULT_READER_SETTINGS;
+  }
+};
+
+let current = read();
+
+const write = (next) => {
+  current = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (err) {
+    console.warn('Failed to persist reader settings:', err?.message);
+  }
+  listeners.forEach(listener => listener(next));
+};
+
+/**
+ * Current settings snapshot
+ * @returns {{fontSize: number, lineHeight: number, width: string, fontFamily: string, theme: string}}
+ */
+export const getReaderSettings = () => current;
+
+/**
+ * Subscribe to settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeReaderSettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Change some settings
+ * @param {Object} changes - Subset of the settings fields
+ */
+export const updateReaderSettings = (changes) => {
+  write(normalize({ ...current, ...changes }));
+};
+
+/**
+ * Restore the defaults
+ */
+export const resetReaderSettings = () => {
+  write(DEFAULT_READER_SETTINGS);
+};
+
+/**
+ * CSS for a shadow root: the --zoh-* custom properties on :host, plus the
+ * forced colours of the sepia and dark themes
+ * @param {Object} settings - From getReaderSettings
+ * @param {string} contentSelector - The embed's content root, e.g. '.article-embed-content'
+ * @returns {string}
+ */
+export const readerSettingsCSS = (settings, contentSelector) => {
+  const theme = THEMES[settings.theme] || THEMES.light;
+  const vars = `
+    :host {
+      --zoh-font-size: ${settings.fontSize}px;
+      --zoh-line-height: ${settings.lineHeight};
+      --zoh-content-width: ${CONTENT_WIDTHS[settings.width]};
+      --zoh-font-family: ${FONT_FAMILIES[settings.fontFamily]};
+      --zoh-bg: ${theme.bg};
+      --zoh-text: ${theme.text};
+      --zoh-heading: ${theme.heading};
+      --zoh-muted: ${theme.muted};
+      --zoh-link: ${theme.link};
+      --zoh-surface: ${theme.surface};
+      --zoh-border: ${theme.border};
+    }
+  `;
+  if (settings.theme === 'light') return vars;
+
+  const root = contentSelector;
+  return `${vars}
+    ${root}, ${root} * {
+      color: var(--zoh-text) !important;
+      background-color: transparent !important;
+      border-color: var(--zoh-border) !important;
+      text-shadow: none !important;
+    }
+    ${root} {
+      background: var(--zoh-bg) !important;
+    }
+    ${root} :is(h1, h2, h3, h4, h5, h6, strong, b) {
+      color: var(--zoh-heading) !important;
+    }
+    ${root} a, ${root} a * {
+      color: var(--zoh-link) !important;
+    }
+    ${root} :is(pre, code, th, blockquote, mark, kbd) {
+      background-color: var(--zoh-surface) !important;
+    }
+    ${root} :is(figcaption, small, time) {
+      color: var(--zoh-muted) !important;
+    }
+    ${root} mark[data-zoh-highlight] {
+      background-color: rgba(255, 213, 74, 0.35) !important;
+    }
+    ${root} mark[data-zoh-term] {
+      background-color: rgba(91, 158, 255, 0.25) !important;
+    }
+    ${root} mark[data-zoh-find] {
+      background-color: rgba(255, 235, 59, 0.45) !important;
+    }
+    ${root} mark[data-zoh-find][data-current] {
+      background-color: #ff9632 !important;
+      color: #000 !important;
+    }
+  `;
+};
@@ -0,0 +1,27 @@
+/**
+ * Reading Time
+ *
+ * Word counts and reading-time estimates for rendered article content.
+ */
+
+// Typical silent reading speed for web articles
+export const WORDS_PER_MINUTE = 230;
+
+/**
+ * Count words in a piece of text
+ * @param {string} text
+ * @returns {number}
+ */
+export const countWords = (text) => {
+  const words = (text || '').trim().split(/\s+/);
+  return words[0] === '' ? 0 : words.length;
+};
+
+/**
+ * Estimated minutes to read a number of words (at least 1 for any text)
+ * @param {number} wordCount
+ * @returns {number}
+ */
+export const estimateReadingMinutes = (wordCount) => (wordCount > 0
+  ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE))
+  : 0);
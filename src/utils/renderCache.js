@@ -0,0 +1,57 @@
+/**
+ * Render State Cache
+ *
+ * Remembers what a card had already resolved (render mode, extracted video
+ * data, screenshot loaded) so a card that was unmounted by feed windowing
+ * comes back in its loaded state instead of showing a skeleton and
+ * retrying. Fetched HTML itself is cached by htmlResource.
+ *
+ * Failed loads are deliberately not cached: they're often transient
+ * (offline, a timeout), so a remounted card retries.
+ *
+ * Small LRU keyed by `${kind}:${id}`; values are plain objects owned by the
+ * calling component.
+ *
+ * Usage:
+ *   const cached = getRenderState('article-embed', fragmentId);
+ *   setRenderState('article-embed', fragmentId, { mode: 'screenshot' });
+ */
+
+const MAX_ENTRIES = 200;
+
+const cache = new Map();
+
+const keyOf = (kind, id) => `${kind}:${id}`;
+
+/**
+ * Get cached render state, marking it as recently used
+ * @param {string} kind - Component kind (e.g. 'article-embed')
+ * @param {string} id - Fragment or page id
+ * @returns {Object|undefined}
+ */
+export const getRenderState = (kind, id) => {
+  const key = keyOf(kind, id);
+  if (!cache.has(key)) return undefined;
+  const value = cache.get(key);
+  cache.delete(key);
+  cache.set(key, value);
+  return value;
+};
+
+/**
+ * Merge into cached render state, evicting the least recently used entry
+ * when full
+ * @param {string} kind - Component kind
+ * @param {string} id - Fragment or page id
+ * @param {Object} state - Fields to store
+ */
+export const setRenderState = (kind, id, state) => {
+  const key = keyOf(kind, id);
+  const prev = cache.get(key);
+  cache.delete(key);
+  cache.set(key, { ...prev, ...state });
+
+  while (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * Render Quality Check
+ *
+ * Decides whether HTML injected into a shadow root actually rendered
+ * something worth showing. Cleaned HTML can come out blank (content was
+ * client-rendered or hidden by page CSS), collapse to a few pixels, or be
+ * mostly broken images; in those cases the screenshot is the better card.
+ *
+ * Usage:
+ *   const result = await assessRender(contentEl, bbox);
+ *   if (!result.ok) showScreenshot(result.reasons);
+ */
+
+import { isDeferredImage } from './lazyImages';
+
+// Below this much visible text a render with no working media is blank
+const MIN_TEXT_LENGTH = 20;
+// Rendered height below this fraction of the captured height is collapsed
+const MIN_HEIGHT_RATIO = 0.2;
+const MIN_HEIGHT_PX = 24;
+// Share of images that failed before the render counts as broken
+const MAX_BROKEN_IMAGE_RATIO = 0.5;
+// Images still loading after this long are left out of the check
+const IMAGE_SETTLE_MS = 4000;
+// observeLazyImages picks up images near the viewport within a frame or
+// two; ones still deferred after this are further down the article
+const LAZY_START_MS = 500;
+
+// Resolves once every deferred image has had its src swapped in, or the
+// grace period ends
+const waitForLazyStart = (images) => new Promise(resolve => {
+  if (images.length === 0) return resolve();
+  const done = () => {
+    observer.disconnect();
+    clearTimeout(timer);
+    resolve();
+  };
+  const observer = new MutationObserver(() => {
+    if (!images.some(isDeferredImage)) done();
+  });
+  images.forEach(img => observer.observe(img, { attributes: true, attributeFilter: ['src', 'srcset'] }));
+  const timer = setTimeout(done, LAZY_START_MS);
+});
+
+const waitForImages = (images) => Promise.race([
+  Promise.all(images.filter(img => !img.complete).map(img => new Promise(resolve => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  }))),
+  new Promise(resolve => setTimeout(resolve, IMAGE_SETTLE_MS)),
+]);
+
+/**
+ * Measure a rendered embed and decide whether it is usable
+ * @param {HTMLElement} contentEl - Root element of the injected content
+ * @param {{width: number, height: number}} [bbox] - Captured fragment size
+ * @returns {Promise<{ok: boolean, reasons: string[], metrics: Object}>}
+ */
+export const assessRender = async (contentEl, bbox) => {
+  // Lazy images outside the viewport never load; they can't count as broken,
+  // nor as media. Deferred ones (see lazyImages) are checked once
+  // observeLazyImages gives them a src.
+  const allImages = Array.from(contentEl.querySelectorAll('img'));
+  const deferredImages = allImages.filter(isDeferredImage);
+  await waitForLazyStart(deferredImages);
+  const images = allImages.filter(img => !isDeferredImage(img) &&
+    (deferredImages.includes(img) || img.getAttribute('loading') !== 'lazy' || img.complete));
+  await waitForImages(images);
+
+  const settled = images.filter(img => img.complete);
+  const brokenImages = settled.filter(img => img.naturalWidth === 0).length;
+  const loadedImages = settled.length - brokenImages;
+  const hasMedia = loadedImages > 0 ||
+    contentEl.querySelector('video, svg, canvas, picture') !== null;
+
+  const textLength = (contentEl.innerText || '').replace(/\s+/g, ' ').trim().length;
+  const rect = contentEl.getBoundingClientRect();
+  const style = getComputedStyle(contentEl);
+  const width = rect.width;
+  // Our own padding says nothing about the content
+  const height = rect.height - parseFloat(style.paddingTop || 0) - parseFloat(style.paddingBottom || 0);
+  // The captured bbox is scaled to the width we render at
+  const expectedHeight = bbox?.height && bbox?.width
+    ? bbox.height * (width / bbox.width)
+    : null;
+
+  const reasons = [];
+  if (textLength < MIN_TEXT_LENGTH && !hasMedia) {
+    reasons.push('blank');
+  }
+  if (height < MIN_HEIGHT_PX || (expectedHeight && height < expectedHeight * MIN_HEIGHT_RATIO)) {
+    reasons.push('collapsed');
+  }
+  if (settled.length > 0 && brokenImages / settled.length >= MAX_BROKEN_IMAGE_RATIO &&
+      (textLength < 200 || brokenImages >= 3)) {
+    reasons.push('broken_images');
+  }
+
+  return {
+    ok: reasons.length === 0,
+    reasons,
+    metrics: {
+      text_length: textLength,
+      rendered_height: Math.round(height),
+      expected_height: expectedHeight ? Math.round(expectedHeight) : null,
+      images: images.length,
+      broken_images: brokenImages,
+    },
+  };
+};
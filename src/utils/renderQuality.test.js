@@ -0,0 +1,49 @@
+import { assessRender } from './renderQuality';
+import { deferImages } from './lazyImages';
+
+// jsdom has no layout; give the content a believable size and innerText
+const buildContent = (html) => {
+  const contentEl = document.createElement('div');
+  contentEl.innerHTML = html;
+  deferImages(contentEl);
+  contentEl.getBoundingClientRect = () => ({ width: 600, height: 400 });
+  Object.defineProperty(contentEl, 'innerText', { get: () => contentEl.textContent });
+  document.body.appendChild(contentEl);
+  return contentEl;
+};
+
+// What observeLazyImages does for an image near the viewport, followed by
+// the request failing
+const loadAndFail = (img) => {
+  img.setAttribute('src', img.getAttribute('data-zoh-src'));
+  img.removeAttribute('data-zoh-src');
+  Object.defineProperty(img, 'complete', { value: true });
+  img.dispatchEvent(new Event('error'));
+};
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+test('passes text content', async () => {
+  const contentEl = buildContent(`<p>${'Plenty of readable text. '.repeat(10)}</p>`);
+  const { ok } = await assessRender(contentEl, { width: 600, height: 500 });
+  expect(ok).toBe(true);
+});
+
+test('deferred images that never load do not count as media', async () => {
+  const contentEl = buildContent('<img src="https://example.com/a.png">');
+  const { reasons, metrics } = await assessRender(contentEl);
+  expect(reasons).toContain('blank');
+  expect(metrics.images).toBe(0);
+});
+
+test('checks deferred images once they are swapped in', async () => {
+  const contentEl = buildContent('<p>Caption</p><img src="https://example.com/a.png"><img src="https://example.com/b.png">');
+  const images = contentEl.querySelectorAll('img');
+  setTimeout(() => images.forEach(loadAndFail), 10);
+
+  const { reasons, metrics } = await assessRender(contentEl);
+  expect(reasons).toEqual(expect.arrayContaining(['blank', 'broken_images']));
+  expect(metrics).toMatchObject({ images: 2, broken_images: 2 });
+});
@@ -0,0 +1,134 @@
+/**
+ * Resolve Relative URLs in Embedded HTML
+ *
+ * Fragment HTML is captured from another site, so relative references
+ * (img src, srcset, href, CSS url(), @import) must resolve against the
+ * page's base_url, not our origin. Rewrites happen on an inert <template>
+ * before injection, so nothing is requested from the wrong host.
+ *
+ * Absolute URLs, data:/blob: URIs and in-page #anchors are left as they are.
+ */
+
+// Attributes holding a single URL
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'data-src', 'data-href', 'xlink:href'];
+// Attributes holding a srcset candidate list
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+
+// Already absolute (scheme:) or in-page; protocol-relative //host is resolved
+// so it picks up the page's scheme
+const SKIP_PATTERN = /^(?:[a-z][a-z\d+.-]*:|#)/i;
+
+// url(...) with optional quotes; @import "..." without url()
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(['"])(.*?)\1/gi;
+
+/**
+ * Resolve one URL against a base
+ * @param {string} url - URL as written in the page
+ * @param {string} baseUrl - Page base URL
+ * @returns {string} Absolute URL, or the input if it can't or needn't be resolved
+ */
+export const resolveUrl = (url, baseUrl) => {
+  const trimmed = url?.trim();
+  if (!trimmed || !baseUrl) return url;
+  if (SKIP_PATTERN.test(trimmed)) return url;
+  try {
+    return new URL(trimmed, baseUrl).href;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Split a srcset into candidates the way the HTML spec parses it: a URL
+ * runs up to whitespace (so it may contain commas, e.g. '/w_400,h_300/a.jpg'),
+ * its descriptors up to the next comma outside parentheses
+ * @param {string} srcset
+ * @returns {Array<{url: string, descriptors: string}>}
+ */
+const parseSrcset = (srcset) => {
+  const candidates = [];
+  let pos = 0;
+  while (pos < srcset.length) {
+    // Separators between candidates
+    while (pos < srcset.length && /[\s,]/.test(srcset[pos])) pos++;
+    if (pos >= srcset.length) break;
+
+    const urlStart = pos;
+    while (pos < srcset.length && !/\s/.test(srcset[pos])) pos++;
+    let url = srcset.slice(urlStart, pos);
+
+    // Trailing commas end the candidate: no descriptors
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+      if (url) candidates.push({ url, descriptors: '' });
+      continue;
+    }
+
+    const descriptorStart = pos;
+    let depth = 0;
+    while (pos < srcset.length && (srcset[pos] !== ',' || depth > 0)) {
+      if (srcset[pos] === '(') depth++;
+      if (srcset[pos] === ')') depth = Math.max(0, depth - 1);
+      pos++;
+    }
+    candidates.push({ url, descriptors: srcset.slice(descriptorStart, pos).trim().replace(/\s+/g, ' ') });
+  }
+  return candidates;
+};
+
+/**
+ * Resolve every candidate in a srcset ("a.jpg 1x, b.jpg 2x"); data: URIs
+ * and other absolute candidates are kept as written
+ * @param {string} srcset
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export const resolveSrcset = (srcset, baseUrl) => {
+  if (!srcset || !baseUrl) return srcset;
+  return parseSrcset(srcset)
+    .map(({ url, descriptors }) => [resolveUrl(url, baseUrl), descriptors].filter(Boolean).join(' '))
+    .join(', ');
+};
+
+/**
+ * Resolve url() and @import references in a stylesheet or style attribute
+ * @param {string} css
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export const resolveCssUrls = (css, baseUrl) => {
+  if (!css || !baseUrl) return css;
+  return css
+    .replace(CSS_URL_PATTERN, (match, quote, url) => `url(${quote}${resolveUrl(url, baseUrl)}${quote})`)
+    .replace(CSS_IMPORT_PATTERN, (match, quote, url) => `@import ${quote}${resolveUrl(url, baseUrl)}${quote}`);
+};
+
+/**
+ * Resolve relative references on every element under root, in place.
+ * Root should be inert (a <template>'s content) so nothing starts loading.
+ * @param {ParentNode} root
+ * @param {string} baseUrl
+ */
+export const resolveElementUrls = (root, baseUrl) => {
+  if (!baseUrl) return;
+
+  root.querySelectorAll('*').forEach(el => {
+    URL_ATTRIBUTES.forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (value) el.setAttribute(attr, resolveUrl(value, baseUrl));
+    });
+    SRCSET_ATTRIBUTES.forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (value) el.setAttribute(attr, resolveSrcset(value, baseUrl));
+    });
+    const style = el.getAttribute('style');
+    if (style && style.includes('url(')) {
+      el.setAttribute('style', resolveCssUrls(style, baseUrl));
+    }
+  });
+
+  root.querySelectorAll('style').forEach(styleEl => {
+    styleEl.textContent = resolveCssUrls(styleEl.textContent, baseUrl);
+  });
+};
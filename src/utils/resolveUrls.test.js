@@ -0,0 +1,65 @@
+import { resolveUrl, resolveSrcset, resolveCssUrls, resolveElementUrls } from './resolveUrls';
+
+const BASE = 'https://example.com/blog/post.html';
+
+describe('resolveUrl', () => {
+  test('resolves relative and protocol-relative URLs', () => {
+    expect(resolveUrl('img/a.png', BASE)).toBe('https://example.com/blog/img/a.png');
+    expect(resolveUrl('/a.png', BASE)).toBe('https://example.com/a.png');
+    expect(resolveUrl('//cdn.example.net/a.png', BASE)).toBe('https://cdn.example.net/a.png');
+  });
+
+  test('leaves absolute, data: and in-page URLs alone', () => {
+    expect(resolveUrl('http://other.com/a.png', BASE)).toBe('http://other.com/a.png');
+    expect(resolveUrl('data:image/png;base64,AAAA', BASE)).toBe('data:image/png;base64,AAAA');
+    expect(resolveUrl('#section', BASE)).toBe('#section');
+  });
+});
+
+describe('resolveSrcset', () => {
+  test('resolves each candidate and keeps its descriptor', () => {
+    expect(resolveSrcset('a.jpg 1x, /b.jpg 2x', BASE))
+      .toBe('https://example.com/blog/a.jpg 1x, https://example.com/b.jpg 2x');
+  });
+
+  test('keeps commas inside candidate URLs', () => {
+    expect(resolveSrcset('/w_400,h_300/a.jpg 400w,/w_800,h_600/a.jpg 800w', BASE))
+      .toBe('https://example.com/w_400,h_300/a.jpg 400w, https://example.com/w_800,h_600/a.jpg 800w');
+  });
+
+  test('keeps data: candidates anywhere in the list', () => {
+    expect(resolveSrcset('a.jpg 1x, data:image/gif;base64,R0lGOD 2x', BASE))
+      .toBe('https://example.com/blog/a.jpg 1x, data:image/gif;base64,R0lGOD 2x');
+  });
+
+  test('handles a candidate without descriptors', () => {
+    expect(resolveSrcset('a.jpg', BASE)).toBe('https://example.com/blog/a.jpg');
+  });
+});
+
+describe('resolveCssUrls', () => {
+  test('resolves url() and @import', () => {
+    const css = '@import "theme.css"; .a { background: url(\'bg.png\'); } .b { background: url(data:image/png;base64,AA); }';
+    expect(resolveCssUrls(css, BASE)).toBe(
+      '@import "https://example.com/blog/theme.css"; .a { background: url(\'https://example.com/blog/bg.png\'); } '
+      + '.b { background: url(data:image/png;base64,AA); }'
+    );
+  });
+});
+
+describe('resolveElementUrls', () => {
+  test('rewrites attributes, inline styles and style elements', () => {
+    const template = document.createElement('template');
+    template.innerHTML = '<a href="next.html">n</a><img src="a.png" srcset="a.png 1x, b.png 2x">'
+      + '<div style="background: url(bg.png)"></div><style>.x { background: url(x.png); }</style>';
+    resolveElementUrls(template.content, BASE);
+
+    const root = template.content;
+    expect(root.querySelector('a').getAttribute('href')).toBe('https://example.com/blog/next.html');
+    expect(root.querySelector('img').getAttribute('src')).toBe('https://example.com/blog/a.png');
+    expect(root.querySelector('img').getAttribute('srcset'))
+      .toBe('https://example.com/blog/a.png 1x, https://example.com/blog/b.png 2x');
+    expect(root.querySelector('div').getAttribute('style')).toBe('background: url(https://example.com/blog/bg.png)');
+    expect(root.querySelector('style').textContent).toBe('.x { background: url(https://example.com/blog/x.png); }');
+  });
+});
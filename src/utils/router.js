@@ -0,0 +1,81 @@
+/**
+ * Minimal Client-Side Router
+ *
+ * The app only has a handful of top-level views, so routing is a table of
+ * path patterns matched against window.location.pathname. navigate() pushes
+ * a history entry and notifies useRoute() subscribers; back/forward arrive
+ * through popstate.
+ *
+ * Routes:
+ *   /                  → feed
+ *   /fragment/:id      → single fragment permalink
+ *   /article/:pageId   → assembled article permalink
+ *   /saved             → saved library
+ *   /highlights        → highlights and notes
+ */
+
+export const NAVIGATE_EVENT = 'zoh:navigate';
+
+const ROUTES = [
+  { name: 'fragment', pattern: /^\/fragment\/([^/]+)\/?$/, params: ['fragmentId'] },
+  { name: 'article', pattern: /^\/article\/([^/]+)\/?$/, params: ['pageId'] },
+  { name: 'saved', pattern: /^\/saved\/?$/, params: [] },
+  { name: 'highlights', pattern: /^\/highlights\/?$/, params: [] },
+];
+
+// Decoded path params, or null if one isn't valid percent-encoding (/fragment/%E0)
+const decodeParams = (route, match) => {
+  try {
+    const params = {};
+    route.params.forEach((key, i) => {
+      params[key] = decodeURIComponent(match[i + 1]);
+    });
+    return params;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Match a pathname against the route table
+ * @param {string} pathname - e.g. '/fragment/abc'
+ * @returns {{name: string, params: Object}} Falls back to the 'feed' route,
+ *   also for a malformed param
+ */
+export const matchRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    const params = match && decodeParams(route, match);
+    if (params) {
+      return { name: route.name, params };
+    }
+  }
+  return { name: 'feed', params: {} };
+};
+
+/**
+ * Navigate to an in-app path without a page reload
+ * @param {string} path - Path plus optional query string
+ */
+export const navigate = (path) => {
+  window.history.pushState(null, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+/**
+ * Click handler for in-app links: lets modified clicks (new tab etc.) through
+ * to the browser, handles plain left clicks with navigate().
+ */
+export const handleLinkClick = (e, path) => {
+  e.stopPropagation();
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+    return;
+  }
+  e.preventDefault();
+  navigate(path);
+};
+
+export const fragmentPath = (fragmentId) => `/fragment/${encodeURIComponent(fragmentId)}`;
+export const articlePath = (pageId) => `/article/${encodeURIComponent(pageId)}`;
+export const SAVED_PATH = '/saved';
+export const HIGHLIGHTS_PATH = '/highlights';
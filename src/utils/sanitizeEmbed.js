@@ -0,0 +1,287 @@
+/**
+ * Embed Sanitization
+ *
+ * One place that turns an HTML payload ({ html, styles, stylesheet_urls,
+ * base_url }) into markup that is safe to inject into a card's shadow root:
+ *
+ * - DOMPurify with a per-archetype policy (see ARCHETYPE_POLICIES /
+ *   registerSanitizePolicy)
+ * - Relative URLs resolved against base_url (see resolveUrls)
+ * - CSS url() / @import requests to known trackers replaced with `none`
+ * - Layout-hijacking declarations (position: fixed/sticky, huge z-index)
+ *   stripped from page styles, <style> tags and style attributes
+ * - stylesheet_urls limited to the page's own site and an allowlist of hosts
+ * - `</style` escaped in all CSS, so page styles can't close their <style>
+ *   element and turn into markup when injected
+ * - Optionally, image URLs deferred for lazy loading (see lazyImages)
+ *
+ * Every removal is recorded in an audit ({ elements, attributes, blockedUrls,
+ * cssDeclarations, blockedStylesheets }) that SanitizeAudit shows on the card
+ * when debugging is enabled (?debug=sanitize or localStorage zoh_debug=1).
+ *
+ * Usage:
+ *   const { html, css, stylesheetUrls, audit } = sanitizeEmbed(htmlData, archetype);
+ *   sanitizeEmbed(htmlData, archetype, { deferImages: true });  // then observeLazyImages
+ */
+
+import DOMPurify from 'dompurify';
+import { resolveUrl, resolveCssUrls, resolveElementUrls } from './resolveUrls';
+import { deferImages } from './lazyImages';
+
+const BASE_POLICY = {
+  addTags: ['style'],
+  addAttr: ['target', 'rel'],
+  forbidTags: ['script', 'iframe', 'object', 'embed', 'form'],
+  forbidAttr: ['onerror', 'onload', 'onclick', 'onmouseover'],
+  blockTrackers: true,
+  stripLayoutHijack: true,
+};
+
+// Overrides merged onto BASE_POLICY; list fields are appended
+const ARCHETYPE_POLICIES = {
+  // Code listings carry no media worth keeping
+  code_block: { forbidTags: ['img', 'picture', 'video', 'audio'] },
+  // User comments shouldn't restyle the card or autoplay media
+  comment: { forbidTags: ['style', 'video', 'audio'] },
+  // Keep schema.org microdata for the product renderer
+  product_card: { addTags: ['meta'], addAttr: ['itemprop', 'itemscope', 'itemtype', 'content'] },
+};
+
+// Third-party stylesheet hosts allowed besides the page's own site
+const STYLESHEET_HOSTS = [
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'use.typekit.net',
+  'cdnjs.cloudflare.com',
+  'cdn.jsdelivr.net',
+  'unpkg.com',
+  ...(process.env.REACT_APP_STYLESHEET_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+];
+
+// Hosts whose CSS url() requests are beacons, not content
+const TRACKER_HOSTS = [
+  'doubleclick.net',
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googlesyndication.com',
+  'facebook.net',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'hotjar.com',
+  'segment.io',
+  'mixpanel.com',
+  'adnxs.com',
+  'criteo.com',
+  'taboola.com',
+  'outbrain.com',
+  'pixel.wp.com',
+];
+
+const STYLE_END_PATTERN = /<\/(style)/gi;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?[^;]*;?/gi;
+const LAYOUT_HIJACK_PATTERNS = [
+  /(^|[;{\s])(position\s*:\s*(?:fixed|sticky)\s*(?:!important)?\s*;?)/gi,
+  /(^|[;{\s])(z-index\s*:\s*\d{4,}\s*(?:!important)?\s*;?)/gi,
+];
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+const matchesHost = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+const IP_HOST_PATTERN = /^(\d+\.){3}\d+$|^\[[\da-f:.]+\]$/;
+
+// Registrable domain: www.blog.example.com -> example.com. Under a two-letter
+// country TLD with a short second level (co.uk, com.au, co.jp) it takes three
+// labels; misjudging a real short domain (abc.de) only makes the check stricter.
+// An IP address is its own site.
+const siteOf = (host) => {
+  if (IP_HOST_PATTERN.test(host)) return host;
+  const labels = host.split('.');
+  const [secondLevel, tld] = labels.slice(-2);
+  const suffixLabels = labels.length > 2 && tld?.length === 2 && secondLevel.length <= 3 ? 3 : 2;
+  return labels.slice(-suffixLabels).join('.');
+};
+
+const isTrackerUrl = (url) => {
+  const host = hostOf(url);
+  return !!host && TRACKER_HOSTS.some(domain => matchesHost(host, domain));
+};
+
+const isAllowedStylesheet = (url, baseUrl) => {
+  const host = hostOf(url);
+  if (!host) return false;
+  const pageHost = hostOf(baseUrl);
+  if (pageHost && matchesHost(host, siteOf(pageHost))) return true;
+  return STYLESHEET_HOSTS.some(domain => matchesHost(host, domain));
+};
+
+const createAudit = (policyName) => ({
+  policy: policyName,
+  elements: {},
+  attributes: {},
+  blockedUrls: [],
+  cssDeclarations: [],
+  blockedStylesheets: [],
+});
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Total number of removals recorded in an audit
+ * @param {Object} audit
+ * @returns {number}
+ */
+export const auditCount = (audit) => {
+  if (!audit) return 0;
+  const sum = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+  return sum(audit.elements) + sum(audit.attributes) + audit.blockedUrls.length +
+    audit.cssDeclarations.length + audit.blockedStylesheets.length;
+};
+
+/**
+ * Whether cards should show their sanitization audit
+ * @returns {boolean}
+ */
+export const isSanitizeDebugEnabled = () => {
+  try {
+    const param = new URLSearchParams(window.location.search).get('debug');
+    return param === 'sanitize' || param === '1' || localStorage.getItem('zoh_debug') === '1';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Add or replace the policy for an archetype
+ * @param {string} archetype
+ * @param {Object} overrides - Fields of BASE_POLICY; lists are appended to the base
+ */
+export const registerSanitizePolicy = (archetype, overrides) => {
+  ARCHETYPE_POLICIES[archetype] = overrides;
+};
+
+/**
+ * Effective policy for an archetype
+ * @param {string} [archetype]
+ * @returns {Object}
+ */
+export const getSanitizePolicy = (archetype) => {
+  const overrides = ARCHETYPE_POLICIES[archetype] || {};
+  const merged = { ...BASE_POLICY, ...overrides, name: ARCHETYPE_POLICIES[archetype] ? archetype : 'default' };
+  ['addTags', 'addAttr', 'forbidTags', 'forbidAttr'].forEach(key => {
+    merged[key] = [...BASE_POLICY[key], ...(overrides[key] || [])];
+  });
+  // A tag can't be both added and forbidden
+  merged.addTags = merged.addTags.filter(tag => !merged.forbidTags.includes(tag));
+  return merged;
+};
+
+/**
+ * Apply the CSS rules of a policy (URL resolution, tracker blocking,
+ * layout-hijack stripping) to a stylesheet or style attribute
+ */
+const scrubCss = (css, baseUrl, policy, audit) => {
+  if (!css) return css;
+  let out = resolveCssUrls(css, baseUrl);
+
+  if (policy.blockTrackers) {
+    out = out.replace(CSS_URL_PATTERN, (match, quote, url) => {
+      if (!isTrackerUrl(url)) return match;
+      audit.blockedUrls.push(url);
+      return 'none';
+    });
+  }
+
+  out = out.replace(CSS_IMPORT_PATTERN, (match, quote, url) => {
+    if (isAllowedStylesheet(url, baseUrl)) return match;
+    audit.blockedStylesheets.push(url);
+    return '';
+  });
+
+  if (policy.stripLayoutHijack) {
+    LAYOUT_HIJACK_PATTERNS.forEach(pattern => {
+      out = out.replace(pattern, (match, lead, declaration) => {
+        audit.cssDeclarations.push(declaration.trim());
+        return lead;
+      });
+    });
+  }
+
+  // A CSS escape keeps the text's meaning but can't end a <style> element
+  return out.replace(STYLE_END_PATTERN, (match, tag) => {
+    audit.cssDeclarations.push(match);
+    return `<\\/${tag}`;
+  });
+};
+
+/**
+ * Sanitize an HTML payload for shadow DOM injection
+ * @param {{html: string, styles?: string[], stylesheet_urls?: string[], base_url?: string}} htmlData
+ * @param {string} [archetype] - Selects the policy ('article' for assembled articles)
+ * @param {Object} [options]
+ * @param {boolean} [options.deferImages] - Move image URLs to data-zoh-* attributes
+ * @returns {{html: string, css: string, stylesheetUrls: string[], audit: Object}}
+ */
+export const sanitizeEmbed = (htmlData, archetype, options = {}) => {
+  const policy = getSanitizePolicy(archetype);
+  const audit = createAudit(policy.name);
+  const baseUrl = htmlData.base_url;
+
+  const clean = DOMPurify.sanitize(htmlData.html || '', {
+    ADD_TAGS: policy.addTags,
+    ADD_ATTR: policy.addAttr,
+    ALLOW_DATA_ATTR: true,
+    FORBID_TAGS: policy.forbidTags,
+    FORBID_ATTR: policy.forbidAttr,
+  });
+
+  // DOMPurify.removed describes the last sanitize() call
+  DOMPurify.removed.forEach(entry => {
+    if (entry.element) {
+      increment(audit.elements, entry.element.nodeName?.toLowerCase() || '#node');
+    } else if (entry.attribute) {
+      const tag = entry.from?.nodeName?.toLowerCase() || '?';
+      increment(audit.attributes, `${tag}[${entry.attribute.name}]`);
+    }
+  });
+
+  // Post-process on an inert template so nothing loads from the wrong host
+  const template = document.createElement('template');
+  template.innerHTML = clean;
+  resolveElementUrls(template.content, baseUrl);
+  template.content.querySelectorAll('style').forEach(styleEl => {
+    styleEl.textContent = scrubCss(styleEl.textContent, baseUrl, policy, audit);
+  });
+  template.content.querySelectorAll('[style]').forEach(el => {
+    el.setAttribute('style', scrubCss(el.getAttribute('style'), baseUrl, policy, audit));
+  });
+  if (options.deferImages) {
+    deferImages(template.content);
+  }
+
+  const stylesheetUrls = [];
+  (htmlData.stylesheet_urls || []).forEach(url => {
+    const resolved = resolveUrl(url, baseUrl);
+    if (isAllowedStylesheet(resolved, baseUrl)) {
+      stylesheetUrls.push(resolved);
+    } else {
+      audit.blockedStylesheets.push(resolved);
+    }
+  });
+
+  return {
+    html: template.innerHTML,
+    css: scrubCss((htmlData.styles || []).join('\n'), baseUrl, policy, audit),
+    stylesheetUrls,
+    audit,
+  };
+};
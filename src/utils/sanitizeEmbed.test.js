@@ -0,0 +1,110 @@
+import { sanitizeEmbed, getSanitizePolicy, registerSanitizePolicy, auditCount } from './sanitizeEmbed';
+
+const BASE = 'https://www.example.co.uk/news/story.html';
+
+describe('getSanitizePolicy', () => {
+  test('merges archetype overrides onto the base policy', () => {
+    const policy = getSanitizePolicy('code_block');
+    expect(policy.name).toBe('code_block');
+    expect(policy.forbidTags).toEqual(expect.arrayContaining(['script', 'iframe', 'img', 'video']));
+  });
+
+  test('drops added tags the archetype forbids', () => {
+    const policy = getSanitizePolicy('comment');
+    expect(policy.forbidTags).toContain('style');
+    expect(policy.addTags).not.toContain('style');
+  });
+
+  test('uses the default policy for unknown archetypes', () => {
+    expect(getSanitizePolicy('article').name).toBe('default');
+    expect(getSanitizePolicy(undefined).name).toBe('default');
+  });
+
+  test('registers policies for new archetypes', () => {
+    registerSanitizePolicy('recipe_card', { addAttr: ['itemprop'], forbidTags: ['video'] });
+    const policy = getSanitizePolicy('recipe_card');
+    expect(policy.name).toBe('recipe_card');
+    expect(policy.addAttr).toEqual(expect.arrayContaining(['target', 'itemprop']));
+
+    const { html } = sanitizeEmbed({ html: '<p itemprop="name">Soup</p><video src="a.mp4"></video>' }, 'recipe_card');
+    expect(html).toBe('<p itemprop="name">Soup</p>');
+  });
+});
+
+describe('sanitizeEmbed', () => {
+  test('removes scripts and handlers and audits them', () => {
+    const { html, audit } = sanitizeEmbed({
+      html: '<p onclick="steal()">Hi<script>alert(1)</script></p><iframe src="https://x.com"></iframe>',
+    }, 'article');
+    expect(html).toBe('<p>Hi</p>');
+    expect(audit.elements).toEqual({ script: 1, iframe: 1 });
+    expect(audit.attributes).toEqual({ 'p[onclick]': 1 });
+    expect(auditCount(audit)).toBe(3);
+  });
+
+  test('applies the archetype policy', () => {
+    const data = { html: '<pre>code</pre><img src="a.png">', base_url: BASE };
+    expect(sanitizeEmbed(data, 'code_block').html).toBe('<pre>code</pre>');
+    expect(sanitizeEmbed(data, 'article').html)
+      .toBe('<pre>code</pre><img src="https://www.example.co.uk/news/a.png">');
+  });
+
+  test('blocks tracker URLs and layout hijacks in page CSS', () => {
+    const { css, audit } = sanitizeEmbed({
+      html: '',
+      base_url: BASE,
+      styles: ['.bar { position: fixed; top: 0; } .px { background: url(https://stats.doubleclick.net/p.gif); }'],
+    }, 'article');
+    expect(css).toBe('.bar {  top: 0; } .px { background: none; }');
+    expect(audit.blockedUrls).toEqual(['https://stats.doubleclick.net/p.gif']);
+    expect(audit.cssDeclarations).toEqual(['position: fixed;']);
+  });
+
+  test('scrubs <style> elements and style attributes too', () => {
+    const { html, audit } = sanitizeEmbed({
+      html: '<p>a</p><style>.modal { z-index: 99999; }</style><div style="position: sticky; color: red">x</div>',
+      base_url: BASE,
+    }, 'article');
+    expect(html).toBe('<p>a</p><style>.modal {  }</style><div style=" color: red">x</div>');
+    expect(audit.cssDeclarations).toEqual(['z-index: 99999;', 'position: sticky;']);
+  });
+
+  test('escapes </style in page CSS', () => {
+    const { css, audit } = sanitizeEmbed({
+      html: '',
+      styles: ['.a::after { content: "</style><img src=x onerror=alert(1)>"; }'],
+    }, 'article');
+    expect(css).not.toMatch(/<\/style/i);
+    expect(css).toContain('<\\/style');
+    expect(audit.cssDeclarations).toEqual(['</style']);
+  });
+
+  test('keeps stylesheets from the page site and allowed hosts only', () => {
+    const { stylesheetUrls, audit } = sanitizeEmbed({
+      html: '',
+      base_url: BASE,
+      stylesheet_urls: [
+        '/css/site.css',
+        'https://static.example.co.uk/main.css',
+        'https://fonts.googleapis.com/css?family=Inter',
+        'https://other.co.uk/evil.css',
+      ],
+    }, 'article');
+    expect(stylesheetUrls).toEqual([
+      'https://www.example.co.uk/css/site.css',
+      'https://static.example.co.uk/main.css',
+      'https://fonts.googleapis.com/css?family=Inter',
+    ]);
+    expect(audit.blockedStylesheets).toEqual(['https://other.co.uk/evil.css']);
+  });
+
+  test('matches IP address pages exactly', () => {
+    const { stylesheetUrls, audit } = sanitizeEmbed({
+      html: '',
+      base_url: 'http://127.0.0.1:8080/page.html',
+      stylesheet_urls: ['/site.css', 'http://10.0.0.1/evil.css', 'http://[::1]/evil.css'],
+    }, 'article');
+    expect(stylesheetUrls).toEqual(['http://127.0.0.1:8080/site.css']);
+    expect(audit.blockedStylesheets).toEqual(['http://10.0.0.1/evil.css', 'http://[::1]/evil.css']);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Saved Library
+ *
+ * Local library of feed items the user has saved. Stores the full item
+ * payload (fragment or assembled article) in IndexedDB so saved items render
+ * with the regular card components, even after they drop out of the feed.
+ *
+ * The entries are read once into a shared in-memory copy and re-read after
+ * every change; subscribers get the new copy (see useSavedLibrary), so a
+ * feed full of save buttons doesn't each read the whole library.
+ *
+ * Export format:
+ *   { version: 1, exported_at: ISO string, items: [{ saved_id, saved_at, item }] }
+ */
+
+import { createIdbStore } from './idbStore';
+
+const EXPORT_VERSION = 1;
+
+const store = createIdbStore('zoh_saved', 'items', 'saved_id');
+const listeners = new Set();
+
+// Shared copy of the library, newest first; null until the first read
+let entries = null;
+let reading = null;
+
+const refresh = () => {
+  const read = listSaved()
+    .then((list) => {
+      // A change during the read started a newer one, which wins
+      if (reading !== read) return;
+      entries = list;
+      listeners.forEach(listener => listener(list));
+    })
+    .catch((err) => console.warn('Failed to read saved library:', err?.message));
+  reading = read;
+};
+
+const notify = () => refresh();
+
+/**
+ * Stable library key for a feed item
+ * @param {Object} item - Fragment or assembled article feed item
+ * @returns {string}
+ */
+export const savedIdFor = (item) => (
+  item.type === 'article' ? `article-${item.page_id}` : item.fragment_id
+);
+
+/**
+ * Shared copy of the library
+ * @returns {Array<Object>|null} Entries, newest first; null until loaded
+ */
+export const getSavedEntries = () => entries;
+
+/**
+ * Subscribe to the library; the first subscriber triggers the initial read
+ * @param {Function} listener - Called with the entries after each change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeSaved = (listener) => {
+  listeners.add(listener);
+  if (!reading) refresh();
+  return () => listeners.delete(listener);
+};
+
+/**
+ * All saved entries, newest first
+ * @returns {Promise<Array<{saved_id: string, saved_at: number, item: Object}>>}
+ */
+export const listSaved = async () => {
+  const entries = await store.getAll();
+  return entries.sort((a, b) => b.saved_at - a.saved_at);
+};
+
+/**
+ * Save a feed item (overwrites an existing entry for the same item)
+ * @param {Object} item - Fragment or assembled article feed item
+ * @returns {Promise<void>}
+ */
+export const saveItem = async (item) => {
+  await store.put({ saved_id: savedIdFor(item), saved_at: Date.now(), item });
+  notify();
+};
+
+/**
+ * Remove an item from the library
+ * @param {string} savedId - Key from savedIdFor()
+ * @returns {Promise<void>}
+ */
+export const removeSaved = async (savedId) => {
+  await store.delete(savedId);
+  notify();
+};
+
+/**
+ * Serialize the whole library to JSON
+ * @returns {Promise<string>}
+ */
+export const exportLibrary = async () => {
+  const items = await listSaved();
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    items
+  }, null, 2);
+};
+
+/**
+ * Merge a JSON export into the library. Entries already saved are kept
+ * unless the imported copy is newer.
+ * @param {string} json - Output of exportLibrary()
+ * @returns {Promise<number>} Number of entries added or updated
+ * @throws {Error} If the JSON is not a library export
+ */
+export const importLibrary = async (json) => {
+  const data = JSON.parse(json);
+  if (!data || !Array.isArray(data.items)) {
+    throw new Error('Not a saved library export');
+  }
+
+  const existing = new Map((await store.getAll()).map(entry => [entry.saved_id, entry]));
+  const incoming = data.items.filter(entry => (
+    entry && entry.item && entry.saved_id === savedIdFor(entry.item)
+  ));
+  const toWrite = incoming
+    .map(entry => ({ ...entry, saved_at: entry.saved_at || Date.now() }))
+    .filter(entry => {
+      const current = existing.get(entry.saved_id);
+      return !current || current.saved_at < entry.saved_at;
+    });
+
+  if (toWrite.length > 0) {
+    await store.putMany(toWrite);
+    notify();
+  }
+  return toWrite.length;
+};
@@ -0,0 +1,265 @@
+/**
+ * Text Quote Anchors
+ *
+ * Describes a selection inside injected HTML by its text rather than its
+ * DOM position, in the shape of a W3C Web Annotation TextQuoteSelector:
+ *
+ *   { exact: 'the selected text', prefix: '…text before', suffix: 'text after…' }
+ *
+ * Whitespace is collapsed before comparing, so quotes keep anchoring when
+ * the page's markup, indentation or inline elements change between
+ * captures. The prefix / suffix only disambiguate repeated quotes; a quote
+ * whose context changed still anchors at its best-matching occurrence.
+ *
+ * Usage:
+ *   const quote = describeRange(range, contentEl);   // save this
+ *   const range = anchorQuote(contentEl, quote);     // later, null if gone
+ *   const marks = wrapRange(range, (mark) => { mark.className = 'zoh-highlight'; });
+ *   unwrapMarks(contentEl.querySelectorAll('mark.zoh-highlight'));
+ */
+
+// Characters of context kept on each side of the quote
+const CONTEXT_LENGTH = 32;
+
+// Text that isn't part of the readable content
+const SKIPPED_PARENTS = new Set(['STYLE', 'SCRIPT', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Collapse runs of whitespace the way the browser renders them
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeQuoteText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Index the readable text under a root: the text nodes with their offsets,
+ * and a whitespace-collapsed copy (`text`) mapped back to the raw offsets
+ * @param {Node} root
+ * @returns {{nodes: Array, raw: string, text: string, toRaw: number[], fromRaw: number[]}}
+ */
+export const indexText = (root) => {
+  const doc = root.ownerDocument || document;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (
+      SKIPPED_PARENTS.has(node.parentNode?.nodeName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    ),
+  });
+
+  const nodes = [];
+  const parts = [];
+  let length = 0;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    nodes.push({ node, start: length });
+    parts.push(node.data);
+    length += node.data.length;
+  }
+  const raw = parts.join('');
+
+  // text[i] comes from raw[toRaw[i]]; fromRaw[j] is the text offset of raw[j]
+  const chars = [];
+  const toRaw = [];
+  const fromRaw = new Array(raw.length + 1);
+  let inSpace = true;
+  for (let i = 0; i < raw.length; i++) {
+    fromRaw[i] = chars.length;
+    if (/\s/.test(raw[i])) {
+      if (!inSpace) {
+        chars.push(' ');
+        toRaw.push(i);
+        inSpace = true;
+      }
+    } else {
+      chars.push(raw[i]);
+      toRaw.push(i);
+      inSpace = false;
+    }
+  }
+  fromRaw[raw.length] = chars.length;
+  toRaw.push(raw.length);
+
+  return { nodes, raw, text: chars.join(''), toRaw, fromRaw };
+};
+
+// Number of leading index nodes for which `test` holds (it must hold for a
+// prefix of them: they're in document order)
+const countWhile = (nodes, test) => {
+  let low = 0;
+  let high = nodes.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (test(nodes[mid])) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Raw text offset of a range boundary
+const rawOffsetOf = (index, container, offset) => {
+  const isText = container.nodeType === Node.TEXT_NODE;
+  // The first indexed text at or after the boundary: the container itself
+  // for indexed text, otherwise whatever follows an element boundary (or
+  // skipped text)
+  const probe = (container.ownerDocument || document).createRange();
+  probe.setStart(container, isText ? 0 : offset);
+  const next = index.nodes[countWhile(index.nodes, n => probe.comparePoint(n.node, 0) < 0)];
+  if (!next) return index.raw.length;
+  return isText && next.node === container ? next.start + offset : next.start;
+};
+
+// Text node and offset for a raw text offset; `atEnd` prefers the end of a
+// node over the start of the next one
+const pointAt = (index, rawOffset, atEnd) => {
+  const { nodes } = index;
+  const i = countWhile(nodes, n => (atEnd ? n.start < rawOffset : n.start <= rawOffset)) - 1;
+  if (i < 0) return null;
+  const { node, start } = nodes[i];
+  const end = start + node.data.length;
+  if (atEnd ? rawOffset > end : rawOffset >= end) return null;
+  return { node, offset: rawOffset - start };
+};
+
+/**
+ * Range over part of an index's collapsed text
+ * @param {Object} index - From indexText()
+ * @param {number} start - Offset into index.text
+ * @param {number} end - Offset into index.text (exclusive, > start)
+ * @returns {Range|null}
+ */
+export const rangeAt = (index, start, end) => {
+  const startPoint = pointAt(index, index.toRaw[start], false);
+  const endPoint = pointAt(index, index.toRaw[end - 1] + 1, true);
+  if (!startPoint || !endPoint) return null;
+
+  const range = (startPoint.node.ownerDocument || document).createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  return range;
+};
+
+// Length of the common suffix / prefix of two strings
+const commonSuffix = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+};
+const commonPrefix = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+/**
+ * Describe a range by its text and surrounding context
+ * @param {Range} range - Selection inside root
+ * @param {Node} root - Content root the quote is relative to
+ * @returns {{exact: string, prefix: string, suffix: string}|null} Null for
+ *   a range with no readable text
+ */
+export const describeRange = (range, root) => {
+  const index = indexText(root);
+  let start = index.fromRaw[rawOffsetOf(index, range.startContainer, range.startOffset)];
+  let end = index.fromRaw[rawOffsetOf(index, range.endContainer, range.endOffset)];
+
+  // Trim whitespace the selection picked up at either end
+  while (start < end && index.text[start] === ' ') start++;
+  while (end > start && index.text[end - 1] === ' ') end--;
+  if (start >= end) return null;
+
+  return {
+    exact: index.text.slice(start, end),
+    prefix: index.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: index.text.slice(end, end + CONTEXT_LENGTH),
+  };
+};
+
+/**
+ * Find a quote in the text under root
+ * @param {Node} root
+ * @param {{exact: string, prefix?: string, suffix?: string}} quote
+ * @returns {Range|null} Null when the text no longer contains the quote
+ */
+export const anchorQuote = (root, quote) => {
+  const exact = normalizeQuoteText(quote?.exact);
+  if (!exact) return null;
+
+  const index = indexText(root);
+  const prefix = normalizeQuoteText(quote.prefix);
+  const suffix = normalizeQuoteText(quote.suffix);
+
+  // Best occurrence by how much of the context still matches
+  let best = -1;
+  let bestScore = -1;
+  for (let pos = index.text.indexOf(exact); pos !== -1; pos = index.text.indexOf(exact, pos + 1)) {
+    const before = index.text.slice(0, pos).trimEnd();
+    const after = index.text.slice(pos + exact.length).trimStart();
+    const score = commonSuffix(before, prefix) + commonPrefix(after, suffix);
+    if (score > bestScore) {
+      best = pos;
+      bestScore = score;
+    }
+    if (score === prefix.length + suffix.length) break;
+  }
+  if (best === -1) return null;
+
+  return rangeAt(index, best, best + exact.length);
+};
+
+/**
+ * Wrap the text of a range in <mark> elements, one per text node (so
+ * ranges crossing paragraphs or inline elements keep the markup valid)
+ * @param {Range} range
+ * @param {Function} [decorate] - Called with each new mark
+ * @returns {HTMLElement[]} The marks, in document order
+ */
+export const wrapRange = (range, decorate) => {
+  const { startContainer, startOffset, endContainer, endOffset, commonAncestorContainer } = range;
+  const doc = commonAncestorContainer.ownerDocument || document;
+
+  let textNodes;
+  if (commonAncestorContainer.nodeType === Node.TEXT_NODE) {
+    textNodes = [commonAncestorContainer];
+  } else {
+    textNodes = [];
+    const walker = doc.createTreeWalker(commonAncestorContainer, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (range.intersectsNode(node) && !SKIPPED_PARENTS.has(node.parentNode?.nodeName)) {
+        textNodes.push(node);
+      }
+    }
+  }
+
+  const marks = [];
+  textNodes.forEach(node => {
+    const start = node === startContainer ? startOffset : 0;
+    const end = node === endContainer ? endOffset : node.data.length;
+    // Whitespace between block elements (e.g. table rows) can't hold a mark
+    if (start >= end || !node.data.slice(start, end).trim()) return;
+
+    let target = node;
+    if (end < target.data.length) target.splitText(end);
+    if (start > 0) target = target.splitText(start);
+
+    const mark = doc.createElement('mark');
+    if (decorate) decorate(mark);
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+    marks.push(mark);
+  });
+  return marks;
+};
+
+/**
+ * Remove marks added by wrapRange, merging the text back together
+ * @param {Iterable<HTMLElement>} marks
+ */
+export const unwrapMarks = (marks) => {
+  const parents = new Set();
+  Array.from(marks).forEach(mark => {
+    const parent = mark.parentNode;
+    if (!parent) return;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parents.add(parent);
+  });
+  parents.forEach(parent => parent.normalize());
+};
@@ -0,0 +1,97 @@
+import { normalizeQuoteText, indexText, describeRange, anchorQuote, wrapRange, unwrapMarks } from './textQuote';
+
+const setup = (html) => {
+  document.body.innerHTML = `<div id="root">${html}</div>`;
+  return document.getElementById('root');
+};
+
+const rangeOver = (node, start, end) => {
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  return range;
+};
+
+test('normalizeQuoteText collapses whitespace', () => {
+  expect(normalizeQuoteText('  a \n\t b  ')).toBe('a b');
+  expect(normalizeQuoteText(null)).toBe('');
+});
+
+test('indexText skips style and script text', () => {
+  const root = setup('<p>One  <b>two</b></p><style>p { color: red }</style><script>var x;</script><p> three</p>');
+  const index = indexText(root);
+  expect(index.text).toBe('One two three');
+  expect(index.nodes.map(n => n.node.data)).toEqual(['One  ', 'two', ' three']);
+  expect(index.raw[index.toRaw[4]]).toBe('t');
+  expect(index.fromRaw[index.raw.indexOf('three')]).toBe(8);
+});
+
+describe('describeRange / anchorQuote', () => {
+  test('round-trips a selection across inline elements', () => {
+    const root = setup('<p>The quick <em>brown</em> fox jumps</p>');
+    const range = document.createRange();
+    range.setStart(root.querySelector('p').firstChild, 4);
+    range.setEnd(root.querySelector('em').firstChild, 5);
+
+    const quote = describeRange(range, root);
+    expect(quote).toEqual({ exact: 'quick brown', prefix: 'The ', suffix: ' fox jumps' });
+
+    const anchored = anchorQuote(root, quote);
+    expect(anchored.toString()).toBe('quick brown');
+  });
+
+  test('trims whitespace picked up at the ends', () => {
+    const root = setup('<p>alpha   beta   gamma</p>');
+    const text = root.querySelector('p').firstChild;
+    expect(describeRange(rangeOver(text, 5, 13), root).exact).toBe('beta');
+    expect(describeRange(rangeOver(text, 5, 8), root)).toBeNull();
+  });
+
+  test('handles element boundaries', () => {
+    const root = setup('<p>first</p><p>second</p>');
+    const range = document.createRange();
+    range.setStart(root, 1);
+    range.setEnd(root, 2);
+    expect(describeRange(range, root).exact).toBe('second');
+  });
+
+  test('uses the context to pick between repeated quotes', () => {
+    const root = setup('<p>a cat sat</p><p>the cat ran</p>');
+    const range = anchorQuote(root, { exact: 'cat', prefix: 'the ', suffix: ' ran' });
+    expect(range.startContainer).toBe(root.querySelectorAll('p')[1].firstChild);
+  });
+
+  test('still anchors after the markup changes', () => {
+    const root = setup('<p>a   quick\n<span>brown</span> fox</p>');
+    expect(anchorQuote(root, { exact: 'quick brown', prefix: 'a', suffix: '' }).toString())
+      .toBe('quick\nbrown');
+  });
+
+  test('returns null for text that is gone', () => {
+    const root = setup('<p>nothing here</p>');
+    expect(anchorQuote(root, { exact: 'missing' })).toBeNull();
+    expect(anchorQuote(root, { exact: '  ' })).toBeNull();
+  });
+});
+
+describe('wrapRange / unwrapMarks', () => {
+  test('wraps each text node and restores the original text', () => {
+    const root = setup('<p>one <b>two</b></p><p>three</p>');
+    const html = root.innerHTML;
+    // Block boundaries add no space to the indexed text
+    const marks = wrapRange(anchorQuote(root, { exact: 'e twothree' }), mark => mark.classList.add('hl'));
+
+    expect(marks.map(mark => mark.textContent)).toEqual(['e ', 'two', 'three']);
+    expect(root.querySelectorAll('mark.hl')).toHaveLength(3);
+
+    unwrapMarks(marks);
+    expect(root.innerHTML).toBe(html);
+    expect(root.querySelector('p').childNodes).toHaveLength(2);
+  });
+
+  test('skips whitespace-only text between blocks', () => {
+    const root = setup('<ul><li>a</li>\n  <li>b</li></ul>');
+    const marks = wrapRange(anchorQuote(root, { exact: 'a b' }));
+    expect(marks.map(mark => mark.textContent)).toEqual(['a', 'b']);
+  });
+});
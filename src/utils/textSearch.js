@@ -0,0 +1,89 @@
+/**
+ * Text Search in Embedded HTML
+ *
+ * Finds and marks every occurrence of some terms in injected HTML,
+ * case-insensitively and with whitespace collapsed the same way as text
+ * quotes (see utils/textQuote), so a match can span inline elements.
+ * Used by the find-in-article bar and to mark the feed's search terms.
+ *
+ * Usage:
+ *   const matches = markMatches(contentEl, ['term'], (mark) => mark.setAttribute('data-zoh-find', ''));
+ *   matches[0];                           // marks of the first match, in document order
+ *   unwrapMarks(matches.flat());          // see utils/textQuote
+ */
+
+import { indexText, rangeAt, wrapRange, unwrapMarks, normalizeQuoteText } from './textQuote';
+
+// Enough for any real article; keeps a one-letter query from marking everything
+const MAX_MATCHES = 500;
+// Shorter search terms would mark half the article
+const MIN_TERM_LENGTH = 2;
+
+// Lower-case without changing the length (a few characters lower-case to two)
+const lowerCase = (text) => Array.from(text, (char) => {
+  const lower = char.toLowerCase();
+  return lower.length === char.length ? lower : char;
+}).join('');
+
+/**
+ * Split a feed search query into the terms to mark: words, or phrases in
+ * double quotes
+ * @param {string} search - e.g. 'rust "borrow checker"'
+ * @returns {string[]} Lower-cased, deduplicated terms
+ */
+export const parseSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(search || '')) !== null) {
+    const term = lowerCase(normalizeQuoteText(match[1] || match[2]));
+    if (term.length >= MIN_TERM_LENGTH && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+};
+
+/**
+ * Mark every visible occurrence of the terms under root
+ * @param {Node} root
+ * @param {string[]} terms
+ * @param {Function} decorate - Called with each new mark
+ * @returns {HTMLElement[][]} One array of marks per match, in document order
+ */
+export const markMatches = (root, terms, decorate) => {
+  const index = indexText(root);
+  const haystack = lowerCase(index.text);
+
+  const spans = [];
+  terms
+    .map(term => lowerCase(normalizeQuoteText(term)))
+    .filter(Boolean)
+    .forEach(term => {
+      let pos = haystack.indexOf(term);
+      while (pos !== -1 && spans.length < MAX_MATCHES) {
+        spans.push([pos, pos + term.length]);
+        pos = haystack.indexOf(term, pos + term.length);
+      }
+    });
+
+  // Where terms overlap, keep the earlier (then longer) one
+  spans.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  const ranges = [];
+  let lastEnd = -1;
+  spans.forEach(([start, end]) => {
+    if (start < lastEnd) return;
+    const range = rangeAt(index, start, end);
+    if (range) ranges.push(range);
+    lastEnd = end;
+  });
+
+  // Wrap from the end: wrapping moves text nodes, which would shift the
+  // boundaries of the ranges after it
+  const matches = ranges.reverse().map(range => wrapRange(range, decorate)).reverse();
+
+  // Hidden text (display: none) has nothing to show or scroll to
+  return matches.filter(marks => {
+    if (marks.some(mark => mark.getClientRects().length > 0)) return true;
+    unwrapMarks(marks);
+    return false;
+  });
+};
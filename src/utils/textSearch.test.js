@@ -0,0 +1,57 @@
+import { parseSearchTerms, markMatches } from './textSearch';
+import { unwrapMarks } from './textQuote';
+
+const setup = (html) => {
+  document.body.innerHTML = `<div id="root">${html}</div>`;
+  return document.getElementById('root');
+};
+
+const texts = (matches) => matches.map(marks => marks.map(mark => mark.textContent).join(''));
+
+// jsdom has no layout; treat everything outside .hidden as rendered
+beforeEach(() => {
+  jest.spyOn(Element.prototype, 'getClientRects').mockImplementation(function getClientRects() {
+    return this.closest('.hidden') ? [] : [{}];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseSearchTerms', () => {
+  test('splits words and quoted phrases', () => {
+    expect(parseSearchTerms('Rust "borrow   checker" rust x')).toEqual(['rust', 'borrow checker']);
+    expect(parseSearchTerms('')).toEqual([]);
+    expect(parseSearchTerms(null)).toEqual([]);
+  });
+});
+
+describe('markMatches', () => {
+  test('marks every match case-insensitively, across inline elements', () => {
+    const root = setup('<p>Borrow <em>checker</em> and the borrow checker.</p>');
+    const matches = markMatches(root, ['BORROW CHECKER'], mark => mark.setAttribute('data-find', ''));
+    expect(texts(matches)).toEqual(['Borrow checker', 'borrow checker']);
+    expect(matches[0]).toHaveLength(2);
+    expect(root.querySelectorAll('mark[data-find]')).toHaveLength(3);
+  });
+
+  test('keeps the earlier, then longer, of overlapping matches', () => {
+    const root = setup('<p>abcdef</p>');
+    expect(texts(markMatches(root, ['cde', 'bcd', 'bc', 'ef']))).toEqual(['bcd', 'ef']);
+  });
+
+  test('skips hidden text', () => {
+    const root = setup('<p>word</p><p class="hidden">word</p><p>word</p>');
+    const matches = markMatches(root, ['word']);
+    expect(matches).toHaveLength(2);
+    expect(root.querySelector('.hidden').innerHTML).toBe('word');
+  });
+
+  test('unwraps back to the original markup', () => {
+    const root = setup('<p>one <b>two</b> one</p>');
+    const html = root.innerHTML;
+    unwrapMarks(markMatches(root, ['one', 'two']).flat());
+    expect(root.innerHTML).toBe(html);
+  });
+});